@@ -9,7 +9,8 @@ import {
   ScrollView,
   Dimensions,
   ActivityIndicator,
-  Platform
+  Platform,
+  Share
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import * as ImagePicker from 'expo-image-picker';
@@ -18,9 +19,36 @@ import * as MediaLibrary from 'expo-media-library';
 import * as FileSystem from 'expo-file-system';
 import Slider from '@react-native-community/slider';
 import { ImageProcessor } from './utils/imageProcessor';
+import { isAbortError } from './utils/scheduler';
+import { ALGORITHM_VERSION } from './utils/pixelSort';
+import AngleDial from './components/AngleDial';
+import ChipGroup from './components/ChipGroup';
+import MaskEditor from './components/MaskEditor';
+import GradientEditor from './components/GradientEditor';
+import ColorPicker from './components/ColorPicker';
+import ColorSampler from './components/ColorSampler';
+import Histogram from './components/Histogram';
+import PresetPanel from './components/PresetPanel';
+import StepList from './components/StepList';
+import {
+  BUILT_IN_PRESETS,
+  exportPresets,
+  importPresets,
+  loadPresets,
+  mergePresets,
+  storePresets,
+  toPresetOptions
+} from './utils/presets';
+import { createHistory, pushHistory, undoHistory, redoHistory } from './utils/history';
+import { toHexColor } from './utils/color';
+import { DEFAULT_BLEND, isBlending } from './utils/blend';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
+// Milliseconds without changes before the sorted-area overlay and the live
+// preview are recomputed
+const PREVIEW_DELAY = 250;
+
 export default function App() {
   const [selectedImage, setSelectedImage] = useState(null);
   const [processedImage, setProcessedImage] = useState(null);
@@ -28,26 +56,272 @@ export default function App() {
   const [progress, setProgress] = useState(0);
   const [progressText, setProgressText] = useState('');
   const [sortMode, setSortMode] = useState(0);
+  const [sortKey, setSortKey] = useState('color');
+  const [sortOrder, setSortOrder] = useState('columns-rows');
+  const [descending, setDescending] = useState(false);
+  const [reverse, setReverse] = useState(false);
+  const [iterations, setIterations] = useState(1);
+  const [angle, setAngle] = useState(0);
+  const [pathType, setPathType] = useState('lines');
+  const [center, setCenter] = useState({ x: 0.5, y: 0.5 });
+  const [spacing, setSpacing] = useState(4);
+  const [flowScale, setFlowScale] = useState(4);
+  const [seed, setSeed] = useState(1);
+  const [maskStrokes, setMaskStrokes] = useState([]);
+  const [maskImage, setMaskImage] = useState(null);
+  const [editingMask, setEditingMask] = useState(false);
+  const [maskErase, setMaskErase] = useState(false);
+  const [brushSize, setBrushSize] = useState(0.08);
+  const [alphaCutoff, setAlphaCutoff] = useState(0);
+  const [resolution, setResolution] = useState('800');
+  const [edgeOperator, setEdgeOperator] = useState('sobel');
+  const [keyImage, setKeyImage] = useState(null);
+  const [keyImageIntervals, setKeyImageIntervals] = useState(false);
+  const [thresholdSource, setThresholdSource] = useState('none');
+  const [gradient, setGradient] = useState({ start: { x: 0.5, y: 0.1 }, end: { x: 0.5, y: 0.9 } });
+  const [editingGradient, setEditingGradient] = useState(false);
+  const [thresholdMapImage, setThresholdMapImage] = useState(null);
+  const [endThresholds, setEndThresholds] = useState({
+    white: -16777216,
+    black: -1,
+    bright: 0,
+    dark: 255,
+    edge: 255
+  });
+  const [eyedropper, setEyedropper] = useState(null);
+  const [samplePixels, setSamplePixels] = useState(null);
+  const [overlayDirection, setOverlayDirection] = useState(null);
+  const [overlayUri, setOverlayUri] = useState(null);
+  const [livePreview, setLivePreview] = useState(false);
+  const [livePreviewUri, setLivePreviewUri] = useState(null);
+  const [histogram, setHistogram] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [histogramChannel, setHistogramChannel] = useState('luminance');
+  const [autoMethod, setAutoMethod] = useState('otsu');
+  const [autoFraction, setAutoFraction] = useState(0.4);
+  // Operation stack: steps ({ id, enabled, options }) with undo/redo
+  const [stackHistory, setStackHistory] = useState(() => createHistory([]));
+  const [selectedStepId, setSelectedStepId] = useState(null);
+  const [intervals, setIntervals] = useState({ min: 10, max: 100, mean: 40, length: 50, skip: 0 });
+  const [blend, setBlend] = useState(DEFAULT_BLEND);
   const [thresholds, setThresholds] = useState({
     white: -12345678,
     black: -3456789,
     bright: 127,
-    dark: 223
+    dark: 223,
+    edge: 48
   });
 
   const imageProcessor = useRef(new ImageProcessor()).current;
+  const abortControllerRef = useRef(null);
+  const scrollViewRef = useRef(null);
+  const nextStepId = useRef(1);
+  const steps = stackHistory.present;
+  const selectedStepIndex = steps.findIndex((step) => step.id === selectedStepId);
+  const enabledSteps = steps.filter((step) => step.enabled);
 
   const sortModes = [
     { id: 0, name: 'White', color: '#ffffff', description: 'Sort based on white threshold' },
     { id: 1, name: 'Black', color: '#000000', description: 'Sort based on black threshold' },
     { id: 2, name: 'Bright', color: '#ffeb3b', description: 'Sort based on brightness' },
-    { id: 3, name: 'Dark', color: '#424242', description: 'Sort based on darkness' }
+    { id: 3, name: 'Dark', color: '#424242', description: 'Sort based on darkness' },
+    { id: 4, name: 'Edges', color: '#22d3ee', description: 'Sort within shapes, stopping at their contours' },
+    { id: 5, name: 'Random', color: '#f472b6', description: 'Cut lines into intervals of random length' },
+    { id: 6, name: 'Fixed', color: '#a3e635', description: 'Cut lines into intervals of equal length' }
+  ];
+
+  const thresholdSliders = [
+    { key: 'white', label: 'White', modes: [0, 1], color: true },
+    { key: 'black', label: 'Black', modes: [0, 1], color: true },
+    { key: 'bright', label: 'Bright', modes: [2, 3], min: 0, max: 255 },
+    { key: 'dark', label: 'Dark', modes: [2, 3], min: 0, max: 255 },
+    { key: 'edge', label: 'Edge', modes: [4], min: 1, max: 255 }
+  ];
+
+  const thresholdSources = [
+    { id: 'none', name: 'Off', description: 'The same thresholds everywhere' },
+    { id: 'linear', name: 'Linear', description: 'Blend from start to end thresholds along a line' },
+    { id: 'radial', name: 'Radial', description: 'Blend from start to end thresholds outwards from a point' },
+    { id: 'map', name: 'Map Image', description: 'Dark areas use the start thresholds, light areas the end ones' }
+  ];
+
+  const overlayDirections = [
+    { id: null, name: 'Off', description: 'Tint the pixels the first pass would sort' },
+    { id: 'rows', name: 'Rows', description: 'Tinted: pixels inside row intervals' },
+    { id: 'columns', name: 'Columns', description: 'Tinted: pixels inside column intervals' }
+  ];
+
+  const histogramChannels = [
+    { id: 'luminance', name: 'Luminance' },
+    { id: 'rgb', name: 'RGB' }
+  ];
+
+  const autoMethods = [
+    { id: 'otsu', name: 'Otsu', description: 'Split the photo at its most natural light/dark divide' },
+    { id: 'percentile', name: 'Percentile', description: 'Sort a chosen share of the pixels' }
+  ];
+
+  const blendModes = [
+    { id: 'normal', name: 'Normal', description: 'Sorted pixels over the original' },
+    { id: 'lighten', name: 'Lighten', description: 'The lighter of the sorted and original values' },
+    { id: 'darken', name: 'Darken', description: 'The darker of the sorted and original values' },
+    { id: 'screen', name: 'Screen', description: 'Brightens the original where sorted pixels are light' },
+    { id: 'multiply', name: 'Multiply', description: 'Darkens the original where sorted pixels are dark' },
+    { id: 'difference', name: 'Difference', description: 'Lights up only where sorting moved pixels' }
+  ];
+
+  const blendChannels = [
+    { id: 'red', name: 'Red' },
+    { id: 'green', name: 'Green' },
+    { id: 'blue', name: 'Blue' }
+  ];
+
+  const edgeOperators = [
+    { id: 'sobel', name: 'Sobel' },
+    { id: 'scharr', name: 'Scharr' }
+  ];
+
+  const sortKeys = [
+    { id: 'color', name: 'Color', description: 'Raw color value, like the original sketch' },
+    { id: 'luminance', name: 'Luminance', description: 'Weighted brightness of each pixel' },
+    { id: 'hue', name: 'Hue', description: 'Position on the color wheel' },
+    { id: 'saturation', name: 'Saturation', description: 'From gray to fully saturated' },
+    { id: 'value', name: 'Value', description: 'Brightest channel of each pixel' },
+    { id: 'red', name: 'Red', description: 'Red channel only' },
+    { id: 'green', name: 'Green', description: 'Green channel only' },
+    { id: 'blue', name: 'Blue', description: 'Blue channel only' },
+    { id: 'lab', name: 'Lab L*', description: 'Perceptual lightness (CIE Lab)' },
+    { id: 'oklch', name: 'OKLCH L', description: 'Perceptual lightness (OKLCH)' }
+  ];
+
+  const sortOrders = [
+    { id: 'columns-rows', name: 'Columns → Rows' },
+    { id: 'rows-columns', name: 'Rows → Columns' },
+    { id: 'columns', name: 'Columns Only' },
+    { id: 'rows', name: 'Rows Only' }
+  ];
+
+  const pathTypes = [
+    { id: 'lines', name: 'Lines', description: 'Straight rows and columns, rotated by the angle' },
+    { id: 'circles', name: 'Circles', description: 'Concentric rings around the centre' },
+    { id: 'spokes', name: 'Spokes', description: 'Rays radiating out of the centre' },
+    { id: 'spiral', name: 'Spiral', description: 'Archimedean spiral winding out of the centre' },
+    { id: 'flow', name: 'Flow', description: 'Streamlines through a swirling noise field' }
+  ];
+
+  const resolutions = [
+    { id: 'preview', name: 'Preview', description: '400 px wide, for trying out settings quickly' },
+    { id: '800', name: '800 px', description: '800 px wide' },
+    { id: '2048', name: '2048 px', description: '2048 px wide' },
+    { id: 'original', name: 'Original', description: 'Full resolution; large photos take a while' }
   ];
 
   useEffect(() => {
     requestPermissions();
+    loadPresets()
+      .then(setPresets)
+      .catch((error) => console.warn('Failed to load presets:', error.message));
   }, []);
 
+  // Every control getSortOptions reads; previews rerun when one changes
+  const sortSettings = [
+    sortMode,
+    thresholds,
+    endThresholds,
+    thresholdSource,
+    gradient,
+    thresholdMapImage,
+    sortKey,
+    sortOrder,
+    descending,
+    reverse,
+    angle,
+    pathType,
+    center,
+    spacing,
+    flowScale,
+    seed,
+    iterations,
+    maskStrokes,
+    maskImage,
+    keyImage,
+    keyImageIntervals,
+    alphaCutoff,
+    edgeOperator,
+    intervals,
+    blend
+  ];
+
+  useEffect(() => {
+    setHistogram(null);
+    if (!selectedImage) return;
+
+    let current = true;
+    imageProcessor.getHistogram(selectedImage)
+      .then((result) => {
+        if (current) setHistogram(result);
+      })
+      .catch((error) => console.warn('Histogram failed:', error.message));
+    return () => {
+      current = false;
+    };
+  }, [selectedImage]);
+
+  // Recompute the sorted-area overlay once the settings stop changing; a
+  // newer change cancels the run in flight
+  useEffect(() => {
+    if (!selectedImage || !overlayDirection) {
+      setOverlayUri(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const uri = await imageProcessor.previewIntervals(selectedImage, {
+          ...getSortOptions(),
+          direction: overlayDirection,
+          signal: controller.signal
+        });
+        if (!controller.signal.aborted) setOverlayUri(uri);
+      } catch (error) {
+        if (!isAbortError(error)) console.warn('Sorted-area preview failed:', error.message);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedImage, overlayDirection, ...sortSettings]);
+
+  // Re-sort the thumbnail when the settings stop changing, cancelling any
+  // preview still running
+  useEffect(() => {
+    if (!selectedImage || !livePreview) {
+      setLivePreviewUri(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const uri = await imageProcessor.previewSort(selectedImage, {
+          ...getSortOptions(),
+          signal: controller.signal
+        });
+        if (!controller.signal.aborted) setLivePreviewUri(uri);
+      } catch (error) {
+        if (!isAbortError(error)) console.warn('Live preview failed:', error.message);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedImage, livePreview, ...sortSettings]);
+
   const requestPermissions = async () => {
     const { status: mediaLibraryStatus } = await MediaLibrary.requestPermissionsAsync();
     const { status: imagePickerStatus } = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -73,44 +347,472 @@ export default function App() {
       if (!result.canceled && result.assets[0]) {
         setSelectedImage(result.assets[0].uri);
         setProcessedImage(null);
+        clearMask();
+        imageProcessor.releaseStack();
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to pick image: ' + error.message);
     }
   };
 
+  const pickMaskImage = async () => {
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 1,
+        base64: false,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        setMaskImage(result.assets[0].uri);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to pick mask image: ' + error.message);
+    }
+  };
+
+  const pickKeyImage = async () => {
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 1,
+        base64: false,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        setKeyImage(result.assets[0].uri);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to pick key image: ' + error.message);
+    }
+  };
+
+  const pickThresholdMapImage = async () => {
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 1,
+        base64: false,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        setThresholdMapImage(result.assets[0].uri);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to pick threshold map: ' + error.message);
+    }
+  };
+
+  // Threshold map option for the processor, or null for uniform thresholds
+  const getThresholdMap = () => {
+    if (sortMode > 4 || thresholdSource === 'none') return null;
+    if (thresholdSource === 'map') {
+      return thresholdMapImage ? { imageUri: thresholdMapImage } : null;
+    }
+    return { gradient: { type: thresholdSource, ...gradient } };
+  };
+
+  // Sample a white/black threshold color from the selected image
+  const startEyedropper = async (key, end) => {
+    if (eyedropper && eyedropper.key === key && eyedropper.end === end) {
+      setEyedropper(null);
+      return;
+    }
+    setEyedropper({ key, end });
+    setEditingMask(false);
+    setEditingGradient(false);
+    scrollViewRef.current?.scrollTo({ y: 0, animated: true });
+
+    if (samplePixels?.uri === selectedImage) return;
+    try {
+      const pixels = await imageProcessor.loadSamplePixels(selectedImage);
+      setSamplePixels({ uri: selectedImage, pixels });
+    } catch (error) {
+      setEyedropper(null);
+      Alert.alert('Error', 'Failed to read image colors: ' + error.message);
+    }
+  };
+
+  const pickSampledColor = (color) => {
+    const setValues = eyedropper.end ? setEndThresholds : setThresholds;
+    setValues(prev => ({ ...prev, [eyedropper.key]: color }));
+    setEyedropper(null);
+  };
+
+  const clearMask = () => {
+    setMaskStrokes([]);
+    setMaskImage(null);
+    setEditingMask(false);
+  };
+
+  // Keep min <= mean <= max while any of the three sliders moves
+  const updateIntervals = (changes) => {
+    setIntervals((prev) => {
+      const next = { ...prev, ...changes };
+      next.max = Math.max(next.max, next.min);
+      next.mean = Math.min(next.max, Math.max(next.min, next.mean));
+      return next;
+    });
+  };
+
+  // Bright/dark thresholds suggested from the photo's luminance histogram
+  const applyAutoThresholds = async () => {
+    try {
+      const suggestion = await imageProcessor.suggestThresholds(selectedImage, {
+        method: autoMethod,
+        fraction: autoFraction
+      });
+      setThresholds(prev => ({ ...prev, ...suggestion }));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to suggest thresholds: ' + error.message);
+    }
+  };
+
+  // Histogram markers for the bright/dark thresholds in use
+  const getHistogramMarkers = () => {
+    if (sortMode !== 2 && sortMode !== 3) return [];
+    const markers = [
+      { value: thresholds.bright, color: '#ffeb3b', label: 'Bright' },
+      { value: thresholds.dark, color: '#818cf8', label: 'Dark' }
+    ];
+    if (thresholdSource === 'none') return markers;
+    return [
+      ...markers,
+      { value: endThresholds.bright, color: '#ffeb3b', label: 'Bright end' },
+      { value: endThresholds.dark, color: '#818cf8', label: 'Dark end' }
+    ];
+  };
+
+  // Settings a preset saves (see PRESET_KEYS in utils/presets.js)
+  const getPresetOptions = () => ({
+    mode: sortMode,
+    thresholds,
+    endThresholds,
+    thresholdGradient: thresholdSource === 'linear' || thresholdSource === 'radial'
+      ? { type: thresholdSource, ...gradient }
+      : null,
+    sortKey,
+    order: sortOrder,
+    descending,
+    reverse,
+    angle,
+    path: pathType,
+    center,
+    spacing,
+    scale: flowScale,
+    seed,
+    iterations,
+    alphaCutoff,
+    edgeOperator,
+    intervals,
+    keyImageIntervals,
+    blend
+  });
+
+  // Restore the controls from preset options; settings a preset lacks are kept
+  const applyPresetOptions = (options) => {
+    const setters = {
+      mode: setSortMode,
+      thresholds: (value) => setThresholds(prev => ({ ...prev, ...value })),
+      endThresholds: (value) => setEndThresholds(prev => ({ ...prev, ...value })),
+      thresholdGradient: (value) => {
+        setThresholdSource(value ? value.type : 'none');
+        if (value) setGradient({ start: value.start, end: value.end });
+      },
+      sortKey: setSortKey,
+      order: setSortOrder,
+      descending: setDescending,
+      reverse: setReverse,
+      angle: setAngle,
+      path: setPathType,
+      center: setCenter,
+      spacing: setSpacing,
+      scale: setFlowScale,
+      seed: setSeed,
+      iterations: setIterations,
+      alphaCutoff: setAlphaCutoff,
+      edgeOperator: setEdgeOperator,
+      intervals: (value) => setIntervals(prev => ({ ...prev, ...value })),
+      keyImageIntervals: setKeyImageIntervals,
+      blend: (value) => setBlend(prev => ({ ...prev, ...value }))
+    };
+    Object.entries(options).forEach(([key, value]) => setters[key]?.(value));
+    setEditingGradient(false);
+  };
+
+  // Keep the preset list and the device copy in step
+  const updatePresets = (newPresets) => {
+    setPresets(newPresets);
+    storePresets(newPresets).catch((error) => {
+      Alert.alert('Error', 'Failed to save presets: ' + error.message);
+    });
+  };
+
+  const savePreset = (name) => {
+    updatePresets(mergePresets(presets, [{ name, options: getPresetOptions() }]));
+  };
+
+  // Renaming onto an existing name replaces that preset
+  const renamePreset = (oldName, newName) => {
+    updatePresets(presets
+      .filter((preset) => preset.name !== newName)
+      .map((preset) => (preset.name === oldName ? { ...preset, name: newName } : preset)));
+  };
+
+  const deletePreset = (name) => {
+    Alert.alert('Delete Preset', `Delete "${name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => updatePresets(presets.filter((preset) => preset.name !== name))
+      }
+    ]);
+  };
+
+  const sharePresets = async () => {
+    if (presets.length === 0) {
+      Alert.alert('No Presets', 'Save a preset first, then export it.');
+      return;
+    }
+    try {
+      await Share.share({ message: exportPresets(presets), title: 'ASDF Pixel Sort presets' });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to export presets: ' + error.message);
+    }
+  };
+
+  // Returns whether the text was imported, so the panel can clear it
+  const receivePresets = (text) => {
+    try {
+      const imported = importPresets(text);
+      updatePresets(mergePresets(presets, imported));
+      Alert.alert('Presets Imported', `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`);
+      return true;
+    } catch (error) {
+      Alert.alert('Import Failed', error.message);
+      return false;
+    }
+  };
+
+  // Restore the controls from the recipe embedded in an image this app exported
+  const loadRecipe = async () => {
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 1,
+        base64: false,
+        // Editing or converting the image would drop the recipe chunk
+        allowsEditing: false,
+        preferredAssetRepresentationMode:
+          ImagePicker.UIImagePickerPreferredAssetRepresentationMode.Current,
+      });
+      if (result.canceled || !result.assets[0]) return;
+
+      const recipe = await imageProcessor.readRecipe(result.assets[0].uri);
+      if (!recipe) {
+        Alert.alert('No Recipe', 'Only PNGs exported by ASDF Pixel Sort carry their settings.');
+        return;
+      }
+
+      applyPresetOptions(recipe.options);
+      if (resolutions.some((size) => size.id === recipe.resolution)) setResolution(recipe.resolution);
+
+      const notes = [];
+      if (recipe.source) notes.push(`Made from a ${recipe.source.width}x${recipe.source.height} image.`);
+      if (recipe.steps?.length > 0) {
+        const restored = recipe.steps.map(({ thresholdGradient, ...options }) => ({
+          id: nextStepId.current++,
+          enabled: true,
+          options: { ...options, thresholdMap: thresholdGradient ? { gradient: thresholdGradient } : null }
+        }));
+        updateSteps(() => restored);
+        setSelectedStepId(null);
+        notes.push(`Its ${restored.length} step${restored.length === 1 ? ' was' : 's were'} restored to the operation stack.`);
+      }
+      const images = Object.entries({ mask: 'mask', keyImage: 'key image', thresholdMapImage: 'threshold map' })
+        .filter(([key]) => recipe.inputs?.[key])
+        .map(([, name]) => name);
+      if (images.length > 0) {
+        notes.push(`It also used a ${images.join(', ')}; load ${images.length === 1 ? 'it' : 'them'} again.`);
+      }
+      if (recipe.algorithmVersion !== ALGORITHM_VERSION) {
+        notes.push('It was made by a different version of the sorter, so results may differ.');
+      }
+      Alert.alert('Settings Restored', notes.join('\n'));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to read settings from image: ' + error.message);
+    }
+  };
+
+  // Restore the controls from a step's processor options, images included
+  const applyStepOptions = (options) => {
+    applyPresetOptions(toPresetOptions(options));
+    setMaskStrokes(options.mask?.strokes ?? []);
+    setMaskImage(options.mask?.imageUri ?? null);
+    setEditingMask(false);
+    setKeyImage(options.keyImage?.imageUri ?? null);
+    if (options.thresholdMap?.imageUri) {
+      setThresholdSource('map');
+      setThresholdMapImage(options.thresholdMap.imageUri);
+    }
+  };
+
+  // One-line summary of a step: mode, passes and the threshold it uses
+  const describeStep = ({ options }) => {
+    const parts = [
+      sortModes[options.mode].name,
+      options.path === 'lines'
+        ? sortOrders.find((order) => order.id === options.order).name
+        : pathTypes.find((type) => type.id === options.path).name
+    ];
+    const thresholdKey = ['white', 'black', 'bright', 'dark', 'edge'][options.mode];
+    if (thresholdKey) {
+      const value = options.thresholds[thresholdKey];
+      parts.push(options.mode <= 1 ? toHexColor(value) : String(value));
+    }
+    if (options.thresholdMap) parts.push('varied');
+    if (options.mask) parts.push('masked');
+    if (isBlending(options.blend)) {
+      const mode = blendModes.find((blendMode) => blendMode.id === options.blend.mode).name;
+      parts.push(`${mode} ${Math.round(options.blend.opacity * 100)}%`);
+    }
+    return parts.join(' · ');
+  };
+
+  // Every change to the stack is one undo step
+  const updateSteps = (update) => {
+    setStackHistory(prev => pushHistory(prev, update(prev.present)));
+  };
+
+  const addStep = () => {
+    const id = nextStepId.current++;
+    const options = getSortOptions();
+    updateSteps((prev) => [...prev, { id, enabled: true, options }]);
+    setSelectedStepId(id);
+  };
+
+  const updateStep = () => {
+    const options = getSortOptions();
+    updateSteps((prev) => prev.map((step) => (step.id === selectedStepId ? { ...step, options } : step)));
+  };
+
+  // Tapping the selected step again deselects it and keeps the controls as they are
+  const selectStep = (id) => {
+    if (id === selectedStepId) {
+      setSelectedStepId(null);
+      return;
+    }
+    setSelectedStepId(id);
+    applyStepOptions(steps.find((step) => step.id === id).options);
+  };
+
+  const toggleStep = (id) => {
+    updateSteps((prev) => prev.map((step) => (step.id === id ? { ...step, enabled: !step.enabled } : step)));
+  };
+
+  const moveStep = (id, delta) => {
+    updateSteps((prev) => {
+      const from = prev.findIndex((step) => step.id === id);
+      const to = from + delta;
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  };
+
+  const deleteStep = (id) => {
+    updateSteps((prev) => prev.filter((step) => step.id !== id));
+  };
+
+  // Options for ImageProcessor from the current controls
+  const getSortOptions = () => ({
+    mode: sortMode,
+    thresholds,
+    sortKey,
+    order: sortOrder,
+    descending,
+    reverse,
+    angle,
+    path: pathType,
+    center,
+    spacing,
+    scale: flowScale,
+    seed,
+    iterations,
+    mask: maskStrokes.length > 0 || maskImage
+      ? { strokes: maskStrokes, imageUri: maskImage }
+      : null,
+    thresholdMap: getThresholdMap(),
+    keyImage: keyImage ? { imageUri: keyImage } : null,
+    keyImageIntervals,
+    endThresholds,
+    alphaCutoff,
+    edgeOperator,
+    intervals,
+    blend
+  });
+
   const processImage = async () => {
     if (!selectedImage) {
       Alert.alert('No Image', 'Please select an image first.');
       return;
     }
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setIsProcessing(true);
     setProgress(0);
     setProgressText('Loading image...');
 
+    const onProgress = (progress, text) => {
+      if (controller.signal.aborted) return;
+      setProgress(progress);
+      setProgressText(text);
+    };
+
     try {
-      const processedUri = await imageProcessor.processImage(
-        selectedImage,
-        sortMode,
-        thresholds,
-        (progress, text) => {
-          setProgress(progress);
-          setProgressText(text);
-        }
-      );
+      // With steps switched on, run the stack instead of the current settings
+      const processedUri = enabledSteps.length > 0
+        ? await imageProcessor.processStack(
+          selectedImage,
+          enabledSteps.map((step) => step.options),
+          { resolution, signal: controller.signal },
+          onProgress
+        )
+        : await imageProcessor.processImage(
+          selectedImage,
+          { ...getSortOptions(), resolution, signal: controller.signal },
+          onProgress
+        );
+
+      // Cancelled after the last abort check; the UI has already been reset
+      if (controller.signal.aborted) return;
       
       setProcessedImage(processedUri);
       setIsProcessing(false);
       setProgressText('Complete!');
       
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Processing error:', error);
       Alert.alert('Error', 'Failed to process image: ' + error.message);
       setIsProcessing(false);
+    } finally {
+      if (abortControllerRef.current === controller) abortControllerRef.current = null;
     }
   };
 
+  const cancelProcessing = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    abortControllerRef.current = null;
+    setIsProcessing(false);
+    setProgress(0);
+    setProgressText('');
+  };
+
   const saveImage = async () => {
     if (!processedImage) {
       Alert.alert('No Processed Image', 'Please process an image first.');
@@ -130,13 +832,57 @@ export default function App() {
     setProcessedImage(null);
     setProgress(0);
     setProgressText('');
+    clearMask();
+    setEditingGradient(false);
+    setEyedropper(null);
+    imageProcessor.releaseStack();
+  };
+
+  // Start or end control for one threshold: a color for white/black, a slider otherwise
+  const renderThreshold = (slider, end) => {
+    const value = (end ? endThresholds : thresholds)[slider.key];
+    const setValue = (newValue) =>
+      (end ? setEndThresholds : setThresholds)(prev => ({ ...prev, [slider.key]: newValue }));
+    const label = `${slider.label} Threshold${thresholdSource === 'none' ? '' : end ? ' (end)' : ' (start)'}`;
+
+    if (slider.color) {
+      return (
+        <ColorPicker
+          label={label}
+          value={value}
+          onChange={setValue}
+          onEyedropper={selectedImage ? () => startEyedropper(slider.key, end) : null}
+          eyedropperActive={eyedropper?.key === slider.key && eyedropper.end === end}
+        />
+      );
+    }
+    return (
+      <>
+        <Text style={styles.sliderLabel}>{label}: {value}</Text>
+        <Slider
+          style={styles.slider}
+          minimumValue={slider.min}
+          maximumValue={slider.max}
+          value={value}
+          onValueChange={(newValue) => setValue(Math.round(newValue))}
+          minimumTrackTintColor="#6366f1"
+          maximumTrackTintColor="#e5e7eb"
+          thumbStyle={styles.sliderThumb}
+        />
+      </>
+    );
   };
 
   return (
     <View style={styles.container}>
       <StatusBar style="light" />
       
-      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+      <ScrollView
+        ref={scrollViewRef}
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        scrollEnabled={!editingMask && !editingGradient && !eyedropper}
+      >
         {/* Header */}
         <View style={styles.header}>
           <Text style={styles.title}>ASDF Pixel Sort</Text>
@@ -147,7 +893,53 @@ export default function App() {
         <View style={styles.imageContainer}>
           {selectedImage ? (
             <View style={styles.imageWrapper}>
-              <Image source={{ uri: selectedImage }} style={styles.image} />
+              {eyedropper ? (
+                <ColorSampler
+                  imageUri={selectedImage}
+                  pixels={samplePixels?.uri === selectedImage ? samplePixels.pixels : null}
+                  onPick={pickSampledColor}
+                  width={screenWidth - 40}
+                  height={(screenWidth - 40) * 0.75}
+                />
+              ) : editingMask ? (
+                <MaskEditor
+                  imageUri={selectedImage}
+                  maskImageUri={maskImage}
+                  strokes={maskStrokes}
+                  onChange={setMaskStrokes}
+                  erase={maskErase}
+                  brushSize={brushSize}
+                  width={screenWidth - 40}
+                  height={(screenWidth - 40) * 0.75}
+                />
+              ) : editingGradient ? (
+                <GradientEditor
+                  imageUri={selectedImage}
+                  gradient={{ type: thresholdSource, ...gradient }}
+                  onChange={({ start, end }) => setGradient({ start, end })}
+                  width={screenWidth - 40}
+                  height={(screenWidth - 40) * 0.75}
+                />
+              ) : (
+                <View>
+                  <Image source={{ uri: selectedImage }} style={styles.image} />
+                  {overlayDirection && overlayUri && (
+                    <Image source={{ uri: overlayUri }} style={[styles.image, styles.imageOverlay]} />
+                  )}
+                </View>
+              )}
+              {livePreview && (
+                <View style={styles.processedImageWrapper}>
+                  <Text style={styles.processedLabel}>Live Preview:</Text>
+                  {livePreviewUri ? (
+                    <Image source={{ uri: livePreviewUri }} style={styles.image} />
+                  ) : (
+                    <View style={[styles.image, styles.previewPending]}>
+                      <ActivityIndicator color="#6366f1" />
+                    </View>
+                  )}
+                </View>
+              )}
               {processedImage && (
                 <View style={styles.processedImageWrapper}>
                   <Text style={styles.processedLabel}>Processed:</Text>
@@ -171,9 +963,30 @@ export default function App() {
               <View style={[styles.progressFill, { width: `${progress}%` }]} />
             </View>
             <Text style={styles.progressPercent}>{Math.round(progress)}%</Text>
+            <TouchableOpacity style={styles.cancelButton} onPress={cancelProcessing}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
           </View>
         )}
 
+        {/* Presets */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Presets</Text>
+          <PresetPanel
+            builtInPresets={BUILT_IN_PRESETS}
+            presets={presets}
+            onApply={(preset) => applyPresetOptions(preset.options)}
+            onSave={savePreset}
+            onRename={renamePreset}
+            onDelete={deletePreset}
+            onExport={sharePresets}
+            onImport={receivePresets}
+          />
+          <TouchableOpacity style={[styles.tertiaryButton, styles.buttonSpaced]} onPress={loadRecipe}>
+            <Text style={styles.tertiaryButtonText}>Restore Settings from Exported Image</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Sort Mode Selection */}
         <View style={styles.sectionContainer}>
           <Text style={styles.sectionTitle}>Sort Mode</Text>
@@ -203,81 +1016,565 @@ export default function App() {
           </Text>
         </View>
 
-        {/* Threshold Controls */}
+        {/* Sort Key Selection */}
         <View style={styles.sectionContainer}>
-          <Text style={styles.sectionTitle}>Threshold Settings</Text>
-          
-          {sortMode <= 1 && (
+          <Text style={styles.sectionTitle}>Sort By</Text>
+          <ChipGroup options={sortKeys} value={sortKey} onChange={setSortKey} />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {sortKeys.find((key) => key.id === sortKey).description}
+            {keyImage ? ', read from the key image at each pixel\'s position' : ''}
+          </Text>
+
+          {keyImage && (
+            <>
+              <Image source={{ uri: keyImage }} style={styles.keyImagePreview} />
+              <Text style={styles.sliderLabel}>Intervals From</Text>
+              <ChipGroup
+                options={[
+                  { id: false, name: 'Main Image' },
+                  { id: true, name: 'Key Image' }
+                ]}
+                value={keyImageIntervals}
+                onChange={setKeyImageIntervals}
+              />
+            </>
+          )}
+          <TouchableOpacity
+            style={styles.tertiaryButton}
+            onPress={keyImage ? () => setKeyImage(null) : pickKeyImage}
+          >
+            <Text style={styles.tertiaryButtonText}>
+              {keyImage ? 'Remove Key Image' : 'Load Key Image'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Pass Controls */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Passes</Text>
+          <ChipGroup options={pathTypes} value={pathType} onChange={setPathType} />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {pathTypes.find((type) => type.id === pathType).description}
+          </Text>
+
+          {pathType === 'lines' && (
+            <ChipGroup options={sortOrders} value={sortOrder} onChange={setSortOrder} />
+          )}
+          <ChipGroup
+            options={[
+              { id: false, name: 'Ascending' },
+              { id: true, name: 'Descending' }
+            ]}
+            value={descending}
+            onChange={setDescending}
+          />
+          <ChipGroup
+            options={[
+              { id: false, name: 'Forward' },
+              { id: true, name: 'Reversed' }
+            ]}
+            value={reverse}
+            onChange={setReverse}
+          />
+
+          {pathType === 'lines' && (
             <>
+              <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>
+                Angle: {angle}°
+              </Text>
+              <AngleDial value={angle} onChange={setAngle} />
+              <ChipGroup
+                centered
+                options={[0, 30, 45, 90, 135].map((preset) => ({ id: preset, name: `${preset}°` }))}
+                value={angle}
+                onChange={setAngle}
+              />
+            </>
+          )}
+
+          {['circles', 'spokes', 'spiral'].includes(pathType) && (
+            <>
+              <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>
+                Centre X: {Math.round(center.x * 100)}%
+              </Text>
+              <Slider
+                style={styles.slider}
+                minimumValue={0}
+                maximumValue={1}
+                value={center.x}
+                onValueChange={(value) => setCenter(prev => ({ ...prev, x: value }))}
+                minimumTrackTintColor="#6366f1"
+                maximumTrackTintColor="#e5e7eb"
+                thumbStyle={styles.sliderThumb}
+              />
+
               <Text style={styles.sliderLabel}>
-                White Threshold: {thresholds.white}
+                Centre Y: {Math.round(center.y * 100)}%
               </Text>
               <Slider
                 style={styles.slider}
-                minimumValue={-16581375}
-                maximumValue={0}
-                value={thresholds.white}
-                onValueChange={(value) => 
-                  setThresholds(prev => ({ ...prev, white: Math.round(value) }))
-                }
+                minimumValue={0}
+                maximumValue={1}
+                value={center.y}
+                onValueChange={(value) => setCenter(prev => ({ ...prev, y: value }))}
                 minimumTrackTintColor="#6366f1"
                 maximumTrackTintColor="#e5e7eb"
                 thumbStyle={styles.sliderThumb}
               />
-              
+            </>
+          )}
+
+          {pathType === 'spiral' && (
+            <>
               <Text style={styles.sliderLabel}>
-                Black Threshold: {thresholds.black}
+                Spiral Spacing: {spacing}px
               </Text>
               <Slider
                 style={styles.slider}
-                minimumValue={-16581375}
-                maximumValue={0}
-                value={thresholds.black}
-                onValueChange={(value) => 
-                  setThresholds(prev => ({ ...prev, black: Math.round(value) }))
-                }
+                minimumValue={1}
+                maximumValue={32}
+                step={1}
+                value={spacing}
+                onValueChange={(value) => setSpacing(Math.round(value))}
                 minimumTrackTintColor="#6366f1"
                 maximumTrackTintColor="#e5e7eb"
                 thumbStyle={styles.sliderThumb}
               />
             </>
           )}
+
+          {pathType === 'flow' && (
+            <>
+              <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>
+                Swirls: {flowScale.toFixed(1)}
+              </Text>
+              <Slider
+                style={styles.slider}
+                minimumValue={0.5}
+                maximumValue={16}
+                value={flowScale}
+                onValueChange={(value) => setFlowScale(Math.round(value * 10) / 10)}
+                minimumTrackTintColor="#6366f1"
+                maximumTrackTintColor="#e5e7eb"
+                thumbStyle={styles.sliderThumb}
+              />
+              <TouchableOpacity
+                style={styles.tertiaryButton}
+                onPress={() => setSeed(Math.floor(Math.random() * 1000000))}
+              >
+                <Text style={styles.tertiaryButtonText}>New Flow Field (seed {seed})</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>
+            Iterations: {iterations}
+          </Text>
+          <Slider
+            style={styles.slider}
+            minimumValue={1}
+            maximumValue={10}
+            step={1}
+            value={iterations}
+            onValueChange={(value) => setIterations(Math.round(value))}
+            minimumTrackTintColor="#6366f1"
+            maximumTrackTintColor="#e5e7eb"
+            thumbStyle={styles.sliderThumb}
+          />
+        </View>
+
+        {/* Mask Controls */}
+        {selectedImage && (
+          <View style={styles.sectionContainer}>
+            <Text style={styles.sectionTitle}>Mask</Text>
+            <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+              {maskStrokes.length > 0 || maskImage
+                ? 'Painted and dark mask areas are left untouched'
+                : 'Paint over areas to keep them untouched, or load a grayscale mask'}
+            </Text>
+
+            <TouchableOpacity
+              style={[styles.tertiaryButton, styles.buttonSpaced]}
+              onPress={() => {
+                setEditingMask(!editingMask);
+                setEditingGradient(false);
+                setEyedropper(null);
+              }}
+            >
+              <Text style={styles.tertiaryButtonText}>
+                {editingMask ? 'Done Painting' : 'Paint Mask'}
+              </Text>
+            </TouchableOpacity>
+
+            {editingMask && (
+              <>
+                <ChipGroup
+                  options={[
+                    { id: false, name: 'Brush' },
+                    { id: true, name: 'Eraser' }
+                  ]}
+                  value={maskErase}
+                  onChange={setMaskErase}
+                />
+                <Text style={styles.sliderLabel}>
+                  Brush Size: {Math.round(brushSize * 100)}%
+                </Text>
+                <Slider
+                  style={styles.slider}
+                  minimumValue={0.01}
+                  maximumValue={0.3}
+                  value={brushSize}
+                  onValueChange={setBrushSize}
+                  minimumTrackTintColor="#6366f1"
+                  maximumTrackTintColor="#e5e7eb"
+                  thumbStyle={styles.sliderThumb}
+                />
+                <View style={[styles.buttonRow, styles.buttonSpaced]}>
+                  <TouchableOpacity
+                    style={[styles.tertiaryButton, styles.buttonRowItem]}
+                    onPress={() => setMaskStrokes(maskStrokes.slice(0, -1))}
+                  >
+                    <Text style={styles.tertiaryButtonText}>Undo Stroke</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.tertiaryButton, styles.buttonRowItem]}
+                    onPress={() => setMaskStrokes([])}
+                  >
+                    <Text style={styles.tertiaryButtonText}>Clear Strokes</Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+
+            <TouchableOpacity
+              style={styles.tertiaryButton}
+              onPress={maskImage ? () => setMaskImage(null) : pickMaskImage}
+            >
+              <Text style={styles.tertiaryButtonText}>
+                {maskImage ? 'Remove Mask Image' : 'Load Mask Image'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Threshold Controls */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Threshold Settings</Text>
           
-          {sortMode >= 2 && (
+          {histogram && (
+            <>
+              <Histogram
+                histogram={histogram}
+                channel={histogramChannel}
+                markers={getHistogramMarkers()}
+                width={screenWidth - 40}
+              />
+              <ChipGroup options={histogramChannels} value={histogramChannel} onChange={setHistogramChannel} />
+            </>
+          )}
+
+          {histogram && (sortMode === 2 || sortMode === 3) && (
+            <>
+              <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>Auto Thresholds</Text>
+              <ChipGroup options={autoMethods} value={autoMethod} onChange={setAutoMethod} />
+              <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+                {autoMethods.find((method) => method.id === autoMethod).description}
+              </Text>
+              {autoMethod === 'percentile' && (
+                <>
+                  <Text style={styles.sliderLabel}>
+                    Sort About: {Math.round(autoFraction * 100)}% of Pixels
+                  </Text>
+                  <Slider
+                    style={styles.slider}
+                    minimumValue={0.05}
+                    maximumValue={0.95}
+                    step={0.05}
+                    value={autoFraction}
+                    onValueChange={setAutoFraction}
+                    minimumTrackTintColor="#6366f1"
+                    maximumTrackTintColor="#e5e7eb"
+                    thumbStyle={styles.sliderThumb}
+                  />
+                </>
+              )}
+              <TouchableOpacity
+                style={[styles.tertiaryButton, styles.buttonSpaced]}
+                onPress={applyAutoThresholds}
+              >
+                <Text style={styles.tertiaryButtonText}>Auto</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          {thresholdSliders
+            .filter((slider) => slider.modes.includes(sortMode))
+            .map((slider) => (
+              <React.Fragment key={slider.key}>
+                {renderThreshold(slider, false)}
+                {thresholdSource !== 'none' && renderThreshold(slider, true)}
+              </React.Fragment>
+            ))}
+          {sortMode <= 1 && (
+            <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+              Colors compare by red, then green, then blue, like the original sketch
+            </Text>
+          )}
+
+          <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>Show Sorted Areas</Text>
+          <ChipGroup
+            options={overlayDirections}
+            value={overlayDirection}
+            onChange={setOverlayDirection}
+          />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {overlayDirections.find((option) => option.id === overlayDirection).description}
+          </Text>
+
+          {sortMode === 4 && (
+            <ChipGroup options={edgeOperators} value={edgeOperator} onChange={setEdgeOperator} />
+          )}
+
+          {sortMode <= 4 && (
+            <>
+              <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>Vary Across Image</Text>
+              <ChipGroup
+                options={thresholdSources}
+                value={thresholdSource}
+                onChange={(source) => {
+                  setThresholdSource(source);
+                  setEditingGradient(false);
+                }}
+              />
+              <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+                {thresholdSources.find((source) => source.id === thresholdSource).description}
+              </Text>
+              {(thresholdSource === 'linear' || thresholdSource === 'radial') && selectedImage && (
+                <TouchableOpacity
+                  style={[styles.tertiaryButton, styles.buttonSpaced]}
+                  onPress={() => {
+                    setEditingGradient(!editingGradient);
+                    setEditingMask(false);
+                    setEyedropper(null);
+                  }}
+                >
+                  <Text style={styles.tertiaryButtonText}>
+                    {editingGradient ? 'Done Placing' : 'Place Gradient'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+              {thresholdSource === 'map' && (
+                <TouchableOpacity
+                  style={[styles.tertiaryButton, styles.buttonSpaced]}
+                  onPress={pickThresholdMapImage}
+                >
+                  <Text style={styles.tertiaryButtonText}>
+                    {thresholdMapImage ? 'Change Threshold Map' : 'Load Threshold Map'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+
+          {sortMode === 5 && (
+            <>
+              {[
+                { key: 'min', label: 'Min Length' },
+                { key: 'max', label: 'Max Length' },
+                { key: 'mean', label: 'Mean Length' }
+              ].map(({ key, label }) => (
+                <React.Fragment key={key}>
+                  <Text style={styles.sliderLabel}>
+                    {label}: {intervals[key]}
+                  </Text>
+                  <Slider
+                    style={styles.slider}
+                    minimumValue={1}
+                    maximumValue={500}
+                    step={1}
+                    value={intervals[key]}
+                    onValueChange={(value) => updateIntervals({ [key]: Math.round(value) })}
+                    minimumTrackTintColor="#6366f1"
+                    maximumTrackTintColor="#e5e7eb"
+                    thumbStyle={styles.sliderThumb}
+                  />
+                </React.Fragment>
+              ))}
+            </>
+          )}
+
+          {sortMode === 6 && (
             <>
               <Text style={styles.sliderLabel}>
-                Bright Threshold: {thresholds.bright}
+                Length: {intervals.length}
               </Text>
               <Slider
                 style={styles.slider}
-                minimumValue={0}
-                maximumValue={255}
-                value={thresholds.bright}
-                onValueChange={(value) => 
-                  setThresholds(prev => ({ ...prev, bright: Math.round(value) }))
-                }
+                minimumValue={2}
+                maximumValue={500}
+                step={1}
+                value={intervals.length}
+                onValueChange={(value) => updateIntervals({ length: Math.round(value) })}
                 minimumTrackTintColor="#6366f1"
                 maximumTrackTintColor="#e5e7eb"
                 thumbStyle={styles.sliderThumb}
               />
-              
+            </>
+          )}
+
+          {(sortMode === 5 || sortMode === 6) && (
+            <>
               <Text style={styles.sliderLabel}>
-                Dark Threshold: {thresholds.dark}
+                Skip Chance: {Math.round(intervals.skip * 100)}%
               </Text>
               <Slider
                 style={styles.slider}
                 minimumValue={0}
-                maximumValue={255}
-                value={thresholds.dark}
-                onValueChange={(value) => 
-                  setThresholds(prev => ({ ...prev, dark: Math.round(value) }))
-                }
+                maximumValue={1}
+                value={intervals.skip}
+                onValueChange={(value) => updateIntervals({ skip: Math.round(value * 100) / 100 })}
                 minimumTrackTintColor="#6366f1"
                 maximumTrackTintColor="#e5e7eb"
                 thumbStyle={styles.sliderThumb}
               />
+              <TouchableOpacity
+                style={styles.tertiaryButton}
+                onPress={() => setSeed(Math.floor(Math.random() * 1000000))}
+              >
+                <Text style={styles.tertiaryButtonText}>New Random Seed (seed {seed})</Text>
+              </TouchableOpacity>
             </>
           )}
+
+          <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>
+            Alpha Cutoff: {alphaCutoff || 'Off'}
+          </Text>
+          <Slider
+            style={styles.slider}
+            minimumValue={0}
+            maximumValue={255}
+            step={1}
+            value={alphaCutoff}
+            onValueChange={(value) => setAlphaCutoff(Math.round(value))}
+            minimumTrackTintColor="#6366f1"
+            maximumTrackTintColor="#e5e7eb"
+            thumbStyle={styles.sliderThumb}
+          />
+          <Text style={styles.modeDescription}>
+            Pixels more transparent than the cutoff stay in place and end intervals
+          </Text>
+        </View>
+
+        {/* Blend */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Blend</Text>
+          <ChipGroup
+            options={blendModes}
+            value={blend.mode}
+            onChange={(mode) => setBlend(prev => ({ ...prev, mode }))}
+          />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {blendModes.find((mode) => mode.id === blend.mode).description}
+          </Text>
+          <Text style={styles.sliderLabel}>
+            Opacity: {Math.round(blend.opacity * 100)}%
+          </Text>
+          <Slider
+            style={styles.slider}
+            minimumValue={0}
+            maximumValue={1}
+            value={blend.opacity}
+            onValueChange={(value) => setBlend(prev => ({ ...prev, opacity: Math.round(value * 100) / 100 }))}
+            minimumTrackTintColor="#6366f1"
+            maximumTrackTintColor="#e5e7eb"
+            thumbStyle={styles.sliderThumb}
+          />
+          <Text style={[styles.sliderLabel, styles.sliderLabelSpaced]}>Sorted Channels</Text>
+          <ChipGroup
+            multiple
+            options={blendChannels}
+            value={blend.channels}
+            onChange={(channels) => setBlend(prev => ({ ...prev, channels }))}
+          />
+          <Text style={styles.modeDescription}>
+            Channels left out keep the original's values
+          </Text>
+        </View>
+
+        {/* Output Size */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Resolution</Text>
+          <ChipGroup options={resolutions} value={resolution} onChange={setResolution} />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {resolutions.find((size) => size.id === resolution).description}
+          </Text>
+          <Text style={styles.sliderLabel}>Live Preview</Text>
+          <ChipGroup
+            options={[
+              { id: false, name: 'Off' },
+              { id: true, name: 'On' }
+            ]}
+            value={livePreview}
+            onChange={setLivePreview}
+          />
+          <Text style={styles.modeDescription}>
+            Re-sorts a 200 px copy as you change settings; Apply renders the chosen resolution
+          </Text>
+        </View>
+
+        {/* Operation Stack */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Operation Stack</Text>
+          <StepList
+            steps={steps}
+            selectedId={selectedStepId}
+            describe={describeStep}
+            onSelect={selectStep}
+            onToggle={toggleStep}
+            onMove={moveStep}
+            onDelete={deleteStep}
+          />
+          <Text style={[styles.modeDescription, styles.descriptionSpaced]}>
+            {enabledSteps.length > 0
+              ? 'Apply runs the steps that are on, each on the result of the one before'
+              : 'Add the current settings as a step to sort on top of earlier sorts; tap a step to edit it'}
+          </Text>
+          <View style={[styles.buttonRow, styles.buttonSpaced]}>
+            <TouchableOpacity style={[styles.tertiaryButton, styles.buttonRowItem]} onPress={addStep}>
+              <Text style={styles.tertiaryButtonText}>Add Step</Text>
+            </TouchableOpacity>
+            {selectedStepIndex >= 0 && (
+              <TouchableOpacity style={[styles.tertiaryButton, styles.buttonRowItem]} onPress={updateStep}>
+                <Text style={styles.tertiaryButtonText}>Update Step {selectedStepIndex + 1}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.tertiaryButton, styles.buttonRowItem]}
+              onPress={() => setStackHistory(undoHistory)}
+              disabled={stackHistory.past.length === 0}
+            >
+              <Text style={[
+                styles.tertiaryButtonText,
+                stackHistory.past.length === 0 && styles.tertiaryButtonTextDisabled
+              ]}>
+                Undo
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.tertiaryButton, styles.buttonRowItem]}
+              onPress={() => setStackHistory(redoHistory)}
+              disabled={stackHistory.future.length === 0}
+            >
+              <Text style={[
+                styles.tertiaryButtonText,
+                stackHistory.future.length === 0 && styles.tertiaryButtonTextDisabled
+              ]}>
+                Redo
+              </Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Action Buttons */}
@@ -293,7 +1590,11 @@ export default function App() {
               disabled={isProcessing}
             >
               <Text style={styles.primaryButtonText}>
-                {isProcessing ? 'Processing...' : 'Apply Pixel Sort'}
+                {isProcessing
+                  ? 'Processing...'
+                  : enabledSteps.length > 0
+                    ? `Apply ${enabledSteps.length} Step${enabledSteps.length === 1 ? '' : 's'}`
+                    : 'Apply Pixel Sort'}
               </Text>
             </TouchableOpacity>
           )}
@@ -356,6 +1657,16 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginBottom: 20,
   },
+  imageOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+  },
+  previewPending: {
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   processedImageWrapper: {
     alignItems: 'center',
   },
@@ -403,6 +1714,25 @@ const styles = StyleSheet.create({
     color: '#94a3b8',
     marginTop: 5,
   },
+  keyImagePreview: {
+    width: 80,
+    height: 80,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  cancelButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#ef4444',
+  },
+  cancelButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   sectionContainer: {
     paddingHorizontal: 20,
     marginBottom: 30,
@@ -451,11 +1781,27 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontStyle: 'italic',
   },
+  descriptionSpaced: {
+    marginBottom: 15,
+  },
+  buttonSpaced: {
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  buttonRowItem: {
+    flex: 1,
+  },
   sliderLabel: {
     color: '#ffffff',
     fontSize: 16,
     marginBottom: 10,
   },
+  sliderLabelSpaced: {
+    marginTop: 15,
+  },
   slider: {
     width: '100%',
     height: 40,
@@ -505,6 +1851,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  tertiaryButtonTextDisabled: {
+    color: '#4b5563',
+  },
   disabledButton: {
     backgroundColor: '#374151',
   },
@@ -0,0 +1,67 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import usePanResponder from './usePanResponder';
+
+/**
+ * Circular dial for picking an angle in degrees (0-359, clockwise from 3 o'clock)
+ */
+export default function AngleDial({ value, onChange, size = 140 }) {
+  const handleTouch = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    const center = size / 2;
+    const degrees = (Math.atan2(locationY - center, locationX - center) * 180) / Math.PI;
+    onChange(Math.round(degrees + 360) % 360);
+  };
+
+  const panHandlers = usePanResponder({
+    onPanResponderGrant: handleTouch,
+    onPanResponderMove: handleTouch
+  });
+
+  return (
+    <View
+      style={[styles.dial, { width: size, height: size, borderRadius: size / 2 }]}
+      {...panHandlers}
+    >
+      <View
+        pointerEvents="none"
+        style={[StyleSheet.absoluteFill, { transform: [{ rotate: `${value}deg` }] }]}
+      >
+        <View style={[styles.needle, { left: size / 2, top: size / 2 - 2, width: size / 2 - 10 }]} />
+        <View style={[styles.knob, { left: size - 22, top: size / 2 - 7 }]} />
+      </View>
+      <Text pointerEvents="none" style={styles.value}>{value}°</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  dial: {
+    backgroundColor: '#1e293b',
+    borderWidth: 2,
+    borderColor: '#334155',
+    alignSelf: 'center',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  needle: {
+    position: 'absolute',
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#6366f1',
+  },
+  knob: {
+    position: 'absolute',
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: '#ffffff',
+  },
+  value: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    backgroundColor: '#1e293b',
+    paddingHorizontal: 6,
+  },
+});
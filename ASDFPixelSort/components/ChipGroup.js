@@ -0,0 +1,69 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+
+/**
+ * Row of selectable chips; `options` is a list of { id, name }. With
+ * `multiple`, `value` is a list of ids and each chip toggles its own.
+ */
+export default function ChipGroup({ options, value, onChange, multiple = false, centered = false, style }) {
+  const isActive = (id) => (multiple ? value.includes(id) : value === id);
+  const select = (id) => {
+    if (!multiple) {
+      onChange(id);
+      return;
+    }
+    // Keep the options' order whichever chip was pressed
+    onChange(options
+      .map((option) => option.id)
+      .filter((optionId) => (optionId === id ? !value.includes(id) : value.includes(optionId))));
+  };
+
+  return (
+    <View style={[styles.container, centered && styles.centered, style]}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={String(option.id)}
+          style={[styles.chip, isActive(option.id) && styles.chipActive]}
+          onPress={() => select(option.id)}
+        >
+          <Text style={[styles.chipText, isActive(option.id) && styles.chipTextActive]}>
+            {option.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  centered: {
+    justifyContent: 'center',
+    marginTop: 15,
+  },
+  chip: {
+    backgroundColor: '#1e293b',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  chipActive: {
+    backgroundColor: '#312e81',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    color: '#94a3b8',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#ffffff',
+  },
+});
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, Text, TextInput, View, TouchableOpacity } from 'react-native';
+import Slider from '@react-native-community/slider';
+import { fromRGB, parseHexColor, toHexColor, getRed, getGreen, getBlue } from '../utils/color';
+
+const PRESETS = ['#000000', '#404040', '#808080', '#C0C0C0', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF'];
+
+const CHANNELS = [
+  { name: 'R', get: getRed, tint: '#ef4444' },
+  { name: 'G', get: getGreen, tint: '#22c55e' },
+  { name: 'B', get: getBlue, tint: '#3b82f6' }
+];
+
+/**
+ * Edit an opaque Processing color as a swatch and hex code. Tapping the
+ * swatch opens R/G/B sliders and presets; `onEyedropper`, if given, adds a
+ * button for sampling the color from the image instead.
+ */
+export default function ColorPicker({ label, value, onChange, onEyedropper, eyedropperActive = false }) {
+  const [expanded, setExpanded] = useState(false);
+  const [text, setText] = useState(toHexColor(value));
+
+  useEffect(() => setText(toHexColor(value)), [value]);
+
+  // Invalid codes snap back to the current color
+  const commitText = () => {
+    const color = parseHexColor(text);
+    if (color === null) {
+      setText(toHexColor(value));
+    } else {
+      onChange(color);
+    }
+  };
+
+  const setChannel = (index, channelValue) => {
+    const rgb = CHANNELS.map((channel) => channel.get(value));
+    rgb[index] = Math.round(channelValue);
+    onChange(fromRGB(...rgb));
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.swatch, { backgroundColor: toHexColor(value) }]}
+          onPress={() => setExpanded(!expanded)}
+        />
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={setText}
+          onEndEditing={commitText}
+          onSubmitEditing={commitText}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          maxLength={7}
+        />
+        {onEyedropper && (
+          <TouchableOpacity
+            style={[styles.eyedropper, eyedropperActive && styles.eyedropperActive]}
+            onPress={onEyedropper}
+          >
+            <Text style={[styles.eyedropperText, eyedropperActive && styles.eyedropperTextActive]}>
+              {eyedropperActive ? 'Picking...' : 'Pick from Image'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <Text style={styles.rgb}>
+        RGB {CHANNELS.map((channel) => channel.get(value)).join(', ')} · int {value}
+      </Text>
+
+      {expanded && (
+        <>
+          {CHANNELS.map((channel, index) => (
+            <View key={channel.name} style={styles.channel}>
+              <Text style={styles.channelLabel}>{channel.name}</Text>
+              <Slider
+                style={styles.channelSlider}
+                minimumValue={0}
+                maximumValue={255}
+                step={1}
+                value={channel.get(value)}
+                onValueChange={(channelValue) => setChannel(index, channelValue)}
+                minimumTrackTintColor={channel.tint}
+                maximumTrackTintColor="#e5e7eb"
+              />
+            </View>
+          ))}
+          <View style={styles.presets}>
+            {PRESETS.map((preset) => (
+              <TouchableOpacity
+                key={preset}
+                style={[styles.preset, { backgroundColor: preset }]}
+                onPress={() => onChange(parseHexColor(preset))}
+              />
+            ))}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    color: '#ffffff',
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  swatch: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#334155',
+  },
+  input: {
+    width: 100,
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    color: '#ffffff',
+    fontSize: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+  },
+  eyedropper: {
+    flex: 1,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  eyedropperActive: {
+    backgroundColor: '#312e81',
+    borderColor: '#6366f1',
+  },
+  eyedropperText: {
+    color: '#94a3b8',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  eyedropperTextActive: {
+    color: '#ffffff',
+  },
+  rgb: {
+    color: '#94a3b8',
+    fontSize: 12,
+    marginTop: 6,
+  },
+  channel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  channelLabel: {
+    color: '#94a3b8',
+    fontSize: 14,
+    width: 20,
+  },
+  channelSlider: {
+    flex: 1,
+    height: 40,
+  },
+  presets: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8,
+  },
+  preset: {
+    width: 28,
+    height: 28,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+});
@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import { StyleSheet, Text, View, Image } from 'react-native';
+import useImageFrame from './useImageFrame';
+import usePanResponder from './usePanResponder';
+import { fromRGB, toHexColor } from '../utils/color';
+
+const LOUPE_SIZE = 56;
+
+/**
+ * Eyedropper over an image: drag to preview the color under the finger and
+ * release to pick it. `pixels` is the image decoded as RGBA (any size; it is
+ * sampled proportionally) and may be null while still loading.
+ */
+export default function ColorSampler({ imageUri, pixels, onPick, width, height }) {
+  const [sample, setSample] = useState(null);
+  const frame = useImageFrame(imageUri, width, height);
+  const current = useRef(null);
+
+  const sampleAt = (event) => {
+    if (!pixels) return null;
+    const { locationX, locationY } = event.nativeEvent;
+    const fx = (locationX - frame.left) / frame.width;
+    const fy = (locationY - frame.top) / frame.height;
+    if (fx < 0 || fx >= 1 || fy < 0 || fy >= 1) return null;
+
+    const i = (Math.floor(fy * pixels.height) * pixels.width + Math.floor(fx * pixels.width)) * 4;
+    const color = fromRGB(pixels.data[i], pixels.data[i + 1], pixels.data[i + 2]);
+    return { color, x: locationX, y: locationY };
+  };
+
+  const update = (event) => {
+    current.current = sampleAt(event);
+    setSample(current.current);
+  };
+
+  const panHandlers = usePanResponder({
+    onPanResponderGrant: update,
+    onPanResponderMove: update,
+    onPanResponderRelease: () => {
+      if (current.current) onPick(current.current.color);
+      current.current = null;
+      setSample(null);
+    },
+    onPanResponderTerminate: () => {
+      current.current = null;
+      setSample(null);
+    }
+  });
+
+  // Keep the loupe above the finger, and inside the view
+  const loupeStyle = sample && {
+    backgroundColor: toHexColor(sample.color),
+    left: Math.max(0, Math.min(width - LOUPE_SIZE, sample.x - LOUPE_SIZE / 2)),
+    top: Math.max(0, sample.y - LOUPE_SIZE * 1.5)
+  };
+
+  return (
+    <View style={[styles.sampler, { width, height }]} {...panHandlers}>
+      <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+        <Image source={{ uri: imageUri }} style={{ width, height }} resizeMode="contain" />
+        {sample && (
+          <View style={[styles.loupe, loupeStyle]}>
+            <Text style={styles.loupeText}>{toHexColor(sample.color)}</Text>
+          </View>
+        )}
+        <Text style={styles.hint}>
+          {pixels ? 'Touch the image and release on a color' : 'Loading image...'}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  sampler: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  loupe: {
+    position: 'absolute',
+    width: LOUPE_SIZE,
+    height: LOUPE_SIZE,
+    borderRadius: LOUPE_SIZE / 2,
+    borderWidth: 3,
+    borderColor: '#ffffff',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+  },
+  loupeText: {
+    color: '#ffffff',
+    fontSize: 9,
+    fontWeight: '600',
+    backgroundColor: '#0f172acc',
+    paddingHorizontal: 3,
+    borderRadius: 4,
+    marginBottom: 4,
+  },
+  hint: {
+    position: 'absolute',
+    bottom: 8,
+    alignSelf: 'center',
+    color: '#ffffff',
+    fontSize: 12,
+    backgroundColor: '#0f172acc',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+  },
+});
@@ -0,0 +1,107 @@
+import React, { useMemo, useRef } from 'react';
+import { StyleSheet, View, Image } from 'react-native';
+import useImageFrame from './useImageFrame';
+import usePanResponder from './usePanResponder';
+import { createGradientMap } from '../utils/thresholdMap';
+import { encodePNG } from '../utils/png';
+import { encodeBase64 } from '../utils/base64';
+
+// Width of the rasterized gradient shown over the image
+const PREVIEW_WIDTH = 160;
+const HANDLE_SIZE = 28;
+
+/**
+ * Place a threshold gradient over an image by dragging its two handles: the
+ * white one where the regular thresholds apply, the indigo one where the end
+ * thresholds do. Points are reported in image fractions (see
+ * createGradientMap in utils/thresholdMap.js).
+ */
+export default function GradientEditor({ imageUri, gradient, onChange, width, height }) {
+  const frame = useImageFrame(imageUri, width, height);
+  const dragging = useRef(null);
+
+  const toPoint = (event) => ({
+    x: Math.max(0, Math.min(1, (event.nativeEvent.locationX - frame.left) / frame.width)),
+    y: Math.max(0, Math.min(1, (event.nativeEvent.locationY - frame.top) / frame.height))
+  });
+
+  const panHandlers = usePanResponder({
+    onPanResponderGrant: (event) => {
+      const point = toPoint(event);
+      // Grab whichever handle is closer on screen
+      const distance = (handle) => Math.hypot(
+        (gradient[handle].x - point.x) * frame.width,
+        (gradient[handle].y - point.y) * frame.height
+      );
+      dragging.current = distance('start') <= distance('end') ? 'start' : 'end';
+    },
+    onPanResponderMove: (event) => {
+      if (!dragging.current) return;
+      onChange({ ...gradient, [dragging.current]: toPoint(event) });
+    },
+    onPanResponderRelease: () => {
+      dragging.current = null;
+    },
+    onPanResponderTerminate: () => {
+      dragging.current = null;
+    }
+  });
+
+  // Where the end thresholds apply, as a translucent indigo PNG
+  const overlayUri = useMemo(() => {
+    const previewHeight = Math.max(1, Math.round((PREVIEW_WIDTH * frame.height) / frame.width));
+    const map = createGradientMap(PREVIEW_WIDTH, previewHeight, gradient);
+    const data = new Uint8ClampedArray(map.data.length * 4);
+    for (let i = 0; i < map.data.length; i++) {
+      data[i * 4] = 99;
+      data[i * 4 + 1] = 102;
+      data[i * 4 + 2] = 241;
+      data[i * 4 + 3] = map.data[i] * 0.6;
+    }
+    const png = encodePNG({ data, width: PREVIEW_WIDTH, height: previewHeight }, { level: 1 });
+    return `data:image/png;base64,${encodeBase64(png)}`;
+  }, [gradient, frame]);
+
+  const handleStyle = (point) => ({
+    left: frame.left + point.x * frame.width - HANDLE_SIZE / 2,
+    top: frame.top + point.y * frame.height - HANDLE_SIZE / 2
+  });
+
+  return (
+    <View style={[styles.editor, { width, height }]} {...panHandlers}>
+      <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+        <Image source={{ uri: imageUri }} style={{ width, height }} resizeMode="contain" />
+        <Image source={{ uri: overlayUri }} style={[styles.layer, frame]} resizeMode="stretch" />
+        <View style={[styles.handle, styles.startHandle, handleStyle(gradient.start)]} />
+        <View style={[styles.handle, styles.endHandle, handleStyle(gradient.end)]} />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  editor: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  layer: {
+    position: 'absolute',
+  },
+  handle: {
+    position: 'absolute',
+    width: HANDLE_SIZE,
+    height: HANDLE_SIZE,
+    borderRadius: HANDLE_SIZE / 2,
+    borderWidth: 3,
+  },
+  startHandle: {
+    backgroundColor: '#ffffff',
+    borderColor: '#0f172a',
+  },
+  endHandle: {
+    backgroundColor: '#6366f1',
+    borderColor: '#ffffff',
+  },
+});
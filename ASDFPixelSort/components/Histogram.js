@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import { StyleSheet, Text, View, Image } from 'react-native';
+import { encodePNG } from '../utils/png';
+import { encodeBase64 } from '../utils/base64';
+
+// Rasterized size of the bars: one column per level
+const BARS_WIDTH = 256;
+const BARS_HEIGHT = 64;
+
+// Bar heights (0-1) for each level, scaled to the tallest bar
+function scaleCounts(counts) {
+  let max = 1;
+  for (let level = 0; level < 256; level++) max = Math.max(max, counts[level]);
+  return Array.from(counts, (count) => count / max);
+}
+
+/**
+ * Histogram of an image (see computeHistogram in utils/histogram.js), as
+ * luminance bars or overlapping red, green and blue bars, with vertical
+ * `markers` ({ value, color, label }) at threshold levels.
+ */
+export default function Histogram({ histogram, channel = 'luminance', markers = [], width, height = 100 }) {
+  const barsUri = useMemo(() => {
+    const data = new Uint8ClampedArray(BARS_WIDTH * BARS_HEIGHT * 4);
+    const channels = channel === 'rgb'
+      ? [histogram.red, histogram.green, histogram.blue].map(scaleCounts)
+      : [scaleCounts(histogram.luminance)];
+
+    for (let x = 0; x < BARS_WIDTH; x++) {
+      for (let y = 0; y < BARS_HEIGHT; y++) {
+        const i = (y * BARS_WIDTH + x) * 4;
+        const level = 1 - (y + 0.5) / BARS_HEIGHT;
+        if (channels.length === 1) {
+          if (channels[0][x] < level) continue;
+          data[i] = 148;
+          data[i + 1] = 163;
+          data[i + 2] = 184;
+          data[i + 3] = 255;
+        } else {
+          // Channels add up where their bars overlap, so shared areas turn white
+          let covered = false;
+          channels.forEach((heights, c) => {
+            if (heights[x] < level) return;
+            data[i + c] = 230;
+            covered = true;
+          });
+          if (covered) data[i + 3] = 255;
+        }
+      }
+    }
+
+    const png = encodePNG({ data, width: BARS_WIDTH, height: BARS_HEIGHT }, { level: 1 });
+    return `data:image/png;base64,${encodeBase64(png)}`;
+  }, [histogram, channel]);
+
+  return (
+    <View style={[styles.container, { width, height }]}>
+      <Image source={{ uri: barsUri }} style={{ width, height }} resizeMode="stretch" />
+      {markers.map((marker) => (
+        <View
+          key={marker.label}
+          style={[styles.marker, { left: (marker.value / 255) * (width - 2), backgroundColor: marker.color }]}
+        >
+          <Text style={[styles.markerLabel, marker.value > 192 && styles.markerLabelLeft, { color: marker.color }]}>
+            {marker.label}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  marker: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+  },
+  markerLabel: {
+    position: 'absolute',
+    top: 2,
+    left: 4,
+    width: 60,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  // Labels near the right edge sit left of their marker
+  markerLabelLeft: {
+    left: -64,
+    textAlign: 'right',
+  },
+});
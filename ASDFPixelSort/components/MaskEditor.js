@@ -0,0 +1,117 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { StyleSheet, View, Image } from 'react-native';
+import useImageFrame from './useImageFrame';
+import usePanResponder from './usePanResponder';
+import { createMask, paintStrokes, MASK_THRESHOLD } from '../utils/mask';
+import { encodePNG } from '../utils/png';
+import { encodeBase64 } from '../utils/base64';
+
+// Width of the rasterized mask shown over the image
+const PREVIEW_WIDTH = 160;
+
+/**
+ * Paint a sort mask over an image. Brush strokes protect pixels from sorting,
+ * eraser strokes release them again; strokes are reported in image fractions
+ * (see paintStrokes in utils/mask.js).
+ */
+export default function MaskEditor({
+  imageUri,
+  maskImageUri,
+  strokes,
+  onChange,
+  erase,
+  brushSize,
+  width,
+  height
+}) {
+  const [currentStroke, setCurrentStroke] = useState(null);
+  const frame = useImageFrame(imageUri, width, height);
+  const stroke = useRef(null);
+
+  const toPoint = (event) => ({
+    x: (event.nativeEvent.locationX - frame.left) / frame.width,
+    y: (event.nativeEvent.locationY - frame.top) / frame.height
+  });
+
+  const panHandlers = usePanResponder({
+    onPanResponderGrant: (event) => {
+      stroke.current = { points: [toPoint(event)], size: brushSize, erase };
+      setCurrentStroke(stroke.current);
+    },
+    onPanResponderMove: (event) => {
+      const current = stroke.current;
+      if (!current) return;
+      const point = toPoint(event);
+      const last = current.points[current.points.length - 1];
+      // Skip points closer than a quarter brush width to keep strokes short
+      const distance = Math.hypot(
+        (point.x - last.x) * frame.width,
+        (point.y - last.y) * frame.height
+      );
+      if (distance < (current.size * frame.width) / 4) return;
+      stroke.current = { ...current, points: [...current.points, point] };
+      setCurrentStroke(stroke.current);
+    },
+    onPanResponderRelease: () => {
+      if (stroke.current) onChange([...strokes, stroke.current]);
+      stroke.current = null;
+      setCurrentStroke(null);
+    },
+    onPanResponderTerminate: () => {
+      stroke.current = null;
+      setCurrentStroke(null);
+    }
+  });
+
+  // Protected areas as a translucent red PNG stretched over the image
+  const overlayUri = useMemo(() => {
+    const allStrokes = currentStroke ? [...strokes, currentStroke] : strokes;
+    if (allStrokes.length === 0) return null;
+
+    const previewHeight = Math.max(1, Math.round((PREVIEW_WIDTH * frame.height) / frame.width));
+    const mask = paintStrokes(createMask(PREVIEW_WIDTH, previewHeight), allStrokes);
+    const data = new Uint8ClampedArray(mask.data.length * 4);
+    for (let i = 0; i < mask.data.length; i++) {
+      if (mask.data[i] >= MASK_THRESHOLD) continue;
+      data[i * 4] = 239;
+      data[i * 4 + 1] = 68;
+      data[i * 4 + 2] = 68;
+      data[i * 4 + 3] = 150;
+    }
+    const png = encodePNG({ data, width: PREVIEW_WIDTH, height: previewHeight }, { level: 1 });
+    return `data:image/png;base64,${encodeBase64(png)}`;
+  }, [strokes, currentStroke, frame]);
+
+  return (
+    <View style={[styles.editor, { width, height }]} {...panHandlers}>
+      <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+        <Image source={{ uri: imageUri }} style={{ width, height }} resizeMode="contain" />
+        {maskImageUri && (
+          <Image
+            source={{ uri: maskImageUri }}
+            style={[styles.layer, frame, styles.maskImage]}
+            resizeMode="stretch"
+          />
+        )}
+        {overlayUri && (
+          <Image source={{ uri: overlayUri }} style={[styles.layer, frame]} resizeMode="stretch" />
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  editor: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  layer: {
+    position: 'absolute',
+  },
+  maskImage: {
+    opacity: 0.4,
+  },
+});
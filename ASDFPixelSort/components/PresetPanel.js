@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, TextInput, View, TouchableOpacity } from 'react-native';
+
+/**
+ * Apply, save, rename and delete named presets, and share them as JSON.
+ * Built-in presets can only be applied. Names are the presets' identity:
+ * saving under an existing name replaces that preset.
+ */
+export default function PresetPanel({
+  builtInPresets,
+  presets,
+  onApply,
+  onSave,
+  onRename,
+  onDelete,
+  onExport,
+  onImport
+}) {
+  const [name, setName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [renameText, setRenameText] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importText, setImportText] = useState('');
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  const finishRename = () => {
+    // Submitting also ends editing, so this can run twice
+    if (renaming === null) return;
+    if (renameText.trim() && renameText.trim() !== renaming) onRename(renaming, renameText.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <View>
+      <View style={styles.chips}>
+        {builtInPresets.map((preset) => (
+          <TouchableOpacity key={preset.name} style={styles.chip} onPress={() => onApply(preset)}>
+            <Text style={styles.chipText}>{preset.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {presets.map((preset) => (
+        <View key={preset.name} style={styles.row}>
+          {renaming === preset.name ? (
+            <TextInput
+              style={[styles.input, styles.rowName]}
+              value={renameText}
+              onChangeText={setRenameText}
+              onSubmitEditing={finishRename}
+              onEndEditing={finishRename}
+              autoFocus
+            />
+          ) : (
+            <TouchableOpacity style={styles.rowName} onPress={() => onApply(preset)}>
+              <Text style={styles.rowNameText}>{preset.name}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.rowAction}
+            onPress={() => {
+              setRenaming(preset.name);
+              setRenameText(preset.name);
+            }}
+          >
+            <Text style={styles.rowActionText}>Rename</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.rowAction} onPress={() => onDelete(preset.name)}>
+            <Text style={[styles.rowActionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.saveRow}>
+        <TextInput
+          style={[styles.input, styles.saveInput]}
+          value={name}
+          onChangeText={setName}
+          onSubmitEditing={save}
+          placeholder="Preset name"
+          placeholderTextColor="#64748b"
+        />
+        <TouchableOpacity style={styles.button} onPress={save}>
+          <Text style={styles.buttonText}>Save Current</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.saveRow}>
+        <TouchableOpacity style={[styles.button, styles.buttonWide]} onPress={onExport}>
+          <Text style={styles.buttonText}>Export JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.buttonWide]} onPress={() => setImporting(!importing)}>
+          <Text style={styles.buttonText}>{importing ? 'Cancel Import' : 'Import JSON'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {importing && (
+        <>
+          <TextInput
+            style={[styles.input, styles.importInput]}
+            value={importText}
+            onChangeText={setImportText}
+            placeholder="Paste exported presets here"
+            placeholderTextColor="#64748b"
+            multiline
+            autoCorrect={false}
+            autoCapitalize="none"
+          />
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => {
+              if (onImport(importText)) {
+                setImportText('');
+                setImporting(false);
+              }
+            }}
+          >
+            <Text style={styles.buttonText}>Import</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    backgroundColor: '#1e293b',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  chipText: {
+    color: '#94a3b8',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  rowName: {
+    flex: 1,
+  },
+  rowNameText: {
+    color: '#ffffff',
+    fontSize: 16,
+    paddingVertical: 8,
+  },
+  rowAction: {
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+  },
+  rowActionText: {
+    color: '#94a3b8',
+    fontSize: 14,
+  },
+  deleteText: {
+    color: '#f87171',
+  },
+  input: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    color: '#ffffff',
+    fontSize: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  saveInput: {
+    flex: 1,
+  },
+  importInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+    marginBottom: 8,
+  },
+  button: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#374151',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    alignItems: 'center',
+  },
+  buttonWide: {
+    flex: 1,
+  },
+  buttonText: {
+    color: '#9ca3af',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+
+/**
+ * Rows of an operation stack ({ id, enabled, options }), in the order they
+ * run. Tapping a step selects it; each can be switched off, moved or deleted.
+ * `describe` turns a step into its one-line summary.
+ */
+export default function StepList({ steps, selectedId, describe, onSelect, onToggle, onMove, onDelete }) {
+  return (
+    <View>
+      {steps.map((step, index) => (
+        <View key={step.id} style={[styles.row, step.id === selectedId && styles.rowSelected]}>
+          <TouchableOpacity style={styles.summary} onPress={() => onSelect(step.id)}>
+            <Text style={[styles.summaryText, !step.enabled && styles.disabledText]}>
+              {index + 1}. {describe(step)}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.action} onPress={() => onToggle(step.id)}>
+            <Text style={[styles.actionText, step.enabled && styles.enabledText]}>
+              {step.enabled ? 'On' : 'Off'}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.action}
+            onPress={() => onMove(step.id, -1)}
+            disabled={index === 0}
+          >
+            <Text style={[styles.actionText, index === 0 && styles.disabledText]}>↑</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.action}
+            onPress={() => onMove(step.id, 1)}
+            disabled={index === steps.length - 1}
+          >
+            <Text style={[styles.actionText, index === steps.length - 1 && styles.disabledText]}>↓</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.action} onPress={() => onDelete(step.id)}>
+            <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingHorizontal: 8,
+    marginBottom: 8,
+  },
+  rowSelected: {
+    borderColor: '#6366f1',
+    backgroundColor: '#312e81',
+  },
+  summary: {
+    flex: 1,
+    paddingVertical: 10,
+  },
+  summaryText: {
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  action: {
+    paddingVertical: 10,
+    paddingHorizontal: 6,
+  },
+  actionText: {
+    color: '#94a3b8',
+    fontSize: 14,
+  },
+  enabledText: {
+    color: '#a5b4fc',
+  },
+  disabledText: {
+    color: '#475569',
+  },
+  deleteText: {
+    color: '#f87171',
+  },
+});
@@ -0,0 +1,32 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Image } from 'react-native';
+
+/**
+ * Where an image sits inside a width x height view with resizeMode "contain",
+ * as { left, top, width, height }. Until the image size is known the frame
+ * fills the whole view.
+ */
+export default function useImageFrame(imageUri, width, height) {
+  const [imageSize, setImageSize] = useState(null);
+
+  useEffect(() => {
+    Image.getSize(
+      imageUri,
+      (imageWidth, imageHeight) => setImageSize({ width: imageWidth, height: imageHeight }),
+      () => setImageSize(null)
+    );
+  }, [imageUri]);
+
+  return useMemo(() => {
+    if (!imageSize) return { left: 0, top: 0, width, height };
+    const scale = Math.min(width / imageSize.width, height / imageSize.height);
+    const frameWidth = imageSize.width * scale;
+    const frameHeight = imageSize.height * scale;
+    return {
+      left: (width - frameWidth) / 2,
+      top: (height - frameHeight) / 2,
+      width: frameWidth,
+      height: frameHeight
+    };
+  }, [imageSize, width, height]);
+}
@@ -0,0 +1,35 @@
+import { useRef } from 'react';
+import { PanResponder } from 'react-native';
+
+const GESTURE_HANDLERS = [
+  'onPanResponderGrant',
+  'onPanResponderMove',
+  'onPanResponderRelease',
+  'onPanResponderTerminate'
+];
+
+/**
+ * Touch handling for views that own every touch on them: the gesture is kept
+ * when a surrounding ScrollView wants to scroll. The PanResponder is created
+ * once, so a gesture survives re-renders, and it calls the handlers passed on
+ * the latest render through a ref: they can use current props and state.
+ * @param {Object} handlers - Any of onPanResponderGrant, onPanResponderMove,
+ *   onPanResponderRelease and onPanResponderTerminate
+ * @returns {Object} Handlers to spread onto the view
+ */
+export default function usePanResponder(handlers) {
+  const latest = useRef(handlers);
+  latest.current = handlers;
+
+  return useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      ...Object.fromEntries(GESTURE_HANDLERS.map((name) => [
+        name,
+        (...args) => latest.current[name]?.(...args)
+      ]))
+    })
+  ).current.panHandlers;
+}
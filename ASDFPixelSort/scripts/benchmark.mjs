@@ -0,0 +1,117 @@
+/**
+ * Pixel sort benchmark: the typed-array engine against the original one
+ * (scripts/baseline/pixelSort.js: plain arrays, a comparator sort per
+ * interval, brightness recomputed on every visit) on a synthetic, seeded
+ * 12-megapixel image, sorting by color in each threshold mode.
+ *
+ * Both must produce identical pixels; the script exits non-zero if any case differs.
+ *
+ * Usage: npm run benchmark [-- --width 4000 --height 3000 --seed 1]
+ */
+import { register } from 'node:module';
+
+register('./node-loader.mjs', import.meta.url);
+
+const { PixelSorter } = await import('../utils/pixelSort.js');
+const { PixelSorter: BaselinePixelSorter } = await import('./baseline/pixelSort.js');
+const { createRandom, createNoise2D } = await import('../utils/random.js');
+
+// The baseline returns a browser ImageData
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    Object.assign(this, { data, width, height });
+  }
+};
+
+// `pad` is a color each mode never sorts (see below)
+const CASES = [
+  { name: 'white (sketch default)', mode: 0, pad: 0xFF000000 },
+  { name: 'black', mode: 1, pad: 0xFFFFFFFF },
+  { name: 'bright', mode: 2, pad: 0xFF000000 },
+  { name: 'dark', mode: 3, pad: 0xFFFFFFFF }
+];
+
+function parseArgs(argv) {
+  const args = { width: 4000, height: 3000, seed: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in args)) throw new Error(`Unknown option: ${argv[i]}`);
+    args[name] = Number(argv[i + 1]);
+  }
+  return args;
+}
+
+/**
+ * Photo-like test image: smooth noise shapes with grain, so intervals have
+ * realistic lengths in every mode
+ */
+function createTestImage(width, height, seed) {
+  const random = createRandom(seed);
+  const noise = [createNoise2D(seed), createNoise2D(seed + 1), createNoise2D(seed + 2)];
+  const data = new Uint8ClampedArray(width * height * 4);
+  const frequency = 6 / Math.max(width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = noise[c](x * frequency, y * frequency) * 255 + (random() - 0.5) * 24;
+      }
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+async function time(sort) {
+  const start = process.hrtime.bigint();
+  const result = await sort();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+/**
+ * Add a column and a row of `color`. The baseline, like the sketch, never
+ * sorts the last column or row; with a padding color that ends every
+ * interval, it sorts all of the image like the current engine.
+ */
+function pad({ data, width, height }, color) {
+  const padded = new Uint8ClampedArray((width + 1) * (height + 1) * 4);
+  const fill = [(color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF, 255];
+  for (let i = 0; i < padded.length; i += 4) padded.set(fill, i);
+  for (let y = 0; y < height; y++) {
+    padded.set(data.subarray(y * width * 4, (y + 1) * width * 4), y * (width + 1) * 4);
+  }
+  return { data: padded, width: width + 1, height: height + 1 };
+}
+
+function countDifferences(data, { data: padded, width: paddedWidth }, width, height) {
+  let differing = 0;
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < width * 4; i++) {
+      if (data[y * width * 4 + i] !== padded[y * paddedWidth * 4 + i]) differing++;
+    }
+  }
+  return differing;
+}
+
+const { width, height, seed } = parseArgs(process.argv.slice(2));
+console.log(`Test image: ${width}x${height} (${((width * height) / 1e6).toFixed(1)} MP), seed ${seed}`);
+const image = createTestImage(width, height, seed);
+
+for (const { name, mode, pad: padColor } of CASES) {
+  const padded = pad(image, padColor);
+  const baseline = await time(() => new BaselinePixelSorter().sortImage(padded, mode));
+  const current = await time(() => new PixelSorter().sortImage(image, { mode }));
+  const differing = countDifferences(current.result.data, baseline.result, width, height);
+
+  console.log(
+    `${name.padEnd(24)} baseline ${baseline.ms.toFixed(0).padStart(7)} ms` +
+    `  typed ${current.ms.toFixed(0).padStart(7)} ms` +
+    `  speedup ${(baseline.ms / current.ms).toFixed(1)}x` +
+    `  differing bytes ${differing}`
+  );
+  if (differing > 0) {
+    console.error(`${name}: the typed engine differs from the baseline in ${differing} bytes`);
+    process.exitCode = 1;
+  }
+}
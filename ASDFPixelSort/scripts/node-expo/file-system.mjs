@@ -0,0 +1,26 @@
+/**
+ * The part of expo-file-system/legacy the utils use, on Node's file system,
+ * so code that reads and writes images runs outside the app
+ */
+import { mkdirSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const EncodingType = { UTF8: 'utf8', Base64: 'base64' };
+
+// One temporary folder per process stands in for the app's documents
+const documents = join(tmpdir(), `asdfpixelsort-${process.pid}`);
+mkdirSync(documents, { recursive: true });
+export const documentDirectory = `${pathToFileURL(documents).href}/`;
+
+const toPath = (uri) => (uri.startsWith('file:') ? fileURLToPath(uri) : uri);
+
+export async function readAsStringAsync(uri, { encoding = EncodingType.UTF8 } = {}) {
+  return readFile(toPath(uri), encoding);
+}
+
+export async function writeAsStringAsync(uri, contents, { encoding = EncodingType.UTF8 } = {}) {
+  await writeFile(toPath(uri), contents, encoding);
+}
@@ -0,0 +1,11 @@
+/**
+ * expo-image-manipulator outside the app: Node has no native image
+ * conversion, so images the utils can't decode themselves fail to load
+ */
+const unavailable = () => {
+  throw new Error('ImageManipulator is only available in the app');
+};
+
+export const SaveFormat = { JPEG: 'jpeg', PNG: 'png', WEBP: 'webp' };
+export const ImageManipulator = { manipulate: unavailable };
+export const manipulateAsync = unavailable;
@@ -0,0 +1,33 @@
+/**
+ * Node module hooks for running the app's utils outside Metro: resolve
+ * extensionless relative imports ('./color'), load project files as ES
+ * modules and swap the Expo native modules for the Node versions in
+ * node-expo/. Used by the scripts in this folder.
+ */
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const projectRoot = new URL('../', import.meta.url).href;
+
+const NODE_MODULES = {
+  'expo-file-system/legacy': './node-expo/file-system.mjs',
+  'expo-image-manipulator': './node-expo/image-manipulator.mjs'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (NODE_MODULES[specifier]) {
+    return { url: new URL(NODE_MODULES[specifier], import.meta.url).href, shortCircuit: true };
+  }
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier) && context.parentURL) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return { url: url.href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(projectRoot) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,7 @@
+/**
+ * Registers node-loader.mjs, for preloading with `node --import`
+ * (e.g. by the tests in test/)
+ */
+import { register } from 'node:module';
+
+register('./node-loader.mjs', import.meta.url);
@@ -0,0 +1,95 @@
+/**
+ * Blending sorted pixels over the original, against per-pixel formulas
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BLEND_CHANNELS, BLEND_MODES, blendPixels, isBlending } from '../utils/blend.js';
+import { createRandom } from '../utils/random.js';
+
+const FORMULAS = {
+  normal: (a, b) => b,
+  lighten: (a, b) => Math.max(a, b),
+  darken: (a, b) => Math.min(a, b),
+  screen: (a, b) => 255 * (1 - (1 - a / 255) * (1 - b / 255)),
+  multiply: (a, b) => 255 * (a / 255) * (b / 255),
+  difference: (a, b) => Math.abs(a - b)
+};
+
+function randomImage(width, height, seed) {
+  const random = createRandom(seed);
+  return { data: Uint8ClampedArray.from({ length: width * height * 4 }, () => random() * 256), width, height };
+}
+
+// Blend one pixel at a time; storing into a Uint8ClampedArray rounds like blendPixels
+function referenceBlend(original, sorted, { mode = 'normal', opacity = 1, channels = BLEND_CHANNELS }) {
+  const out = new Uint8ClampedArray(sorted.data.length);
+  const mix = (base, value) => base + (value - base) * opacity;
+  for (let i = 0; i < out.length; i += 4) {
+    BLEND_CHANNELS.forEach((channel, c) => {
+      const [base, top] = [original.data[i + c], sorted.data[i + c]];
+      out[i + c] = channels.includes(channel) ? mix(base, FORMULAS[mode](base, top)) : base;
+    });
+    out[i + 3] = mix(original.data[i + 3], sorted.data[i + 3]);
+  }
+  return out;
+}
+
+const original = randomImage(23, 17, 1);
+const sortedImage = () => randomImage(23, 17, 2);
+
+test('every mode and opacity matches the per-pixel formula', async () => {
+  for (const mode of BLEND_MODES) {
+    for (const opacity of [1, 0.5, 0.2]) {
+      const sorted = sortedImage();
+      const expected = referenceBlend(original, sorted, { mode, opacity });
+      const result = await blendPixels(original, sorted, { mode, opacity });
+      assert.equal(result, sorted);
+      assert.deepEqual(result.data, expected, `${mode} at ${opacity}`);
+    }
+  }
+});
+
+test('channels left out keep the original values', async () => {
+  for (const channels of [['red'], ['green', 'blue'], []]) {
+    const sorted = sortedImage();
+    await blendPixels(original, sorted, { mode: 'screen', channels });
+    assert.deepEqual(sorted.data, referenceBlend(original, sortedImage(), { mode: 'screen', channels }), `${channels}`);
+    for (let i = 0; i < sorted.data.length; i += 4) {
+      BLEND_CHANNELS.forEach((channel, c) => {
+        if (!channels.includes(channel)) assert.equal(sorted.data[i + c], original.data[i + c]);
+      });
+    }
+  }
+});
+
+test('opacity 0 gives back the original and the default blend the sorted pixels', async () => {
+  const hidden = await blendPixels(original, sortedImage(), { mode: 'difference', opacity: 0 });
+  assert.deepEqual(hidden.data, original.data);
+  const shown = await blendPixels(original, sortedImage());
+  assert.deepEqual(shown.data, sortedImage().data);
+});
+
+test('isBlending is false only for blends that leave the sorted pixels as they are', () => {
+  assert.equal(isBlending(null), false);
+  assert.equal(isBlending({}), false);
+  assert.equal(isBlending({ mode: 'normal', opacity: 1, channels: ['blue', 'red', 'green'] }), false);
+  assert.equal(isBlending({ mode: 'lighten' }), true);
+  assert.equal(isBlending({ opacity: 0.99 }), true);
+  assert.equal(isBlending({ channels: ['red', 'green'] }), true);
+});
+
+test('rejects unknown settings and mismatched sizes', async () => {
+  const sorted = sortedImage();
+  await assert.rejects(blendPixels(original, sorted, { mode: 'overlay' }), /Unknown blend mode: overlay/);
+  await assert.rejects(blendPixels(original, sorted, { opacity: 2 }), /Opacity must be between 0 and 1: 2/);
+  await assert.rejects(blendPixels(original, sorted, { channels: ['alpha'] }), /Unknown blend channel: alpha/);
+  await assert.rejects(blendPixels(original, randomImage(17, 23, 2)), /must be the same size/);
+  assert.deepEqual(sorted, sortedImage());
+});
+
+test('aborting a blend rejects with an AbortError', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(blendPixels(original, sortedImage(), { mode: 'multiply' }, controller.signal),
+    { name: 'AbortError' });
+});
@@ -0,0 +1,29 @@
+/**
+ * Packed colors and the hex form the white/black thresholds are edited in
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fromRGB, getBlue, getGreen, getRed, parseHexColor, toHexColor } from '../utils/color.js';
+import { DEFAULT_THRESHOLDS } from '../utils/pixelSort.js';
+
+test('fromRGB packs opaque colors as the sketch does', () => {
+  assert.equal(fromRGB(0, 0, 0), -16777216);
+  assert.equal(fromRGB(255, 255, 255), -1);
+  assert.equal(fromRGB(0x12, 0x34, 0x56), 0xFF123456 | 0);
+  const color = fromRGB(200, 100, 50);
+  assert.deepEqual([getRed(color), getGreen(color), getBlue(color)], [200, 100, 50]);
+});
+
+test('hex colors round-trip through the threshold ints', () => {
+  for (const value of [DEFAULT_THRESHOLDS.white, DEFAULT_THRESHOLDS.black, -16777216, -1, fromRGB(1, 2, 3)]) {
+    assert.equal(parseHexColor(toHexColor(value)), value);
+  }
+  assert.equal(toHexColor(DEFAULT_THRESHOLDS.white), '#439EB2');
+  assert.equal(toHexColor(fromRGB(0, 10, 255)), '#000AFF');
+});
+
+test('parseHexColor accepts short and unprefixed forms and rejects the rest', () => {
+  assert.equal(parseHexColor('#abc'), fromRGB(0xAA, 0xBB, 0xCC));
+  assert.equal(parseHexColor(' 439eb2 '), DEFAULT_THRESHOLDS.white);
+  for (const text of ['', '#', '#12345', '#1234567', 'red', '#GG0000']) assert.equal(parseHexColor(text), null, text);
+});
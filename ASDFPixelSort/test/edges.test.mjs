@@ -0,0 +1,75 @@
+/**
+ * Edge maps against a naive 3x3 convolution
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEdgeMap, EDGE_OPERATORS } from '../utils/edges.js';
+import { createRandom } from '../utils/random.js';
+
+const gray = (value) => 0xFF000000 | (value << 16) | (value << 8) | value;
+
+// Brightness gradient from full 3x3 kernels, clamping reads at the borders
+function naiveEdgeMap(pixels, width, height, [side, centre]) {
+  const weights = [side, centre, side];
+  const at = (x, y) => {
+    const c = pixels[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+    return 0.299 * ((c >> 16) & 0xFF) + 0.587 * ((c >> 8) & 0xFF) + 0.114 * (c & 0xFF);
+  };
+  const edges = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let gx = 0;
+      let gy = 0;
+      for (let k = -1; k <= 1; k++) {
+        gx += weights[k + 1] * (at(x + 1, y + k) - at(x - 1, y + k));
+        gy += weights[k + 1] * (at(x + k, y + 1) - at(x + k, y - 1));
+      }
+      const norm = 2 * side + centre;
+      edges[y * width + x] = Math.min(255, Math.round(Math.hypot(gx / norm, gy / norm)));
+    }
+  }
+  return edges;
+}
+
+test('both operators match the naive convolution', () => {
+  const random = createRandom(3);
+  const [width, height] = [31, 17];
+  const pixels = Int32Array.from({ length: width * height }, () => (random() * 0x100000000) | 0xFF000000);
+  for (const [operator, kernel] of Object.entries(EDGE_OPERATORS)) {
+    const edges = computeEdgeMap(pixels, width, height, operator);
+    const expected = naiveEdgeMap(pixels, width, height, kernel);
+    // Float32 rows can round a half differently
+    edges.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= 1, `${operator} at ${i}`));
+  }
+});
+
+test('a hard black-to-white step scores 255 on both sides and nothing elsewhere', () => {
+  const [width, height] = [10, 6];
+  for (const operator of Object.keys(EDGE_OPERATORS)) {
+    const vertical = Int32Array.from({ length: width * height }, (_, i) => gray(i % width < 5 ? 0 : 255));
+    const horizontal = Int32Array.from({ length: width * height }, (_, i) => gray(i < 3 * width ? 255 : 0));
+    const verticalEdges = computeEdgeMap(vertical, width, height, operator);
+    const horizontalEdges = computeEdgeMap(horizontal, width, height, operator);
+    for (let i = 0; i < width * height; i++) {
+      const [x, y] = [i % width, Math.floor(i / width)];
+      assert.equal(verticalEdges[i], x === 4 || x === 5 ? 255 : 0, `${operator} vertical at ${x},${y}`);
+      assert.equal(horizontalEdges[i], y === 2 || y === 3 ? 255 : 0, `${operator} horizontal at ${x},${y}`);
+    }
+  }
+});
+
+test('flat images have no edges and ramps score their slope', () => {
+  const [width, height] = [12, 5];
+  assert.ok(computeEdgeMap(new Int32Array(width * height).fill(gray(90)), width, height).every((value) => value === 0));
+
+  // Brightness rising 10 per column differs by 20 across each 3x3 block
+  const ramp = Int32Array.from({ length: width * height }, (_, i) => gray((i % width) * 10));
+  const edges = computeEdgeMap(ramp, width, height, 'scharr');
+  for (let y = 0; y < height; y++) {
+    assert.deepEqual(Array.from(edges.subarray(y * width, (y + 1) * width)), [10, ...Array(width - 2).fill(20), 10]);
+  }
+});
+
+test('rejects unknown operators', () => {
+  assert.throws(() => computeEdgeMap(new Int32Array(4), 2, 2, 'prewitt'), /Unknown edge operator: prewitt/);
+});
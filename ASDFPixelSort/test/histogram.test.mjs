@@ -0,0 +1,115 @@
+/**
+ * Histograms and threshold suggestions against brute-force definitions
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeHistogram, otsuThreshold, percentileThreshold, suggestThresholds
+} from '../utils/histogram.js';
+import { PixelSorter } from '../utils/pixelSort.js';
+import { createRandom } from '../utils/random.js';
+
+function randomImage(width, height, seed) {
+  const random = createRandom(seed);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = i % 4 === 3 ? 255 : random() * 256;
+  return { data, width, height };
+}
+
+// Counts with two bumps, around 60 and 190
+function bimodal() {
+  return Uint32Array.from({ length: 256 }, (_, level) => Math.round(
+    1000 * Math.exp(-(((level - 60) / 15) ** 2)) + 600 * Math.exp(-(((level - 190) / 20) ** 2))
+  ));
+}
+
+// The first level with the largest between-class variance, straight from the definition
+function bruteForceOtsu(counts) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  let best = 0;
+  let bestVariance = -1;
+  for (let t = 0; t < 255; t++) {
+    let darkCount = 0;
+    let darkSum = 0;
+    let lightSum = 0;
+    for (let level = 0; level < 256; level++) {
+      if (level <= t) {
+        darkCount += counts[level];
+        darkSum += level * counts[level];
+      } else {
+        lightSum += level * counts[level];
+      }
+    }
+    const lightCount = total - darkCount;
+    if (darkCount === 0 || lightCount === 0) continue;
+    const variance = (darkCount / total) * (lightCount / total) * (darkSum / darkCount - lightSum / lightCount) ** 2;
+    if (variance > bestVariance + 1e-9) {
+      bestVariance = variance;
+      best = t;
+    }
+  }
+  return best;
+}
+
+test('computeHistogram counts every channel and the brightness the detectors use', () => {
+  const image = randomImage(30, 20, 1);
+  const histogram = computeHistogram(image);
+  const sorter = new PixelSorter();
+  const channels = ['luminance', 'red', 'green', 'blue'];
+  const expected = Object.fromEntries(channels.map((name) => [name, new Uint32Array(256)]));
+  for (let i = 0; i < image.data.length; i += 4) {
+    const [r, g, b] = image.data.subarray(i, i + 3);
+    expected.luminance[sorter.getBrightness((r << 16) | (g << 8) | b)]++;
+    expected.red[r]++;
+    expected.green[g]++;
+    expected.blue[b]++;
+  }
+  assert.deepEqual(histogram, { ...expected, total: 600 });
+});
+
+test('otsuThreshold matches the brute-force split', () => {
+  const random = createRandom(2);
+  const cases = [bimodal(), Uint32Array.from({ length: 256 }, () => Math.floor(random() * 50))];
+  for (const counts of cases) assert.equal(otsuThreshold(counts), bruteForceOtsu(counts));
+  const split = otsuThreshold(bimodal());
+  assert.ok(split > 90 && split < 160, `split at ${split}`);
+});
+
+test('percentileThreshold leaves the requested share above or below the level', () => {
+  const uniform = new Uint32Array(256).fill(1);
+  // 102 levels lie above 153 and below 102, the closest to 40% of 256
+  assert.equal(percentileThreshold(uniform, 0.4, true), 153);
+  assert.equal(percentileThreshold(uniform, 0.4, false), 102);
+  assert.equal(percentileThreshold(uniform, 0, true), 255);
+  assert.equal(percentileThreshold(uniform, 1, false), 255);
+});
+
+test('percentile suggestions sort about the requested share of pixels', () => {
+  const image = randomImage(64, 48, 3);
+  const histogram = computeHistogram(image);
+  const brightness = [];
+  const sorter = new PixelSorter();
+  for (let i = 0; i < image.data.length; i += 4) {
+    brightness.push(sorter.getBrightness((image.data[i] << 16) | (image.data[i + 1] << 8) | image.data[i + 2]));
+  }
+  for (const fraction of [0.1, 0.4, 0.75]) {
+    const { bright, dark } = suggestThresholds(histogram, { method: 'percentile', fraction });
+    const share = (isSorted) => brightness.filter(isSorted).length / brightness.length;
+    assert.ok(Math.abs(share((value) => value > bright) - fraction) < 0.01, `bright ${fraction}`);
+    assert.ok(Math.abs(share((value) => value < dark) - fraction) < 0.01, `dark ${fraction}`);
+  }
+});
+
+test('Otsu suggestions split the image between the bright and dark modes', () => {
+  const histogram = { luminance: bimodal() };
+  const level = otsuThreshold(histogram.luminance);
+  assert.deepEqual(suggestThresholds(histogram), { bright: level, dark: level + 1 });
+  assert.deepEqual(suggestThresholds(histogram, { method: 'otsu' }), { bright: level, dark: level + 1 });
+});
+
+test('rejects unknown methods and fractions outside 0-1', () => {
+  const histogram = { luminance: new Uint32Array(256).fill(1) };
+  assert.throws(() => suggestThresholds(histogram, { method: 'median' }), /Unknown threshold method: median/);
+  assert.throws(() => suggestThresholds(histogram, { method: 'percentile', fraction: 1.5 }), /between 0 and 1/);
+  assert.throws(() => suggestThresholds(histogram, { method: 'percentile', fraction: NaN }), /between 0 and 1/);
+});
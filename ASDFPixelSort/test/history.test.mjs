@@ -0,0 +1,47 @@
+/**
+ * Undo/redo history of the operation stack
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, pushHistory, redoHistory, undoHistory } from '../utils/history.js';
+
+test('undo and redo walk back and forth through pushed values', () => {
+  let history = createHistory('a');
+  history = pushHistory(pushHistory(history, 'b'), 'c');
+  assert.deepEqual(history, { past: ['a', 'b'], present: 'c', future: [] });
+
+  history = undoHistory(undoHistory(history));
+  assert.deepEqual(history, { past: [], present: 'a', future: ['b', 'c'] });
+  history = redoHistory(history);
+  assert.deepEqual(history, { past: ['a'], present: 'b', future: ['c'] });
+});
+
+test('pushing after an undo drops what was undone', () => {
+  const history = pushHistory(undoHistory(pushHistory(createHistory(1), 2)), 3);
+  assert.deepEqual(history, { past: [1], present: 3, future: [] });
+  assert.equal(redoHistory(history), history);
+});
+
+test('nothing to undo, redo or change leaves the history as it is', () => {
+  const history = createHistory({ steps: [] });
+  assert.equal(undoHistory(history), history);
+  assert.equal(redoHistory(history), history);
+  assert.equal(pushHistory(history, history.present), history);
+});
+
+test('only the latest 50 values can be undone', () => {
+  let history = createHistory(0);
+  for (let value = 1; value <= 60; value++) history = pushHistory(history, value);
+  assert.equal(history.past.length, 50);
+  assert.equal(history.past[0], 10);
+  while (history.past.length > 0) history = undoHistory(history);
+  assert.equal(history.present, 10);
+  assert.equal(history.future.length, 50);
+});
+
+test('undone values are not modified', () => {
+  const steps = [{ mode: 0 }];
+  const history = undoHistory(pushHistory(createHistory(steps), [...steps, { mode: 2 }]));
+  assert.equal(history.present, steps);
+  assert.deepEqual(steps, [{ mode: 0 }]);
+});
@@ -0,0 +1,218 @@
+/**
+ * ImageProcessor's file handling, on Node's file system through
+ * scripts/node-expo/file-system.mjs, and how it builds sort inputs
+ */
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { documentDirectory, EncodingType, writeAsStringAsync } from 'expo-file-system/legacy';
+import { ANALYSIS_WIDTH, ImageProcessor } from '../utils/imageProcessor.js';
+import { PixelSorter } from '../utils/pixelSort.js';
+import { decodeBase64 } from '../utils/base64.js';
+import { blendPixels } from '../utils/blend.js';
+import { computeHistogram, suggestThresholds } from '../utils/histogram.js';
+import { decodePNG, readPNGText } from '../utils/png.js';
+import { createRecipe, RECIPE_KEYWORD } from '../utils/recipe.js';
+import { BUILT_IN_PRESETS } from '../utils/presets.js';
+import { resizePixels } from '../utils/resample.js';
+import { createGradientMap } from '../utils/thresholdMap.js';
+
+after(() => rmSync(fileURLToPath(documentDirectory), { recursive: true, force: true }));
+
+function testImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37) & 255;
+  return { data, width, height };
+}
+
+test('saveProcessed writes a PNG of the pixels with the recipe in a text chunk', async () => {
+  const image = testImage(23, 17);
+  const recipe = { version: 1, options: { mode: 2 } };
+  const uri = await new ImageProcessor().saveProcessed(image, recipe);
+  assert.ok(uri.startsWith(documentDirectory));
+
+  const bytes = new Uint8Array(readFileSync(fileURLToPath(uri)));
+  assert.deepEqual(decodePNG(bytes), image);
+  assert.deepEqual(JSON.parse(readPNGText(bytes)[RECIPE_KEYWORD]), recipe);
+});
+
+test('readRecipe restores the recipe saved with an image', async () => {
+  const processor = new ImageProcessor();
+  const image = testImage(8, 6);
+  const recipe = createRecipe({
+    options: BUILT_IN_PRESETS[0].options,
+    resolution: 'original',
+    resizeWidth: null,
+    source: image,
+    output: image
+  });
+  assert.deepEqual(await processor.readRecipe(await processor.saveProcessed(image, recipe)), { ...recipe, steps: null });
+});
+
+test('readRecipe finds nothing in images without a recipe', async () => {
+  const processor = new ImageProcessor();
+  const plain = `${documentDirectory}plain.png`;
+  await writeAsStringAsync(plain, await processor.pixelDataToBase64(testImage(8, 6)), { encoding: EncodingType.Base64 });
+  assert.equal(await processor.readRecipe(plain), null);
+
+  const jpeg = new URL('./fixtures/baseline-420.jpg', import.meta.url).href;
+  assert.equal(await processor.readRecipe(jpeg), null);
+});
+
+test('threshold maps are built from gradients or from grayscale images', async () => {
+  const processor = new ImageProcessor();
+  const gradient = { type: 'linear', start: { x: 0, y: 0 }, end: { x: 1, y: 0 } };
+  assert.deepEqual(await processor.buildThresholdMap({ gradient }, 8, 3), createGradientMap(8, 3, gradient));
+
+  // Light areas use the end thresholds; the map image is stretched to the requested size
+  const mapImage = { data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255]), width: 2, height: 1 };
+  const loaded = [];
+  const loadImage = async (uri, maxWidth) => {
+    loaded.push([uri, maxWidth]);
+    return mapImage;
+  };
+  const map = await processor.buildThresholdMap({ imageUri: 'file:///map.png' }, 8, 3, loadImage);
+  assert.deepEqual(loaded, [['file:///map.png', 8]]);
+  assert.equal(map.width, 8);
+  assert.equal(map.height, 3);
+  assert.deepEqual(Array.from(map.data.subarray(0, 8)).map((value) => value > 127), [
+    false, false, false, false, true, true, true, true
+  ]);
+});
+
+test('key images of any size are stretched to the processing size', async () => {
+  const processor = new ImageProcessor();
+  const keyImage = testImage(5, 9);
+  const loadImage = async () => keyImage;
+  const { keyImage: aligned, mask, thresholdMap } = await processor.buildSortInputs(
+    { keyImage: { imageUri: 'file:///key.png' } }, 20, 12, loadImage
+  );
+  assert.deepEqual(aligned, resizePixels(keyImage, 20, 12));
+  assert.equal(mask, null);
+  assert.equal(thresholdMap, null);
+});
+
+test('previewIntervals tints the pixels findIntervals marks on the thumbnail', async () => {
+  const processor = new ImageProcessor();
+  const image = testImage(40, 30);
+  const uri = `${documentDirectory}overlay.png`;
+  await writeAsStringAsync(uri, await processor.pixelDataToBase64(image), { encoding: EncodingType.Base64 });
+
+  const options = { mode: 2, direction: 'columns', thresholds: { bright: 100 } };
+  const preview = await processor.previewIntervals(uri, { ...options, resolution: 'original' });
+  assert.ok(preview.startsWith('data:image/png;base64,'));
+  const overlay = decodePNG(decodeBase64(preview.slice(preview.indexOf(',') + 1)));
+  const marks = await new PixelSorter().findIntervals(image, options);
+  assert.equal(overlay.width, 40);
+  assert.equal(overlay.height, 30);
+  assert.ok(marks.data.includes(255) && marks.data.includes(0));
+  marks.data.forEach((mark, i) => {
+    const expected = mark ? [255, 0, 255, 128] : [0, 0, 0, 0];
+    assert.deepEqual(Array.from(overlay.data.subarray(i * 4, i * 4 + 4)), expected, `pixel ${i}`);
+  });
+});
+
+test('histograms and suggestions come from the image decoded at the analysis width', async () => {
+  const processor = new ImageProcessor();
+  const image = testImage(ANALYSIS_WIDTH + 100, 9);
+  const uri = `${documentDirectory}wide.png`;
+  await writeAsStringAsync(uri, await processor.pixelDataToBase64(image), { encoding: EncodingType.Base64 });
+
+  const analysed = resizePixels(image, ANALYSIS_WIDTH, 8);
+  const histogram = await processor.getHistogram(uri);
+  assert.deepEqual(histogram, computeHistogram(analysed));
+  for (const options of [{}, { method: 'percentile', fraction: 0.25 }]) {
+    assert.deepEqual(await processor.suggestThresholds(uri, options), suggestThresholds(histogram, options));
+  }
+});
+
+// Count the decodes and sorts a processor runs
+function spyOn(processor) {
+  const calls = { decodes: 0, sorts: [] };
+  const { decodeImage } = processor;
+  processor.decodeImage = (...args) => {
+    calls.decodes++;
+    return decodeImage.apply(processor, args);
+  };
+  const sorter = processor.pixelSorter;
+  const { sortImage } = sorter;
+  sorter.sortImage = (pixels, options) => {
+    calls.sorts.push(options.mode);
+    return sortImage.call(sorter, pixels, options);
+  };
+  return calls;
+}
+
+test('processStack runs each step on the previous step\'s output', async () => {
+  const processor = new ImageProcessor();
+  const image = testImage(48, 32);
+  const uri = `${documentDirectory}stack.png`;
+  await writeAsStringAsync(uri, await processor.pixelDataToBase64(image), { encoding: EncodingType.Base64 });
+
+  const steps = [{ mode: 2, order: 'rows' }, { mode: 3, order: 'columns', thresholds: { dark: 150 } }];
+  const output = await processor.processStack(uri, steps, { resolution: 'original' });
+  let expected = image;
+  for (const step of steps) expected = await new PixelSorter().sortImage(expected, step);
+  const bytes = new Uint8Array(readFileSync(fileURLToPath(output)));
+  assert.deepEqual(decodePNG(bytes), expected);
+  const recipe = JSON.parse(readPNGText(bytes)[RECIPE_KEYWORD]);
+  const modes = (list) => list.map(({ mode, order }) => `${mode} ${order}`);
+  assert.deepEqual(modes(recipe.steps), modes(steps));
+});
+
+test('processStack only re-runs the steps from the first one that changed', async () => {
+  const processor = new ImageProcessor();
+  const uri = `${documentDirectory}cached.png`;
+  const base64 = await processor.pixelDataToBase64(testImage(40, 30));
+  await writeAsStringAsync(uri, base64, { encoding: EncodingType.Base64 });
+  const calls = spyOn(processor);
+  const run = async (steps, resolution = 'original') => {
+    calls.sorts = [];
+    await processor.processStack(uri, steps.map((mode) => ({ mode })), { resolution });
+    return calls.sorts;
+  };
+
+  assert.deepEqual(await run([0, 1, 2]), [0, 1, 2]);
+  assert.equal(calls.decodes, 1);
+  assert.deepEqual(await run([0, 1, 3]), [3]);
+  assert.deepEqual(await run([0, 2, 3]), [2, 3]);
+  assert.deepEqual(await run([0, 2, 3]), []);
+  assert.deepEqual(await run([0, 2]), []);
+  assert.deepEqual(await run([0, 2, 3, 1]), [3, 1]);
+  assert.equal(calls.decodes, 1);
+
+  // Another processing size, or a released stack, starts over from the file
+  assert.deepEqual(await run([0, 2], 'preview'), [0, 2]);
+  assert.equal(calls.decodes, 2);
+  processor.releaseStack();
+  assert.deepEqual(await run([0, 2], 'preview'), [0, 2]);
+  assert.equal(calls.decodes, 3);
+});
+
+test('processStack rejects empty stacks and unknown resolutions', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const processor = new ImageProcessor();
+  await assert.rejects(processor.processStack('file:///none.png', []), /The stack has no steps/);
+  await assert.rejects(processor.processStack('file:///none.png', [{ mode: 0 }], { resolution: '123' }),
+    /Unknown resolution: 123/);
+  assert.equal(errors.mock.callCount(), 2);
+});
+
+test('each step of a stack blends over its own input', async () => {
+  const processor = new ImageProcessor();
+  const image = testImage(36, 24);
+  const uri = `${documentDirectory}blend.png`;
+  await writeAsStringAsync(uri, await processor.pixelDataToBase64(image), { encoding: EncodingType.Base64 });
+
+  const first = { mode: 2, order: 'rows' };
+  const blend = { mode: 'lighten', opacity: 0.5, channels: ['red', 'blue'] };
+  const output = await processor.processStack(uri, [first, { mode: 3, blend }], { resolution: 'original' });
+  const input = await new PixelSorter().sortImage(image, first);
+  const expected = await blendPixels(input, await new PixelSorter().sortImage(input, { mode: 3 }), blend);
+  assert.deepEqual(decodePNG(new Uint8Array(readFileSync(fileURLToPath(output)))), expected);
+
+  // Previews blend the same way, on the thumbnail
+  const preview = await processor.previewSort(uri, { mode: 3, blend: { opacity: 0 } });
+  assert.deepEqual(decodePNG(decodeBase64(preview.slice(preview.indexOf(',') + 1))), image);
+});
@@ -0,0 +1,221 @@
+/**
+ * JPEG decoder. The fixtures are gradient() below, encoded by mozjpeg at
+ * quality 95: baseline 4:2:0 and 4:4:4, progressive 4:2:0 and grayscale.
+ * restart-444 is baseline 4:4:4 from jpeg-js, patched to emit a restart
+ * marker every 3 MCUs.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { decodeJPEG, isJPEG, isUnsupportedJPEGError } from '../utils/jpeg.js';
+
+const WIDTH = 61;
+const HEIGHT = 43;
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}.jpg`, import.meta.url)));
+
+// Smooth test image; the odd size leaves partial blocks at the right and bottom
+function gradient(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = Math.round(127.5 + 127.5 * Math.sin(x / 9));
+      data[i + 1] = Math.round((y * 255) / (height - 1));
+      data[i + 2] = Math.round(((x + y) * 255) / (width + height - 2));
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// Largest and mean per-channel difference, ignoring alpha
+function compare(actual, expected) {
+  let max = 0;
+  let sum = 0;
+  for (let i = 0; i < actual.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const difference = Math.abs(actual[i + c] - expected[i + c]);
+      max = Math.max(max, difference);
+      sum += difference;
+    }
+  }
+  return { max, mean: sum / ((actual.length / 4) * 3) };
+}
+
+function toGray({ data, width, height }) {
+  const gray = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    gray.set([value, value, value, 255], i);
+  }
+  return { data: gray, width, height };
+}
+
+/**
+ * Insert an EXIF APP1 segment holding just the orientation tag after SOI
+ */
+function withOrientation(bytes, orientation) {
+  const app1 = [
+    0xFF, 0xE1, 0x00, 34,
+    ...Buffer.from('Exif\0\0', 'latin1'),
+    ...Buffer.from('MM\0\x2A\0\0\0\x08', 'latin1'),
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ];
+  return new Uint8Array([...bytes.subarray(0, 2), ...app1, ...bytes.subarray(2)]);
+}
+
+// Where upright pixel (x, y) comes from in a stored w x h image, per EXIF orientation
+const ORIENTATIONS = {
+  1: (x, y) => [x, y],
+  2: (x, y, w) => [w - 1 - x, y],
+  3: (x, y, w, h) => [w - 1 - x, h - 1 - y],
+  4: (x, y, w, h) => [x, h - 1 - y],
+  5: (x, y) => [y, x],
+  6: (x, y, w, h) => [y, h - 1 - x],
+  7: (x, y, w, h) => [w - 1 - y, h - 1 - x],
+  8: (x, y, w) => [w - 1 - y, x]
+};
+
+const source = gradient(WIDTH, HEIGHT);
+
+const FIXTURES = [
+  { name: 'baseline-420', max: 16, mean: 3 },
+  { name: 'baseline-444', max: 6, mean: 1 },
+  { name: 'progressive-420', max: 16, mean: 3 },
+  { name: 'grayscale', max: 4, mean: 1, gray: true },
+  { name: 'restart-444', max: 6, mean: 1 }
+];
+
+for (const { name, max, mean, gray } of FIXTURES) {
+  test(`decodes ${name} close to the source image`, () => {
+    const bytes = fixture(name);
+    assert.ok(isJPEG(bytes));
+    const decoded = decodeJPEG(bytes);
+    assert.equal(decoded.width, WIDTH);
+    assert.equal(decoded.height, HEIGHT);
+    assert.equal(decoded.orientation, 1);
+    assert.ok(decoded.data.every((value, i) => i % 4 !== 3 || value === 255));
+
+    const error = compare(decoded.data, (gray ? toGray(source) : source).data);
+    assert.ok(error.max <= max, `max error ${error.max} > ${max}`);
+    assert.ok(error.mean <= mean, `mean error ${error.mean.toFixed(2)} > ${mean}`);
+  });
+}
+
+test('progressive and baseline decodes of the same image agree', () => {
+  const error = compare(decodeJPEG(fixture('progressive-420')).data, decodeJPEG(fixture('baseline-420')).data);
+  assert.ok(error.max <= 8, `max difference ${error.max}`);
+  assert.ok(error.mean <= 1, `mean difference ${error.mean.toFixed(2)}`);
+});
+
+for (const name of ['baseline-444', 'progressive-420']) {
+  test(`applies every EXIF orientation to ${name}`, () => {
+    const stored = decodeJPEG(fixture(name));
+    for (const [orientation, sourcePixel] of Object.entries(ORIENTATIONS).map(([o, f]) => [Number(o), f])) {
+      const bytes = withOrientation(fixture(name), orientation);
+
+      const unoriented = decodeJPEG(bytes);
+      assert.equal(unoriented.orientation, orientation);
+      assert.deepEqual(unoriented.data, stored.data);
+
+      const upright = decodeJPEG(bytes, { orient: true });
+      const swapped = orientation >= 5;
+      assert.equal(upright.orientation, 1);
+      assert.equal(upright.width, swapped ? HEIGHT : WIDTH);
+      assert.equal(upright.height, swapped ? WIDTH : HEIGHT);
+
+      for (let y = 0; y < upright.height; y++) {
+        for (let x = 0; x < upright.width; x++) {
+          const [sx, sy] = sourcePixel(x, y, WIDTH, HEIGHT);
+          const i = (y * upright.width + x) * 4;
+          const j = (sy * WIDTH + sx) * 4;
+          assert.deepEqual(upright.data.subarray(i, i + 4), stored.data.subarray(j, j + 4),
+            `orientation ${orientation} at ${x},${y}`);
+        }
+      }
+    }
+  });
+}
+
+// Mean of each factor x factor block of the source, clipped at the image edge
+function boxDownscale({ data, width, height }, factor) {
+  const outWidth = Math.ceil(width / factor);
+  const outHeight = Math.ceil(height / factor);
+  const out = new Float64Array(outWidth * outHeight * 4);
+  const counts = new Float64Array(outWidth * outHeight);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = Math.floor(y / factor) * outWidth + Math.floor(x / factor);
+      counts[o]++;
+      for (let c = 0; c < 4; c++) out[o * 4 + c] += data[(y * width + x) * 4 + c];
+    }
+  }
+  return out.map((value, i) => value / counts[i >> 2]);
+}
+
+for (const { name, gray } of FIXTURES) {
+  test(`decodes ${name} at reduced scales close to the downscaled source`, () => {
+    const expected = gray ? toGray(source) : source;
+    // maxWidth picks the smallest scale that is still at least that wide
+    for (const [maxWidth, factor, max, mean] of [[31, 2, 6, 1.5], [12, 4, 8, 2], [8, 8, 20, 3]]) {
+      const decoded = decodeJPEG(fixture(name), { maxWidth });
+      assert.equal(decoded.width, Math.ceil(WIDTH / factor));
+      assert.equal(decoded.height, Math.ceil(HEIGHT / factor));
+      assert.equal(decoded.fullWidth, WIDTH);
+      assert.equal(decoded.fullHeight, HEIGHT);
+      const error = compare(decoded.data, boxDownscale(expected, factor));
+      assert.ok(error.max <= max, `1/${factor}: max error ${error.max.toFixed(1)} > ${max}`);
+      assert.ok(error.mean <= mean, `1/${factor}: mean error ${error.mean.toFixed(2)} > ${mean}`);
+    }
+  });
+}
+
+test('maxWidth applies to the upright width and never enlarges', () => {
+  const bytes = fixture('baseline-420');
+  assert.equal(decodeJPEG(bytes, { maxWidth: 32 }).width, WIDTH);
+  assert.equal(decodeJPEG(bytes, { maxWidth: 1000 }).width, WIDTH);
+  assert.equal(decodeJPEG(bytes, { maxWidth: 1 }).width, 8);
+
+  // Rotated a quarter turn, the upright image is HEIGHT wide
+  const rotated = withOrientation(bytes, 6);
+  const upright = decodeJPEG(rotated, { orient: true, maxWidth: 11 });
+  assert.equal(upright.width, 11);
+  assert.equal(upright.height, 16);
+  assert.equal(upright.fullWidth, HEIGHT);
+  assert.equal(upright.fullHeight, WIDTH);
+  assert.equal(decodeJPEG(rotated, { maxWidth: 11 }).width, 16);
+});
+
+test('expects a restart marker after every restart interval', () => {
+  const bytes = fixture('restart-444');
+  const isRestart = (i) => bytes[i] === 0xFF && bytes[i + 1] >= 0xD0 && bytes[i + 1] <= 0xD7;
+  const markers = Array.from(bytes.keys()).filter(isRestart);
+  assert.ok(bytes.some((value, i) => value === 0xFF && bytes[i + 1] === 0xDD), 'DRI segment');
+  assert.equal(markers.length, 15);
+
+  // A different marker where a restart belongs is damage, not an unsupported variant
+  const damaged = new Uint8Array(bytes);
+  damaged[markers[4] + 1] = 0xFE;
+  assert.throws(() => decodeJPEG(damaged), (error) => !isUnsupportedJPEGError(error) && /restart/.test(error.message));
+});
+
+test('rejects files that are not complete JPEGs', () => {
+  const bytes = fixture('baseline-420');
+  assert.equal(isJPEG(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), false);
+  assert.throws(() => decodeJPEG(bytes.subarray(0, 200)));
+});
+
+test('tells unsupported JPEG variants from damaged files', () => {
+  const bytes = fixture('baseline-420');
+  const truncated = bytes.subarray(0, 200);
+  assert.throws(() => decodeJPEG(truncated), (error) => !isUnsupportedJPEGError(error));
+
+  // The same frame marked arithmetic-coded (SOF9 instead of SOF0)
+  const arithmetic = new Uint8Array(bytes);
+  const sof = arithmetic.findIndex((value, i) => value === 0xFF && arithmetic[i + 1] === 0xC0);
+  arithmetic[sof + 1] = 0xC9;
+  assert.throws(() => decodeJPEG(arithmetic), isUnsupportedJPEGError);
+});
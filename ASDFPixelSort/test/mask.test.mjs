@@ -0,0 +1,83 @@
+/**
+ * Sort masks: creating, painting and loading them from images
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMask, maskFromPixels, MASK_THRESHOLD, paintStrokes } from '../utils/mask.js';
+
+const painted = ({ data, width }) => Array.from(data.keys())
+  .filter((i) => data[i] < MASK_THRESHOLD)
+  .map((i) => [i % width, Math.floor(i / width)]);
+
+test('createMask lets every pixel be sorted', () => {
+  const mask = createMask(5, 3);
+  assert.equal(mask.width, 5);
+  assert.equal(mask.height, 3);
+  assert.deepEqual(mask.data, new Uint8Array(15).fill(255));
+});
+
+test('a brush dab protects the pixels within its radius', () => {
+  // 0.3 of 20 pixels wide is a radius of 3, centred between pixels 9 and 10
+  const mask = paintStrokes(createMask(20, 10), [{ points: [{ x: 0.5, y: 0.5 }], size: 0.3, erase: false }]);
+  const inside = painted(mask);
+  assert.ok(inside.length > 0);
+  for (const [x, y] of inside) assert.ok(Math.hypot(x - 9.5, y - 4.5) <= 3, `${x},${y}`);
+  for (const [x, y] of [[9, 4], [10, 5], [7, 4], [12, 5], [9, 2], [10, 7]]) {
+    assert.equal(mask.data[y * 20 + x], 0, `${x},${y}`);
+  }
+});
+
+test('a stroke covers the segments between its points', () => {
+  const mask = paintStrokes(createMask(40, 20), [{
+    points: [{ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.5 }, { x: 0.9, y: 0.9 }],
+    size: 0.05,
+    erase: false
+  }]);
+  for (let x = 4; x <= 35; x++) assert.equal(mask.data[10 * 40 + x], 0, `row 10, column ${x}`);
+  for (let y = 10; y <= 17; y++) assert.equal(mask.data[y * 40 + 35], 0, `column 35, row ${y}`);
+  assert.equal(mask.data[2 * 40 + 20], 255);
+  assert.equal(mask.data[17 * 40 + 20], 255);
+});
+
+test('strokes are placed by fractions of the image size', () => {
+  const stroke = { points: [{ x: 0.25, y: 0.75 }], size: 0.1, erase: false };
+  const small = painted(paintStrokes(createMask(40, 20), [stroke]));
+  const large = painted(paintStrokes(createMask(80, 40), [stroke]));
+  const centre = (pixels) => pixels.reduce(([sx, sy], [x, y]) => [sx + x, sy + y], [0, 0])
+    .map((sum) => sum / pixels.length);
+  assert.deepEqual(centre(small), [9.5, 14.5]);
+  assert.deepEqual(centre(large), [19.5, 29.5]);
+  assert.ok(Math.abs(large.length / small.length - 4) < 0.6, `${small.length} and ${large.length} pixels`);
+});
+
+test('eraser strokes make protected pixels sortable again', () => {
+  const mask = createMask(20, 10);
+  paintStrokes(mask, [
+    { points: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }], size: 0.3, erase: false },
+    { points: [{ x: 0.5, y: 0.5 }], size: 0.2, erase: true }
+  ]);
+  assert.equal(mask.data[4 * 20 + 2], 0);
+  assert.equal(mask.data[4 * 20 + 9], 255);
+  assert.equal(mask.data[5 * 20 + 10], 255);
+});
+
+test('maskFromPixels keeps dark and transparent pixels', () => {
+  const pixels = {
+    data: new Uint8ClampedArray([
+      255, 255, 255, 255, 0, 0, 0, 255,
+      255, 255, 255, 0, 255, 255, 255, 128
+    ]),
+    width: 2,
+    height: 2
+  };
+  assert.deepEqual(maskFromPixels(pixels, 2, 2).data, new Uint8Array([255, 0, 0, 128]));
+
+  // Stretched to the image size
+  const mask = maskFromPixels({ data: pixels.data.subarray(0, 8), width: 2, height: 1 }, 8, 3);
+  assert.equal(mask.width, 8);
+  assert.equal(mask.height, 3);
+  for (let y = 0; y < 3; y++) {
+    assert.equal(mask.data[y * 8], 255);
+    assert.equal(mask.data[y * 8 + 7], 0);
+  }
+});
@@ -0,0 +1,561 @@
+/**
+ * The typed-array engine against a naive transcription of the original
+ * sketch: plain arrays, per-pixel threshold helpers and a comparator sort
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_THRESHOLDS, PixelSorter, SORT_ORDERS } from '../utils/pixelSort.js';
+import { computeEdgeMap } from '../utils/edges.js';
+import { createMask, MASK_THRESHOLD, paintStrokes } from '../utils/mask.js';
+import { createGradientMap } from '../utils/thresholdMap.js';
+import { createNoise2D, createRandom } from '../utils/random.js';
+import {
+  createAnglePath, createCirclePath, createFlowFieldPath, createSpiralPath, createSpokePath
+} from '../utils/paths.js';
+
+const brightness = (c) => Math.round(0.299 * ((c >> 16) & 0xFF) + 0.587 * ((c >> 8) & 0xFF) + 0.114 * (c & 0xFF));
+
+// [skip while, continue while] per mode, as in the sketch's getFirstNot*/getNext*,
+// given a pixel's color and its index. `at(i)` gives the thresholds at a pixel.
+// White and black compare the opaque color, so alpha never moves a boundary.
+// Edges are looked up by position.
+function detectors(at, edges) {
+  const opaque = (c) => c | 0xFF000000;
+  return [
+    [(c, i) => opaque(c) < at(i).white, (c, i) => opaque(c) > at(i).white],
+    [(c, i) => opaque(c) > at(i).black, (c, i) => opaque(c) < at(i).black],
+    [(c, i) => brightness(c) < at(i).bright, (c, i) => brightness(c) > at(i).bright],
+    [(c, i) => brightness(c) > at(i).dark, (c, i) => brightness(c) < at(i).dark],
+    [(c, i) => edges[i] >= at(i).edge, (c, i) => edges[i] < at(i).edge]
+  ];
+}
+
+// Colors sort by RGB alone; for opaque images that is the sketch's signed ARGB order
+const KEYS = {
+  color: (c) => c & 0xFFFFFF,
+  luminance: brightness,
+  red: (c) => (c >> 16) & 0xFF
+};
+
+// Sort one run in place. `sources` holds the source pixel at each position of
+// the run and `indices` the positions themselves; `detect(source, index)` gives
+// the color intervals are found in. `onInterval` receives the positions of
+// every interval longer than a pixel (shorter ones have nothing to sort).
+function referenceSortLine(sources, indices, [skip, keepGoing], detect, getKey, descending, onInterval) {
+  const length = sources.length;
+  const at = (k) => [detect(sources[k], indices[k]), indices[k]];
+  let start = 0;
+  let end = 0;
+
+  while (end < length - 1) {
+    while (skip(...at(start))) {
+      if (++start >= length) return;
+    }
+    end = start + 1;
+    if (end < length) {
+      while (keepGoing(...at(end))) {
+        if (++end >= length) break;
+      }
+    }
+    end--;
+
+    if (end - start > 1) onInterval(indices.slice(start, end));
+    const interval = sources.slice(start, end);
+    interval.sort((a, b) => (descending ? getKey(b) - getKey(a) : getKey(a) - getKey(b)));
+    sources.splice(start, interval.length, ...interval);
+    start = end + 1;
+  }
+}
+
+// The runs of a line between the pixels `isBoundary` picks out
+function splitLine(indices, isBoundary) {
+  const runs = [[]];
+  for (const i of indices) {
+    if (isBoundary(i)) runs.push([]);
+    else runs[runs.length - 1].push(i);
+  }
+  return runs;
+}
+
+const pack = ({ data, width, height }) => Array.from({ length: width * height },
+  (_, i) => (data[i * 4 + 3] << 24) | (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]);
+
+/**
+ * Sort like the sketch: every column top to bottom, then every row left to
+ * right, on signed ARGB ints. `lines` (lists of pixel indices) replaces the
+ * row and column passes with a single pass along them. Masked-out pixels and
+ * pixels below the alpha cutoff split lines into runs that are sorted separately.
+ * Edge mode finds edges in the image before sorting. A threshold map blends
+ * each pixel's thresholds from `thresholds` (0) to `endThresholds` (255). With
+ * a key image, each pixel keeps the key of its starting position, and intervals
+ * are optionally found in the key image where it lies.
+ */
+function referenceSort({ data, width, height }, options, lines = null, onInterval = () => {}) {
+  const {
+    mode = 0,
+    order = 'columns-rows',
+    reverse = false,
+    sortKey = 'color',
+    descending = false,
+    thresholds = DEFAULT_THRESHOLDS,
+    mask = null,
+    alphaCutoff = 0,
+    edgeOperator = 'sobel',
+    thresholdMap = null,
+    endThresholds = {},
+    keyImage = null,
+    keyImageIntervals = false
+  } = options;
+  const colors = pack({ data, width, height });
+  const keyColors = keyImage ? pack(keyImage) : colors;
+  const intervalColors = keyImage && keyImageIntervals ? keyColors : colors;
+  // The source pixel now at each position
+  const pixels = Array.from(colors.keys());
+
+  const levels = Array.from({ length: 256 }, (_, level) => Object.fromEntries(Object.entries(thresholds)
+    .map(([name, start]) => [name, start + (((endThresholds[name] ?? start) - start) * level) / 255])));
+  const at = thresholdMap ? (i) => levels[thresholdMap.data[i]] : () => thresholds;
+  const edges = mode === 4 ? computeEdgeMap(Int32Array.from(intervalColors), width, height, edgeOperator) : null;
+  const detect = intervalColors === colors ? (source) => colors[source] : (source, index) => keyColors[index];
+  const getKey = (source) => KEYS[sortKey](keyColors[source]);
+
+  const passes = lines ? [lines] : order.split('-').map((pass) => ({
+    columns: Array.from({ length: width }, (_, x) => Array.from({ length: height }, (_, y) => y * width + x)),
+    rows: Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => y * width + x))
+  })[pass]);
+  for (const pass of passes) {
+    for (const line of pass) {
+      const indices = reverse ? [...line].reverse() : line;
+      const isBoundary = (i) => (mask && mask.data[i] < MASK_THRESHOLD) || colors[pixels[i]] >>> 24 < alphaCutoff;
+      for (const run of splitLine(indices, isBoundary)) {
+        const sources = run.map((i) => pixels[i]);
+        referenceSortLine(sources, run, detectors(at, edges)[mode], detect, getKey, descending, onInterval);
+        run.forEach((index, i) => { pixels[index] = sources[i]; });
+      }
+    }
+  }
+
+  const out = new Uint8ClampedArray(data.length);
+  pixels.forEach((source, i) => out.set(data.subarray(source * 4, source * 4 + 4), i * 4));
+  return out;
+}
+
+// Smooth shapes with grain, so every mode finds intervals of varied lengths.
+// Translucent images get a random alpha per pixel.
+function testImage(width, height, seed, translucent = false) {
+  const random = createRandom(seed);
+  const noise = [createNoise2D(seed), createNoise2D(seed + 1), createNoise2D(seed + 2)];
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) data[i + c] = noise[c](x / 20, y / 20) * 255 + (random() - 0.5) * 40;
+      data[i + 3] = translucent ? random() * 256 : 255;
+    }
+  }
+  return { data, width, height };
+}
+
+const image = testImage(97, 71, 1);
+
+const linesOf = (path) => Array.from({ length: path.count }, (_, n) => Array.from(path.getLine(n)));
+
+for (let mode = 0; mode <= 3; mode++) {
+  test(`mode ${mode} matches the reference sort`, async () => {
+    const sorted = await new PixelSorter().sortImage(image, { mode });
+    const expected = referenceSort(image, { mode });
+    assert.notDeepEqual(expected, image.data);
+    assert.deepEqual(sorted.data, expected);
+  });
+}
+
+test('edge mode matches the reference with either operator and any edge threshold', async () => {
+  for (const edgeOperator of ['sobel', 'scharr']) {
+    for (const edge of [DEFAULT_THRESHOLDS.edge, 12, 90]) {
+      const options = { mode: 4, edgeOperator, thresholds: { edge } };
+      const sorted = await new PixelSorter().sortImage(image, options);
+      const expected = referenceSort(image, { ...options, thresholds: { ...DEFAULT_THRESHOLDS, edge } });
+      assert.notDeepEqual(expected, image.data);
+      assert.deepEqual(sorted.data, expected, `${edgeOperator}, edge ${edge}`);
+    }
+  }
+});
+
+test('edge mode stops streaks at contours', async () => {
+  // Two noisy regions with a hard step between them at x = 20
+  const { data, width, height } = testImage(40, 30, 7);
+  for (let i = 0; i < data.length; i += 4) {
+    const left = (i / 4) % width < 20;
+    for (let c = 0; c < 3; c++) data[i + c] = (left ? 20 : 200) + (data[i + c] >> 4);
+  }
+  const sorted = await new PixelSorter().sortImage({ data, width, height }, { mode: 4, order: 'rows' });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      assert.equal(sorted.data[i] < 110, x < 20, `${x},${y}`);
+    }
+  }
+  assert.notDeepEqual(sorted.data, data);
+});
+
+// The pixels inside the intervals of the first pass, as findIntervals marks them
+function referenceIntervals(image, options, lines = null) {
+  const marks = new Uint8Array(image.width * image.height);
+  let intervals = 0;
+  referenceSort(image, { ...options, order: options.direction ?? 'rows' }, lines, (interval) => {
+    for (const i of interval) marks[i] = 255;
+    intervals++;
+  });
+  assert.ok(intervals > 0);
+  return marks;
+}
+
+test('findIntervals marks the pixels the first pass sorts', async () => {
+  const mask = paintStrokes(createMask(image.width, image.height), [
+    { points: [{ x: 0.3, y: 0.3 }, { x: 0.6, y: 0.8 }], size: 0.1, erase: false }
+  ]);
+  for (const direction of ['rows', 'columns']) {
+    for (let mode = 0; mode <= 4; mode++) {
+      for (const extra of [{}, { reverse: true }, { mask }]) {
+        const options = { mode, direction, ...extra };
+        const { data, width, height } = await new PixelSorter().findIntervals(image, options);
+        assert.equal(width, image.width);
+        assert.equal(height, image.height);
+        assert.deepEqual(data, referenceIntervals(image, options), `${direction}, mode ${mode}, ${Object.keys(extra)}`);
+      }
+    }
+  }
+});
+
+test('findIntervals follows the sort angle', async () => {
+  for (const [direction, passAngle] of [['rows', 0], ['columns', 90]]) {
+    const lines = linesOf(createAnglePath(image.width, image.height, 30 + passAngle));
+    const { data } = await new PixelSorter().findIntervals(image, { mode: 2, direction, angle: 30 });
+    assert.deepEqual(data, referenceIntervals(image, { mode: 2 }, lines), direction);
+  }
+});
+
+test('a single pass only moves marked pixels', async () => {
+  for (let mode = 0; mode <= 3; mode++) {
+    const { data: marks } = await new PixelSorter().findIntervals(image, { mode, direction: 'columns' });
+    const sorted = await new PixelSorter().sortImage(image, { mode, order: 'columns' });
+    for (let i = 0; i < marks.length; i++) {
+      if (!marks[i]) assert.deepEqual(sorted.data.subarray(i * 4, i * 4 + 4), image.data.subarray(i * 4, i * 4 + 4));
+    }
+  }
+  await assert.rejects(new PixelSorter().findIntervals(image, { direction: 'diagonal' }),
+    /Unknown interval direction: diagonal/);
+});
+
+test('every sort order and reverse match the reference', async () => {
+  for (const order of SORT_ORDERS) {
+    for (const reverse of [false, true]) {
+      const options = { mode: 2, order, reverse };
+      assert.deepEqual((await new PixelSorter().sortImage(image, options)).data, referenceSort(image, options),
+        `${order}${reverse ? ', reversed' : ''}`);
+    }
+  }
+});
+
+test('custom thresholds match the reference', async () => {
+  const thresholds = { white: -8000000, black: -9000000, bright: 90, dark: 180 };
+  for (let mode = 0; mode <= 3; mode++) {
+    const options = { mode, thresholds };
+    assert.deepEqual(
+      (await new PixelSorter().sortImage(image, options)).data,
+      referenceSort(image, { mode, thresholds: { ...DEFAULT_THRESHOLDS, ...thresholds } })
+    );
+  }
+});
+
+test('thresholds blended by a threshold map match the reference', async () => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, bright: 60, dark: 200, edge: 20 };
+  const endThresholds = { white: -3000000, black: -14000000, bright: 220, dark: 40, edge: 120 };
+  for (const gradient of [
+    { type: 'linear', start: { x: 0.1, y: 0.2 }, end: { x: 0.9, y: 0.7 } },
+    { type: 'radial', start: { x: 0.4, y: 0.5 }, end: { x: 0.9, y: 0.5 } }
+  ]) {
+    const thresholdMap = createGradientMap(image.width, image.height, gradient);
+    for (let mode = 0; mode <= 4; mode++) {
+      const options = { mode, thresholds, endThresholds, thresholdMap };
+      assert.deepEqual((await new PixelSorter().sortImage(image, options)).data, referenceSort(image, options),
+        `${gradient.type}, mode ${mode}`);
+    }
+  }
+});
+
+test('threshold maps of all 0 or all 255 use the start or end thresholds', async () => {
+  const endThresholds = { bright: 200 };
+  const { width, height } = image;
+  const map = (level) => ({ data: new Uint8Array(width * height).fill(level), width, height });
+  const sort = async (options) => (await new PixelSorter().sortImage(image, { mode: 2, ...options })).data;
+
+  assert.deepEqual(await sort({ thresholdMap: map(0), endThresholds }), await sort({}));
+  assert.deepEqual(await sort({ thresholdMap: map(255), endThresholds }), await sort({ thresholds: endThresholds }));
+  // Missing end thresholds match the start ones
+  const thresholds = { bright: 90 };
+  assert.deepEqual(await sort({ thresholdMap: map(255), thresholds }), await sort({ thresholds }));
+});
+
+test('a gradient can fade from untouched at the top to sorted at the bottom', async () => {
+  // Nothing is brighter than 255, so the top rows find no intervals
+  const gradient = { start: { x: 0.5, y: 0.2 }, end: { x: 0.5, y: 0.8 } };
+  const thresholdMap = createGradientMap(image.width, image.height, gradient);
+  const options = { mode: 2, order: 'rows', thresholds: { bright: 255 }, endThresholds: { bright: 0 }, thresholdMap };
+  const { data } = await new PixelSorter().sortImage(image, options);
+  const rowBytes = image.width * 4;
+  const top = Math.floor(image.height * 0.2) - 1;
+  assert.deepEqual(data.subarray(0, top * rowBytes), image.data.subarray(0, top * rowBytes));
+  assert.notDeepEqual(data.subarray(-rowBytes * 5), image.data.subarray(-rowBytes * 5));
+});
+
+test('a threshold map must match the image size', async () => {
+  const thresholdMap = createGradientMap(image.width + 1, image.height, { start: { x: 0, y: 0 }, end: { x: 1, y: 1 } });
+  await assert.rejects(new PixelSorter().sortImage(image, { thresholdMap }),
+    /Threshold map is 98x71 but the image is 97x71/);
+});
+
+test('sort keys and descending order match a stable reference sort', async () => {
+  for (const sortKey of Object.keys(KEYS)) {
+    for (const descending of [false, true]) {
+      const options = { mode: 3, sortKey, descending };
+      assert.deepEqual((await new PixelSorter().sortImage(image, options)).data, referenceSort(image, options),
+        `${sortKey}${descending ? ', descending' : ''}`);
+    }
+  }
+});
+
+test('long intervals are radix sorted like the reference', async () => {
+  // A bright gradient is one interval per line, well past insertion sort length
+  const { data, width, height } = testImage(300, 40, 2);
+  for (let i = 0; i < data.length; i += 4) data[i] = data[i + 1] = 128 + (data[i + 2] >> 1);
+  const long = { data, width, height };
+  for (const sortKey of Object.keys(KEYS)) {
+    const options = { mode: 2, sortKey, thresholds: { bright: 100 } };
+    assert.deepEqual(
+      (await new PixelSorter().sortImage(long, options)).data,
+      referenceSort(long, { ...options, thresholds: { ...DEFAULT_THRESHOLDS, bright: 100 } })
+    );
+  }
+});
+
+test('sortImage leaves its input untouched unless sorting in place', async () => {
+  const copy = new Uint8ClampedArray(image.data);
+  await new PixelSorter().sortImage(image, { mode: 0 });
+  assert.deepEqual(image.data, copy);
+
+  const inPlace = { ...image, data: copy };
+  const sorted = await new PixelSorter().sortImage(inPlace, { mode: 0, inPlace: true });
+  assert.equal(sorted.data, copy);
+  assert.deepEqual(sorted.data, referenceSort(image, { mode: 0 }));
+});
+
+test('settings left out of a call do not carry over from the previous one', async () => {
+  const sorter = new PixelSorter();
+  for (const mode of [2, 5]) {
+    const fresh = await new PixelSorter().sortImage(image, { mode });
+    await sorter.sortImage(image, { mode, thresholds: { bright: 30 }, intervals: { min: 2, max: 5, mean: 3 } });
+    assert.deepEqual((await sorter.sortImage(image, { mode })).data, fresh.data, `mode ${mode}`);
+  }
+});
+
+for (const { mode, intervals } of [
+  { mode: 5, intervals: { min: 3, max: 40, mean: 12 } },
+  { mode: 6, intervals: { length: 9, skip: 0.4 } }
+]) {
+  test(`mode ${mode} intervals depend only on the seed`, async () => {
+    const sorter = new PixelSorter();
+    const sort = async (seed, target = sorter) => (await target.sortImage(image, { mode, intervals, seed })).data;
+
+    const first = await sort(7);
+    assert.notDeepEqual(first, image.data);
+    // Same seed: same output, from the same sorter again or a fresh one
+    assert.deepEqual(await sort(7), first);
+    assert.deepEqual(await sort(7, new PixelSorter()), first);
+    assert.notDeepEqual(await sort(8), first);
+  });
+}
+
+test('masked-out pixels are never sorted and split the intervals around them', async () => {
+  const mask = paintStrokes(createMask(image.width, image.height), [
+    { points: [{ x: 0.2, y: 0.1 }, { x: 0.8, y: 0.9 }], size: 0.08, erase: false },
+    { points: [{ x: 0.5, y: 0.5 }], size: 0.3, erase: false }
+  ]);
+  for (const [mode, order] of [[0, 'columns-rows'], [2, 'rows'], [3, 'columns-rows']]) {
+    const options = { mode, order, mask };
+    const sorted = await new PixelSorter().sortImage(image, options);
+    assert.deepEqual(sorted.data, referenceSort(image, options), `mode ${mode}`);
+    for (let i = 0; i < mask.data.length; i++) {
+      if (mask.data[i] < MASK_THRESHOLD) {
+        assert.deepEqual(sorted.data.subarray(i * 4, i * 4 + 4), image.data.subarray(i * 4, i * 4 + 4));
+      }
+    }
+  }
+});
+
+test('alpha travels with the sorted pixels', async () => {
+  const translucent = testImage(97, 71, 5, true);
+  for (const sortKey of Object.keys(KEYS)) {
+    for (let mode = 0; mode <= 3; mode++) {
+      const options = { mode, sortKey };
+      const sorted = await new PixelSorter().sortImage(translucent, options);
+      assert.deepEqual(sorted.data, referenceSort(translucent, options), `mode ${mode}, ${sortKey}`);
+    }
+  }
+});
+
+test('pixels below the alpha cutoff are never sorted and split the intervals around them', async () => {
+  const translucent = testImage(97, 71, 6, true);
+  for (let mode = 0; mode <= 3; mode++) {
+    const options = { mode, alphaCutoff: 100 };
+    const sorted = await new PixelSorter().sortImage(translucent, options);
+    assert.deepEqual(sorted.data, referenceSort(translucent, options), `mode ${mode}`);
+    assert.notDeepEqual(sorted.data, (await new PixelSorter().sortImage(translucent, { mode })).data);
+  }
+
+  const sorted = await new PixelSorter().sortImage(translucent, { mode: 2, alphaCutoff: 100 });
+  for (let i = 3; i < sorted.data.length; i += 4) {
+    if (translucent.data[i] < 100) {
+      assert.deepEqual(sorted.data.subarray(i - 3, i + 1), translucent.data.subarray(i - 3, i + 1));
+    }
+  }
+});
+
+test('a key image orders pixels by its values where they started', async () => {
+  const keyImage = testImage(image.width, image.height, 9);
+  for (const sortKey of Object.keys(KEYS)) {
+    for (let mode = 0; mode <= 3; mode++) {
+      const options = { mode, sortKey, keyImage };
+      const sorted = await new PixelSorter().sortImage(image, options);
+      assert.deepEqual(sorted.data, referenceSort(image, options), `mode ${mode}, ${sortKey}`);
+      assert.notDeepEqual(sorted.data, (await new PixelSorter().sortImage(image, { mode, sortKey })).data);
+    }
+  }
+});
+
+test('intervals can be found in the key image instead', async () => {
+  const keyImage = testImage(image.width, image.height, 10);
+  for (let mode = 0; mode <= 4; mode++) {
+    const options = { mode, sortKey: 'luminance', keyImage, keyImageIntervals: true };
+    const sorted = await new PixelSorter().sortImage(image, options);
+    assert.deepEqual(sorted.data, referenceSort(image, options), `mode ${mode}`);
+  }
+});
+
+test('a key image must match the image size and is only converted in place when asked', async () => {
+  await assert.rejects(
+    new PixelSorter().sortImage(image, { keyImage: testImage(image.width - 1, image.height, 9) }),
+    /Key image is 96x71 but the image is 97x71/
+  );
+
+  const keyImage = testImage(image.width, image.height, 9);
+  const copy = new Uint8ClampedArray(keyImage.data);
+  await new PixelSorter().sortImage(image, { keyImage });
+  assert.deepEqual(keyImage.data, copy);
+});
+
+test('a mask must match the image size', async () => {
+  await assert.rejects(
+    new PixelSorter().sortImage(image, { mask: createMask(image.width, image.height + 1) }),
+    /Mask is 97x72 but the image is 97x71/
+  );
+});
+
+test('angle paths at 0, 90, 180 and 270 degrees are the rows and columns', () => {
+  const [width, height] = [7, 5];
+  const rows = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => y * width + x));
+  const columns = Array.from({ length: width }, (_, x) => Array.from({ length: height }, (_, y) => y * width + x));
+  const reversed = (lines) => lines.map((line) => [...line].reverse());
+
+  assert.deepEqual(linesOf(createAnglePath(width, height, 0)), rows);
+  assert.deepEqual(linesOf(createAnglePath(width, height, 90)), columns);
+  assert.deepEqual(linesOf(createAnglePath(width, height, 180)), reversed(rows));
+  assert.deepEqual(linesOf(createAnglePath(width, height, 270)), reversed(columns));
+  assert.deepEqual(linesOf(createAnglePath(width, height, -90)), reversed(columns));
+});
+
+test('angle paths cover every pixel once in single steps that wrap at the edges', () => {
+  const [width, height] = [37, 23];
+  for (const angle of [10, 30, 45, 60, 100, 135, 200, 315, -30]) {
+    const radians = (angle * Math.PI) / 180;
+    const horizontal = Math.abs(Math.cos(radians)) >= Math.abs(Math.sin(radians));
+    const seen = new Uint8Array(width * height);
+    for (const line of linesOf(createAnglePath(width, height, angle))) {
+      assert.equal(line.length, horizontal ? width : height, `${angle}°`);
+      line.forEach((i, step) => {
+        seen[i]++;
+        if (step === 0) return;
+        const [x0, y0] = [line[step - 1] % width, Math.floor(line[step - 1] / width)];
+        const [x1, y1] = [i % width, Math.floor(i / width)];
+        // One pixel along the main axis, at most one across it (or a wrap)
+        const along = horizontal ? [x1 - x0, y1 - y0, height] : [y1 - y0, x1 - x0, width];
+        assert.equal(Math.abs(along[0]), 1, `${angle}° step ${step}`);
+        assert.ok([0, 1, along[2] - 1].includes(Math.abs(along[1])), `${angle}° step ${step}`);
+      });
+    }
+    assert.ok(seen.every((count) => count === 1), `${angle}°`);
+  }
+});
+
+test('sorting at an angle matches the reference along the angle path', async () => {
+  for (const [order, passAngle] of [['rows', 0], ['columns', 90]]) {
+    for (const reverse of [false, true]) {
+      const angle = 30;
+      const lines = linesOf(createAnglePath(image.width, image.height, angle + passAngle + (reverse ? 180 : 0)));
+      const sorted = await new PixelSorter().sortImage(image, { mode: 2, order, angle, reverse });
+      assert.deepEqual(sorted.data, referenceSort(image, { mode: 2 }, lines), `${order}${reverse ? ', reversed' : ''}`);
+    }
+  }
+});
+
+const CURVED_PATHS = {
+  circles: createCirclePath,
+  spokes: createSpokePath,
+  spiral: createSpiralPath,
+  flow: createFlowFieldPath
+};
+
+test('curved paths cover every pixel once and yield while they are built', async () => {
+  const [width, height] = [150, 100];
+  for (const [name, createPath] of Object.entries(CURVED_PATHS)) {
+    let yields = 0;
+    const path = await createPath(width, height, { spacing: 1 }, async () => { yields++; });
+    const seen = new Uint8Array(width * height);
+    for (let n = 0; n < path.count; n++) for (const i of path.getLine(n)) seen[i]++;
+    assert.ok(seen.every((count) => count === 1), name);
+    assert.ok(yields >= height, `${name} yielded ${yields} times`);
+  }
+});
+
+test('building a curved path stops when yieldToUI throws', async () => {
+  for (const [name, createPath] of Object.entries(CURVED_PATHS)) {
+    let yields = 0;
+    const cancel = async () => {
+      if (++yields === 3) throw new Error('cancelled');
+    };
+    await assert.rejects(createPath(150, 100, {}, cancel), /cancelled/, name);
+    assert.equal(yields, 3);
+  }
+});
+
+test('long lines are sorted in slices like the reference', async () => {
+  // A one-arm spiral is a single line over the whole image, past LONG_LINE_LENGTH
+  const long = testImage(200, 100, 3);
+  const path = await createSpiralPath(200, 100, { spacing: 1 });
+  assert.equal(path.count, 1);
+  const lines = [Array.from(path.getLine(0))];
+  for (let mode = 0; mode <= 3; mode++) {
+    const sorted = await new PixelSorter().sortImage(long, { mode, path: 'spiral', spacing: 1 });
+    assert.deepEqual(sorted.data, referenceSort(long, { mode }, lines), `mode ${mode}`);
+  }
+});
+
+test('aborting a sort along a curved path rejects with an AbortError', async () => {
+  const controller = new AbortController();
+  const sorting = new PixelSorter().sortImage(testImage(400, 300, 4), {
+    path: 'spiral',
+    signal: controller.signal
+  });
+  setTimeout(() => controller.abort(), 0);
+  await assert.rejects(sorting, { name: 'AbortError' });
+});
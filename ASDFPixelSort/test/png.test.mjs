@@ -0,0 +1,244 @@
+/**
+ * PNG decoder and encoder. Decoder fixtures are built here, with every filter type,
+ * Adam7 interlacing and each color type, and compressed by Node's zlib, so
+ * the decoder is checked against an independent writer.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { decodePNG, encodePNG, readPNGText } from '../utils/png.js';
+import { createRandom } from '../utils/random.js';
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc(bytes) {
+  let c = 0xFFFFFFFF;
+  for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(data.length + 12);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  Buffer.from(data).copy(out, 8);
+  out.writeUInt32BE(crc(out.subarray(4, data.length + 8)), data.length + 8);
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function filterRow(type, row, previous, bpp) {
+  const out = new Uint8Array(row.length + 1);
+  out[0] = type;
+  for (let i = 0; i < row.length; i++) {
+    const a = i >= bpp ? row[i - bpp] : 0;
+    const b = previous ? previous[i] : 0;
+    const c = previous && i >= bpp ? previous[i - bpp] : 0;
+    const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][type];
+    out[i + 1] = (row[i] - predictor) & 0xFF;
+  }
+  return out;
+}
+
+// Pack samples (one list per pixel) MSB-first at the given bit depth
+function packRow(pixels, bitDepth) {
+  const samples = pixels.flat();
+  const bytes = new Uint8Array(Math.ceil((samples.length * bitDepth) / 8));
+  samples.forEach((sample, i) => {
+    if (bitDepth === 16) {
+      bytes[i * 2] = sample >> 8;
+      bytes[i * 2 + 1] = sample & 0xFF;
+    } else {
+      const bit = i * bitDepth;
+      bytes[bit >> 3] |= sample << (8 - bitDepth - (bit & 7));
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Write a PNG from samples[y][x] (one list of samples per pixel); row n of
+ * each pass uses filter `filterFor(n)`
+ */
+function writePNG({ samples, colorType, bitDepth = 8, interlace = 0, filterFor, plte, trns }) {
+  const height = samples.length;
+  const width = samples[0].length;
+  const bpp = Math.max(1, (CHANNELS[colorType] * bitDepth) >> 3);
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+
+  const rows = [];
+  for (const [startX, startY, stepX, stepY] of passes) {
+    let previous = null;
+    let n = 0;
+    for (let y = startY; y < height; y += stepY) {
+      const pixels = [];
+      for (let x = startX; x < width; x += stepX) pixels.push(samples[y][x]);
+      if (pixels.length === 0) continue;
+      const row = packRow(pixels, bitDepth);
+      rows.push(filterRow(filterFor(n++), row, previous, bpp));
+      previous = row;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlace;
+  return new Uint8Array(Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk('IHDR', header),
+    ...(plte ? [chunk('PLTE', plte)] : []),
+    ...(trns ? [chunk('tRNS', trns)] : []),
+    chunk('IDAT', deflateSync(Buffer.concat(rows.map((row) => Buffer.from(row))))),
+    chunk('IEND', new Uint8Array(0))
+  ]));
+}
+
+function randomSamples(width, height, channels, bitDepth, seed) {
+  const random = createRandom(seed);
+  const max = 2 ** bitDepth;
+  return Array.from({ length: height }, () => Array.from({ length: width }, () => (
+    Array.from({ length: channels }, () => Math.floor(random() * max))
+  )));
+}
+
+// RGBA the decoder should produce for the samples
+function expectedRGBA(samples, colorType, bitDepth, palette = null) {
+  const to8 = (value) => Math.round((value * 255) / (2 ** bitDepth - 1));
+  const out = [];
+  for (const row of samples) {
+    for (const pixel of row) {
+      if (colorType === 3) out.push(...palette[pixel[0]]);
+      else if (colorType === 0) out.push(to8(pixel[0]), to8(pixel[0]), to8(pixel[0]), 255);
+      else if (colorType === 4) out.push(to8(pixel[0]), to8(pixel[0]), to8(pixel[0]), to8(pixel[1]));
+      else if (colorType === 2) out.push(...pixel.map(to8), 255);
+      else out.push(...pixel.map(to8));
+    }
+  }
+  return out;
+}
+
+function randomImage(width, height, seed, opaque) {
+  const random = createRandom(seed);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = Math.floor(random() * 256);
+  if (opaque) for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { data, width, height };
+}
+
+for (const interlace of [0, 1]) {
+  const layout = interlace ? 'Adam7' : 'non-interlaced';
+
+  for (let type = 0; type <= 4; type++) {
+    test(`decodes ${layout} filter type ${type} exactly`, () => {
+      const samples = randomSamples(19, 13, 4, 8, 10 + type);
+      const png = writePNG({ samples, colorType: 6, interlace, filterFor: () => type });
+      assert.deepEqual(Array.from(decodePNG(png).data), expectedRGBA(samples, 6, 8));
+    });
+  }
+
+  test(`decodes ${layout} rows with mixed filter types`, () => {
+    const samples = randomSamples(33, 17, 3, 8, 20);
+    const png = writePNG({ samples, colorType: 2, interlace, filterFor: (n) => n % 5 });
+    assert.deepEqual(Array.from(decodePNG(png).data), expectedRGBA(samples, 2, 8));
+  });
+
+  const formats = [
+    { colorType: 0, bitDepth: 1 },
+    { colorType: 0, bitDepth: 4 },
+    { colorType: 0, bitDepth: 16 },
+    { colorType: 4, bitDepth: 8 },
+    { colorType: 2, bitDepth: 16 },
+    { colorType: 6, bitDepth: 16 }
+  ];
+  for (const { colorType, bitDepth } of formats) {
+    test(`decodes ${layout} color type ${colorType} at ${bitDepth} bits`, () => {
+      const samples = randomSamples(11, 9, CHANNELS[colorType], bitDepth, colorType * 100 + bitDepth);
+      const png = writePNG({ samples, colorType, bitDepth, interlace, filterFor: (n) => n % 5 });
+      assert.deepEqual(Array.from(decodePNG(png).data), expectedRGBA(samples, colorType, bitDepth));
+    });
+  }
+
+  test(`decodes ${layout} palette images with transparency`, () => {
+    const palette = [[255, 0, 0, 255], [0, 255, 0, 128], [0, 0, 255, 0], [10, 20, 30, 255]];
+    const samples = randomSamples(9, 7, 1, 2, 30);
+    const png = writePNG({
+      samples,
+      colorType: 3,
+      bitDepth: 2,
+      interlace,
+      filterFor: () => 0,
+      plte: palette.flatMap(([r, g, b]) => [r, g, b]),
+      trns: palette.slice(0, 3).map(([, , , a]) => a)
+    });
+    assert.deepEqual(Array.from(decodePNG(png).data), expectedRGBA(samples, 3, 2, palette));
+  });
+}
+
+test('Adam7 handles images smaller than the interlace grid', () => {
+  for (const [width, height] of [[1, 1], [2, 3], [5, 1], [1, 9]]) {
+    const samples = randomSamples(width, height, 4, 8, width * 10 + height);
+    const png = writePNG({ samples, colorType: 6, interlace: 1, filterFor: (n) => n % 5 });
+    assert.deepEqual(Array.from(decodePNG(png).data), expectedRGBA(samples, 6, 8));
+  }
+});
+
+test('encodePNG round-trips byte-exactly', () => {
+  const images = [
+    randomImage(1, 1, 1, false),
+    randomImage(37, 23, 2, true),
+    randomImage(64, 48, 3, false),
+    randomImage(300, 2, 4, false),
+    { data: new Uint8ClampedArray(40 * 30 * 4).fill(255), width: 40, height: 30 }
+  ];
+  for (const image of images) {
+    for (const level of [0, 1, 6, 9]) {
+      const decoded = decodePNG(encodePNG(image, { level }));
+      assert.equal(decoded.width, image.width);
+      assert.equal(decoded.height, image.height);
+      assert.deepEqual(decoded.data, image.data);
+    }
+  }
+});
+
+test('encodePNG round-trips images spanning several row batches', () => {
+  const image = randomImage(700, 200, 5, false);
+  assert.deepEqual(decodePNG(encodePNG(image, { level: 1 })).data, image.data);
+});
+
+test('encodePNG text chunks are read back', () => {
+  const image = randomImage(4, 4, 6, true);
+  const text = { Comment: 'héllo ✓ 𝄞', 'asdfpixelsort-recipe': '{"version":1}' };
+  const png = encodePNG(image, { text });
+  assert.deepEqual(readPNGText(png), text);
+  assert.deepEqual(decodePNG(png).data, image.data);
+  assert.throws(() => encodePNG(image, { text: { '': 'x' } }), /keyword/);
+});
+
+test('rejects corrupt files', () => {
+  const samples = randomSamples(8, 8, 4, 8, 7);
+  const png = writePNG({ samples, colorType: 6, filterFor: () => 0 });
+  const corrupt = png.slice();
+  corrupt[20] ^= 0xFF;
+  assert.throws(() => decodePNG(corrupt));
+  assert.throws(() => decodePNG(png.subarray(0, 40)));
+});
@@ -0,0 +1,55 @@
+/**
+ * Preset files: round trips and the checks on imported values
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILT_IN_PRESETS, exportPresets, importPresets } from '../utils/presets.js';
+
+const presetFile = (options) => JSON.stringify({
+  format: 'asdfpixelsort-presets',
+  version: 1,
+  presets: [{ name: 'Edited', options }]
+});
+
+test('built-in presets survive export and import', () => {
+  const imported = importPresets(exportPresets(BUILT_IN_PRESETS));
+  assert.deepEqual(imported, BUILT_IN_PRESETS.map(({ name, options }) => ({ name, options })));
+});
+
+test('imported settings with unknown or out-of-range values are dropped', () => {
+  const [{ options }] = importPresets(presetFile({
+    mode: 9,
+    sortKey: 'sparkle',
+    order: 'diagonal',
+    path: 'zigzag',
+    angle: '45',
+    spacing: 0,
+    iterations: 2.5,
+    edgeOperator: 'prewitt',
+    center: { x: 0.5 },
+    thresholdGradient: { type: 'conic', start: { x: 0, y: 0 }, end: { x: 1, y: 1 } },
+    intervals: { min: 50, max: 20 },
+    blend: { mode: 'overlay', channels: ['alpha'] },
+    unknown: true
+  }));
+  assert.deepEqual(options, {});
+});
+
+test('objects keep their valid fields', () => {
+  const [{ options }] = importPresets(presetFile({
+    mode: 2,
+    path: 'spiral',
+    thresholds: { bright: 300, dark: 80, white: 1.5 },
+    intervals: { min: 5, max: 50, skip: 2 },
+    blend: { mode: 'screen', opacity: -1, channels: ['red'] },
+    thresholdGradient: null
+  }));
+  assert.deepEqual(options, {
+    mode: 2,
+    path: 'spiral',
+    thresholds: { dark: 80 },
+    intervals: { min: 5, max: 50 },
+    blend: { mode: 'screen', channels: ['red'] },
+    thresholdGradient: null
+  });
+});
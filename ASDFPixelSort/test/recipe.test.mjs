@@ -0,0 +1,39 @@
+/**
+ * Recipes embedded in exported images: round trips and the checks on the
+ * settings read back
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecipe, parseRecipe } from '../utils/recipe.js';
+import { BUILT_IN_PRESETS } from '../utils/presets.js';
+
+const [classic, drips, smear] = BUILT_IN_PRESETS.map(({ options }) => options);
+
+const run = (steps) => ({
+  options: steps[steps.length - 1],
+  steps,
+  resolution: 'medium',
+  resizeWidth: null,
+  source: { width: 4000, height: 3000 },
+  output: { width: 800, height: 600 }
+});
+
+test('a stack recipe reads back as written', () => {
+  const recipe = createRecipe(run([classic, drips, smear]));
+  assert.deepEqual(parseRecipe(JSON.stringify(recipe)), recipe);
+});
+
+test('invalid settings are dropped and incomplete steps skipped', () => {
+  const recipe = createRecipe(run([classic, drips, smear]));
+  recipe.options = { ...recipe.options, mode: 12, path: 'zigzag' };
+  recipe.steps[0] = { ...recipe.steps[0], sortKey: 'sparkle' };
+  recipe.steps[1] = { ...recipe.steps[1], mode: -1 };
+  recipe.steps[2] = { ...recipe.steps[2], thresholds: { ...smear.thresholds, bright: 'high' } };
+
+  const parsed = parseRecipe(JSON.stringify(recipe));
+  const { mode, path, ...options } = createRecipe(run([smear])).options;
+  assert.deepEqual(parsed.options, options);
+  // Only the unknown sort key goes; without it the step still describes itself
+  const { sortKey, ...first } = createRecipe(run([classic])).options;
+  assert.deepEqual(parsed.steps, [first]);
+});
@@ -0,0 +1,74 @@
+/**
+ * Resizing and point sampling of RGBA pixel data
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pointSample, resizePixels } from '../utils/resample.js';
+
+// Every pixel a different color, so samples can be traced back
+function indexImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set([i & 255, i >> 8, 7, 255], i * 4);
+  return { data, width, height };
+}
+
+const pixelAt = ({ data, width }, x, y) => Array.from(data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+test('resizePixels averages the source pixels each target pixel covers', () => {
+  const source = indexImage(12, 8);
+  const resized = resizePixels(source, 4, 2);
+  assert.equal(resized.width, 4);
+  assert.equal(resized.height, 2);
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 4; x++) {
+      // Mean of the 3x4 block, rounded once per axis
+      let sum = 0;
+      for (let sy = y * 4; sy < y * 4 + 4; sy++) {
+        for (let sx = x * 3; sx < x * 3 + 3; sx++) sum += pixelAt(source, sx, sy)[0];
+      }
+      const [red, , blue, alpha] = pixelAt(resized, x, y);
+      assert.ok(Math.abs(red - sum / 12) <= 1, `${x},${y}: ${red} for ${sum / 12}`);
+      assert.equal(blue, 7);
+      assert.equal(alpha, 255);
+    }
+  }
+});
+
+test('resizePixels interpolates when enlarging', () => {
+  const source = { data: new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255]), width: 2, height: 1 };
+  const resized = resizePixels(source, 4, 1);
+  assert.deepEqual(Array.from({ length: 4 }, (_, x) => pixelAt(resized, x, 0)[0]), [0, 64, 191, 255]);
+});
+
+test('resizePixels keeps transparent pixels from tinting their neighbours', () => {
+  const source = { data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 0]), width: 2, height: 1 };
+  assert.deepEqual(pixelAt(resizePixels(source, 1, 1), 0, 0), [255, 0, 0, 128]);
+});
+
+test('resizePixels returns same-size images as they are and never goes below 1 pixel', () => {
+  const source = indexImage(6, 4);
+  assert.equal(resizePixels(source, 6, 4), source);
+  const tiny = resizePixels(source, 0.2, 0);
+  assert.equal(tiny.width, 1);
+  assert.equal(tiny.height, 1);
+});
+
+test('pointSample picks the source pixel at each target centre', () => {
+  const source = indexImage(40, 30);
+  const sampled = pointSample(source, 10);
+  assert.equal(sampled.width, 10);
+  assert.equal(sampled.height, 8);
+  for (let y = 0; y < sampled.height; y++) {
+    for (let x = 0; x < sampled.width; x++) {
+      const sx = Math.floor((x + 0.5) * 4);
+      const sy = Math.floor(((y + 0.5) * 30) / 8);
+      assert.deepEqual(pixelAt(sampled, x, y), pixelAt(source, sx, sy), `${x},${y}`);
+    }
+  }
+});
+
+test('pointSample leaves narrow images alone', () => {
+  const source = indexImage(12, 5);
+  assert.equal(pointSample(source, 12), source);
+  assert.equal(pointSample(source, 100), source);
+});
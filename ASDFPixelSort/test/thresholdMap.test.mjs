@@ -0,0 +1,50 @@
+/**
+ * Rasterized threshold gradients
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGradientMap } from '../utils/thresholdMap.js';
+
+const row = ({ data, width }, y) => Array.from(data.subarray(y * width, (y + 1) * width));
+const column = ({ data, width, height }, x) => Array.from({ length: height }, (_, y) => data[y * width + x]);
+
+test('linear gradients run from 0 at the start to 255 at the end', () => {
+  const map = createGradientMap(10, 4, { type: 'linear', start: { x: 0, y: 0.5 }, end: { x: 1, y: 0.5 } });
+  const expected = Array.from({ length: 10 }, (_, x) => Math.round(((x + 0.5) / 10) * 255));
+  for (let y = 0; y < 4; y++) assert.deepEqual(row(map, y), expected);
+});
+
+test('linear gradients are constant beyond their ends', () => {
+  const map = createGradientMap(3, 20, { type: 'linear', start: { x: 0.5, y: 0.25 }, end: { x: 0.5, y: 0.75 } });
+  const values = column(map, 1);
+  assert.deepEqual(values.slice(0, 5), [0, 0, 0, 0, 0]);
+  assert.deepEqual(values.slice(15), [255, 255, 255, 255, 255]);
+  for (let y = 6; y < 15; y++) assert.ok(values[y] > values[y - 1], `row ${y}`);
+  for (let x = 0; x < 3; x++) assert.deepEqual(column(map, x), values);
+});
+
+test('radial gradients measure distance in pixels, not fractions of the size', () => {
+  // 40 pixels wide, so the end is 10 pixels right of the centre
+  const map = createGradientMap(40, 20, { type: 'radial', start: { x: 0.5, y: 0.5 }, end: { x: 0.75, y: 0.5 } });
+  const at = (x, y) => map.data[y * 40 + x];
+  assert.equal(at(19, 9), at(20, 10));
+  assert.equal(at(20, 10), Math.round((Math.SQRT1_2 / 10) * 255));
+  // The same distance across and down
+  assert.equal(at(25, 10), at(20, 15));
+  assert.equal(at(14, 10), at(20, 4));
+  assert.equal(at(31, 10), 255);
+  assert.equal(at(20, 0), Math.round((Math.hypot(0.5, 9.5) / 10) * 255));
+  assert.equal(at(0, 0), 255);
+});
+
+test('gradients with no length are 255 everywhere', () => {
+  const point = { x: 0.3, y: 0.3 };
+  for (const type of ['linear', 'radial']) {
+    assert.ok(createGradientMap(6, 5, { type, start: point, end: point }).data.every((value) => value === 255), type);
+  }
+});
+
+test('rejects unknown gradient types', () => {
+  const gradient = { type: 'conic', start: { x: 0, y: 0 }, end: { x: 1, y: 1 } };
+  assert.throws(() => createGradientMap(4, 4, gradient), /Unknown gradient type: conic/);
+});
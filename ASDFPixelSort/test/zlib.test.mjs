@@ -0,0 +1,89 @@
+/**
+ * zlib/DEFLATE, checked against Node's zlib in both directions
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { constants, deflateRawSync, deflateSync, inflateSync } from 'node:zlib';
+import { adler32, deflate, deflateRaw, inflate, inflateRaw } from '../utils/zlib.js';
+import { createRandom } from '../utils/random.js';
+
+// Block type (0 stored, 1 fixed, 2 dynamic) of the first block of a raw stream
+const firstBlockType = (raw) => (raw[0] >> 1) & 3;
+
+function sampleData(length, seed) {
+  const random = createRandom(seed);
+  const words = ['pixel', 'sort', 'asdf', 'white', 'black', 'bright', 'dark', ' ', '\n'];
+  const text = [];
+  let size = 0;
+  while (size < length) {
+    const word = random() < 0.1 ? String(Math.floor(random() * 1000)) : words[Math.floor(random() * words.length)];
+    text.push(word);
+    size += word.length;
+  }
+  return new Uint8Array(Buffer.from(text.join('').slice(0, length)));
+}
+
+function noise(length, seed) {
+  const random = createRandom(seed);
+  return Uint8Array.from({ length }, () => Math.floor(random() * 256));
+}
+
+const BLOCK_TYPES = [
+  { name: 'stored', type: 0, options: { level: 0 } },
+  { name: 'fixed Huffman', type: 1, options: { strategy: constants.Z_FIXED } },
+  { name: 'dynamic Huffman', type: 2, options: {} }
+];
+
+for (const { name, type, options } of BLOCK_TYPES) {
+  test(`inflates ${name} blocks`, () => {
+    for (const length of [1000, 100000]) {
+      const data = sampleData(length, length);
+      const raw = new Uint8Array(deflateRawSync(data, options));
+      assert.equal(firstBlockType(raw), type);
+      assert.deepEqual(inflateRaw(raw), data);
+      assert.deepEqual(inflateRaw(raw, data.length), data);
+    }
+  });
+}
+
+test('inflates streams of many blocks and long back-references', () => {
+  // Over 64 KB of stored data needs several blocks; repeats reach back the
+  // full 32 KB window
+  const block = noise(32768, 1);
+  const data = new Uint8Array(block.length * 4);
+  for (let i = 0; i < 4; i++) data.set(block, i * block.length);
+  for (const options of [{ level: 0 }, { level: 9 }, { strategy: constants.Z_FIXED }]) {
+    assert.deepEqual(inflateRaw(new Uint8Array(deflateRawSync(data, options))), data);
+  }
+});
+
+test('inflates empty input', () => {
+  assert.deepEqual(inflate(new Uint8Array(deflateSync(new Uint8Array(0)))), new Uint8Array(0));
+});
+
+test('inflate checks the zlib wrapper', () => {
+  const data = sampleData(5000, 2);
+  const wrapped = new Uint8Array(deflateSync(data));
+  assert.deepEqual(inflate(wrapped), data);
+
+  const badChecksum = wrapped.slice();
+  badChecksum[badChecksum.length - 1] ^= 1;
+  assert.throws(() => inflate(badChecksum));
+  assert.throws(() => inflate(wrapped.subarray(0, wrapped.length >> 1)));
+});
+
+test('deflate output is read by Node at every level', () => {
+  const inputs = [new Uint8Array(0), sampleData(70000, 3), noise(20000, 4)];
+  for (const data of inputs) {
+    for (let level = 0; level <= 9; level++) {
+      assert.deepEqual(new Uint8Array(inflateSync(deflate(data, level))), data);
+      assert.deepEqual(inflateRaw(deflateRaw(data, level)), data);
+    }
+  }
+});
+
+test('adler32 matches the zlib trailer', () => {
+  const data = sampleData(10000, 5);
+  const wrapped = deflateSync(data);
+  assert.equal(adler32(data) >>> 0, wrapped.readUInt32BE(wrapped.length - 4));
+});
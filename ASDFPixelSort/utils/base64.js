@@ -0,0 +1,82 @@
+/**
+ * Base64 <-> byte conversion
+ * ImageManipulator and FileSystem hand us base64 strings, and atob/btoa
+ * only deal in binary strings, so we convert straight to typed arrays.
+ */
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const LOOKUP = new Uint8Array(256).fill(255);
+for (let i = 0; i < ALPHABET.length; i++) {
+  LOOKUP[ALPHABET.charCodeAt(i)] = i;
+}
+// Accept the URL-safe alphabet too
+LOOKUP['-'.charCodeAt(0)] = 62;
+LOOKUP['_'.charCodeAt(0)] = 63;
+
+/**
+ * Decode a base64 string (whitespace and data URI prefix tolerated)
+ * @param {string} base64 - Base64 encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase64(base64) {
+  const comma = base64.startsWith('data:') ? base64.indexOf(',') : -1;
+  const start = comma + 1;
+
+  const bytes = new Uint8Array(Math.floor(((base64.length - start) * 3) / 4));
+  let length = 0;
+  let buffer = 0;
+  let bits = 0;
+
+  for (let i = start; i < base64.length; i++) {
+    const code = base64.charCodeAt(i);
+    if (code === 61) break; // '='
+
+    const value = code < 256 ? LOOKUP[code] : 255;
+    if (value === 255) {
+      if (code === 10 || code === 13 || code === 32 || code === 9) continue;
+      throw new Error('Invalid base64 character');
+    }
+
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[length++] = (buffer >> bits) & 0xFF;
+    }
+  }
+
+  return bytes.subarray(0, length);
+}
+
+/**
+ * Encode bytes as a base64 string
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 encoded data
+ */
+export function encodeBase64(bytes) {
+  const parts = [];
+  // Build the string in slices so huge images don't create one giant concat chain
+  const chunkSize = 3 * 4096;
+
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    const end = Math.min(offset + chunkSize, bytes.length);
+    let chunk = '';
+
+    let i = offset;
+    for (; i + 2 < end; i += 3) {
+      const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+      chunk += ALPHABET[n >> 18] + ALPHABET[(n >> 12) & 63] + ALPHABET[(n >> 6) & 63] + ALPHABET[n & 63];
+    }
+
+    if (i < end) {
+      const n = (bytes[i] << 16) | (i + 1 < end ? bytes[i + 1] << 8 : 0);
+      chunk += ALPHABET[n >> 18] + ALPHABET[(n >> 12) & 63];
+      chunk += i + 1 < end ? ALPHABET[(n >> 6) & 63] + '=' : '==';
+    }
+
+    parts.push(chunk);
+  }
+
+  return parts.join('');
+}
@@ -0,0 +1,81 @@
+/**
+ * Compositing: blend sorted pixels back over the image they were sorted from
+ */
+
+import { createTimeSlicer } from './scheduler';
+
+// Sorted pixels are the top layer, the unsorted image the base
+export const BLEND_MODES = ['normal', 'lighten', 'darken', 'screen', 'multiply', 'difference'];
+export const BLEND_CHANNELS = ['red', 'green', 'blue'];
+// Leaves the sorted pixels as they are
+export const DEFAULT_BLEND = { mode: 'normal', opacity: 1, channels: BLEND_CHANNELS };
+
+const BLEND_FUNCTIONS = {
+  normal: (base, top) => top,
+  lighten: (base, top) => Math.max(base, top),
+  darken: (base, top) => Math.min(base, top),
+  screen: (base, top) => 255 - ((255 - base) * (255 - top)) / 255,
+  multiply: (base, top) => (base * top) / 255,
+  difference: (base, top) => Math.abs(base - top)
+};
+
+/**
+ * Whether a blend changes anything, i.e. whether the original is still needed
+ * after sorting
+ */
+export function isBlending(blend) {
+  if (!blend) return false;
+  const { mode = 'normal', opacity = 1, channels = BLEND_CHANNELS } = blend;
+  return mode !== 'normal' || opacity < 1 || BLEND_CHANNELS.some((channel) => !channels.includes(channel));
+}
+
+// Result of every base/top pair of one channel, with the opacity applied
+function createBlendTable(blendFunction, opacity) {
+  const table = new Uint8ClampedArray(256 * 256);
+  for (let base = 0; base < 256; base++) {
+    for (let top = 0; top < 256; top++) {
+      table[(base << 8) | top] = base + (blendFunction(base, top) - base) * opacity;
+    }
+  }
+  return table;
+}
+
+/**
+ * Blend sorted pixels over the original, in place in `sorted`. Channels left
+ * out of `channels` keep the original's values; alpha mixes by opacity alone.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} original - Unsorted pixels
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} sorted - Sorted pixels, same size
+ * @param {Object} blend - { mode: one of BLEND_MODES, opacity: 0-1, channels: some of BLEND_CHANNELS }
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} `sorted`
+ */
+export async function blendPixels(original, sorted, blend = {}, signal = null) {
+  const { mode = 'normal', opacity = 1, channels = BLEND_CHANNELS } = blend;
+  if (!BLEND_MODES.includes(mode)) throw new Error(`Unknown blend mode: ${mode}`);
+  if (!(opacity >= 0 && opacity <= 1)) throw new Error(`Opacity must be between 0 and 1: ${opacity}`);
+  const unknown = channels.find((channel) => !BLEND_CHANNELS.includes(channel));
+  if (unknown) throw new Error(`Unknown blend channel: ${unknown}`);
+  if (original.width !== sorted.width || original.height !== sorted.height) {
+    throw new Error('Original and sorted pixels must be the same size');
+  }
+
+  const { width, height } = sorted;
+  const base = original.data;
+  const top = sorted.data;
+  const alphaTable = createBlendTable(BLEND_FUNCTIONS.normal, opacity);
+  const colorTable = createBlendTable(BLEND_FUNCTIONS[mode], opacity);
+  // Table of each color channel; null keeps the original
+  const [red, green, blue] = BLEND_CHANNELS.map((channel) => (channels.includes(channel) ? colorTable : null));
+
+  const yieldToUI = createTimeSlicer(signal);
+  for (let y = 0; y < height; y++) {
+    for (let i = y * width * 4, end = i + width * 4; i < end; i += 4) {
+      top[i] = red ? red[(base[i] << 8) | top[i]] : base[i];
+      top[i + 1] = green ? green[(base[i + 1] << 8) | top[i + 1]] : base[i + 1];
+      top[i + 2] = blue ? blue[(base[i + 2] << 8) | top[i + 2]] : base[i + 2];
+      top[i + 3] = alphaTable[(base[i + 3] << 8) | top[i + 3]];
+    }
+    await yieldToUI();
+  }
+  return sorted;
+}
@@ -0,0 +1,111 @@
+/**
+ * Color helpers for Processing-style packed colors (0xAARRGGBB as a signed int)
+ */
+
+// sRGB channel value (0-255) -> linear light (0-1)
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function getRed(color) {
+  return (color >> 16) & 0xFF;
+}
+
+export function getGreen(color) {
+  return (color >> 8) & 0xFF;
+}
+
+export function getBlue(color) {
+  return color & 0xFF;
+}
+
+/**
+ * Opaque color from channels (0-255). For the white/black thresholds this is
+ * exactly the int the sketch compares pixels against.
+ */
+export function fromRGB(r, g, b) {
+  return 0xFF000000 | (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Parse "#RRGGBB" or "#RGB" (the # is optional) into an opaque color
+ * @returns {number|null} Color, or null if the text is not a hex color
+ */
+export function parseHexColor(text) {
+  let hex = text.trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.replace(/./g, '$&$&');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+  return 0xFF000000 | parseInt(hex, 16);
+}
+
+/**
+ * Format a color as "#RRGGBB", ignoring alpha
+ */
+export function toHexColor(color) {
+  return '#' + (color & 0xFFFFFF).toString(16).toUpperCase().padStart(6, '0');
+}
+
+/**
+ * HSV hue in degrees (0-360); grays have hue 0
+ */
+export function getHue(color) {
+  const r = (color >> 16) & 0xFF;
+  const g = (color >> 8) & 0xFF;
+  const b = color & 0xFF;
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta === 0) return 0;
+
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+
+  hue *= 60;
+  return hue < 0 ? hue + 360 : hue;
+}
+
+/**
+ * HSV saturation (0-1)
+ */
+export function getSaturation(color) {
+  const r = (color >> 16) & 0xFF;
+  const g = (color >> 8) & 0xFF;
+  const b = color & 0xFF;
+  const max = Math.max(r, g, b);
+  if (max === 0) return 0;
+  return (max - Math.min(r, g, b)) / max;
+}
+
+/**
+ * HSV value (0-255)
+ */
+export function getValue(color) {
+  return Math.max((color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+}
+
+/**
+ * CIE L* lightness (0-100) of an sRGB color
+ */
+export function getLabLightness(color) {
+  const y = 0.2126 * SRGB_TO_LINEAR[(color >> 16) & 0xFF]
+    + 0.7152 * SRGB_TO_LINEAR[(color >> 8) & 0xFF]
+    + 0.0722 * SRGB_TO_LINEAR[color & 0xFF];
+  const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+  return 116 * f - 16;
+}
+
+/**
+ * OKLab/OKLCH lightness (0-1) of an sRGB color
+ */
+export function getOklchLightness(color) {
+  const r = SRGB_TO_LINEAR[(color >> 16) & 0xFF];
+  const g = SRGB_TO_LINEAR[(color >> 8) & 0xFF];
+  const b = SRGB_TO_LINEAR[color & 0xFF];
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+}
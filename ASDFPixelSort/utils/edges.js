@@ -0,0 +1,69 @@
+/**
+ * Edge maps for edge-based interval detection: the gradient magnitude of the
+ * image brightness, one byte per pixel
+ */
+
+import { getRed, getGreen, getBlue } from './color';
+
+// 3x3 derivative kernels as [side, centre] weights: the gradient across a row
+// of three is side * (top pair) + centre * (middle pair) + side * (bottom pair)
+export const EDGE_OPERATORS = {
+  sobel: [1, 2],
+  scharr: [3, 10]
+};
+
+function fillBrightness(pixels, width, y, row) {
+  for (let x = 0, i = y * width; x < width; x++, i++) {
+    const color = pixels[i];
+    row[x] = 0.299 * getRed(color) + 0.587 * getGreen(color) + 0.114 * getBlue(color);
+  }
+}
+
+/**
+ * Compute the edge strength of every pixel. Gradients are normalized so a
+ * hard black-to-white step scores 255; image borders repeat the edge pixels.
+ * Only three rows of brightness are held at a time.
+ * @param {Int32Array} pixels - Processing colors
+ * @param {string} operator - One of the EDGE_OPERATORS keys
+ * @returns {Uint8Array} Edge magnitude (0-255) per pixel
+ */
+export function computeEdgeMap(pixels, width, height, operator = 'sobel') {
+  if (!EDGE_OPERATORS[operator]) throw new Error(`Unknown edge operator: ${operator}`);
+  const [side, centre] = EDGE_OPERATORS[operator];
+  const norm = 2 * side + centre;
+  const edges = new Uint8Array(width * height);
+
+  let above = new Float32Array(width);
+  let current = new Float32Array(width);
+  let below = new Float32Array(width);
+  fillBrightness(pixels, width, 0, current);
+  above.set(current);
+
+  for (let y = 0; y < height; y++) {
+    if (y + 1 < height) {
+      fillBrightness(pixels, width, y + 1, below);
+    } else {
+      below.set(current);
+    }
+
+    for (let x = 0; x < width; x++) {
+      const left = x > 0 ? x - 1 : 0;
+      const right = x + 1 < width ? x + 1 : width - 1;
+      const gx = (
+        side * (above[right] - above[left]) +
+        centre * (current[right] - current[left]) +
+        side * (below[right] - below[left])
+      ) / norm;
+      const gy = (
+        side * (below[left] - above[left]) +
+        centre * (below[x] - above[x]) +
+        side * (below[right] - above[right])
+      ) / norm;
+      edges[y * width + x] = Math.min(255, Math.round(Math.hypot(gx, gy)));
+    }
+
+    [above, current, below] = [current, below, above];
+  }
+
+  return edges;
+}
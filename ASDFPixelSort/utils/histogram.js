@@ -0,0 +1,112 @@
+/**
+ * Image histograms and bright/dark threshold suggestions
+ */
+
+export const SUGGESTION_METHODS = ['otsu', 'percentile'];
+
+/**
+ * Count the pixels at each level (0-255) of luminance and of each channel.
+ * Luminance is the brightness the bright/dark detectors compare against.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixelData - RGBA pixel data
+ * @returns {{luminance: Uint32Array, red: Uint32Array, green: Uint32Array, blue: Uint32Array, total: number}}
+ */
+export function computeHistogram({ data, width, height }) {
+  const luminance = new Uint32Array(256);
+  const red = new Uint32Array(256);
+  const green = new Uint32Array(256);
+  const blue = new Uint32Array(256);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    // Same rounding as PixelSorter.getBrightness
+    luminance[Math.round(0.299 * r + 0.587 * g + 0.114 * b)]++;
+    red[r]++;
+    green[g]++;
+    blue[b]++;
+  }
+
+  return { luminance, red, green, blue, total: width * height };
+}
+
+/**
+ * Otsu's method: the level that best splits the counts into a dark class
+ * (at or below it) and a light class (above it), by maximizing the variance
+ * between the two classes
+ */
+export function otsuThreshold(counts) {
+  let total = 0;
+  let sum = 0;
+  for (let level = 0; level < 256; level++) {
+    total += counts[level];
+    sum += level * counts[level];
+  }
+
+  let darkCount = 0;
+  let darkSum = 0;
+  let best = 0;
+  let bestVariance = -1;
+  for (let level = 0; level < 255; level++) {
+    darkCount += counts[level];
+    darkSum += level * counts[level];
+    const lightCount = total - darkCount;
+    if (darkCount === 0 || lightCount === 0) continue;
+
+    const meanDifference = darkSum / darkCount - (sum - darkSum) / lightCount;
+    const variance = darkCount * lightCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = level;
+    }
+  }
+  return best;
+}
+
+/**
+ * The level that puts the share of counts closest to `fraction` (0-1)
+ * strictly above it (`above`), or strictly below it
+ */
+export function percentileThreshold(counts, fraction, above = true) {
+  let total = 0;
+  for (let level = 0; level < 256; level++) total += counts[level];
+  const target = fraction * total;
+
+  let best = 0;
+  let bestError = Infinity;
+  let below = 0;
+  for (let level = 0; level < 256; level++) {
+    const share = above ? total - below - counts[level] : below;
+    const error = Math.abs(share - target);
+    if (error < bestError) {
+      bestError = error;
+      best = level;
+    }
+    below += counts[level];
+  }
+  return best;
+}
+
+/**
+ * Suggest bright and dark thresholds for a luminance histogram. Bright mode
+ * sorts pixels above its threshold and dark mode those below its threshold,
+ * so with a percentile target each sorts about `fraction` of the pixels.
+ * @param {Object} histogram - From computeHistogram
+ * @param {Object} options - { method: one of SUGGESTION_METHODS, fraction: 0-1 for 'percentile' }
+ * @returns {{bright: number, dark: number}} Thresholds (0-255)
+ */
+export function suggestThresholds(histogram, { method = 'otsu', fraction = 0.4 } = {}) {
+  if (!SUGGESTION_METHODS.includes(method)) throw new Error(`Unknown threshold method: ${method}`);
+  if (!(fraction >= 0 && fraction <= 1)) throw new Error(`Fraction must be between 0 and 1: ${fraction}`);
+
+  const { luminance } = histogram;
+  if (method === 'otsu') {
+    const level = otsuThreshold(luminance);
+    // The dark class includes the split level itself
+    return { bright: level, dark: Math.min(255, level + 1) };
+  }
+  return {
+    bright: percentileThreshold(luminance, fraction, true),
+    dark: percentileThreshold(luminance, fraction, false)
+  };
+}
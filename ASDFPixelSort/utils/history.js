@@ -0,0 +1,41 @@
+/**
+ * Undo/redo history of immutable values: { past, present, future }, where
+ * past and future are stacks of earlier and undone values
+ */
+
+// Oldest values are dropped beyond this many undo steps
+const HISTORY_LIMIT = 50;
+
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/**
+ * Record a new present value; anything undone can no longer be redone
+ */
+export function pushHistory(history, present) {
+  if (present === history.present) return history;
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present,
+    future: []
+  };
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+}
@@ -1,5 +1,47 @@
 import * as ImageManipulator from 'expo-image-manipulator';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
+import { decodeBase64, encodeBase64 } from './base64';
+import { decodePNG, encodePNG, isPNG, readPNGText } from './png';
+import { decodeJPEG, isJPEG, isUnsupportedJPEGError } from './jpeg';
+import { pointSample, resizePixels } from './resample';
+import { PixelSorter } from './pixelSort';
+import { createMask, maskFromPixels, paintStrokes } from './mask';
+import { createGradientMap } from './thresholdMap';
+import { computeHistogram, suggestThresholds } from './histogram';
+import { createRecipe, parseRecipe, RECIPE_KEYWORD } from './recipe';
+import { blendPixels, isBlending } from './blend';
+import { isAbortError, throwIfAborted } from './scheduler';
+
+// Processing sizes: the width the image is scaled down to (null keeps the original)
+export const RESOLUTIONS = {
+  preview: 400,
+  800: 800,
+  2048: 2048,
+  original: null
+};
+
+// Width of the cached thumbnails previews run on
+export const THUMBNAIL_WIDTH = 200;
+// Width histograms and threshold suggestions are computed at
+export const ANALYSIS_WIDTH = 800;
+// Most pixels across the eyedropper picks from
+export const SAMPLE_WIDTH = 2048;
+// Thumbnails kept decoded (the image, plus mask, key and threshold map images)
+const THUMBNAIL_CACHE_SIZE = 8;
+// Bytes of decoded and intermediate stack buffers kept between runs
+const STACK_CACHE_BYTES = 128 * 1024 * 1024;
+
+/**
+ * Scale a decodeImage result to at most `maxWidth` wide. The height follows the
+ * full image, since a reduced decode can round the aspect ratio slightly.
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+ */
+function fitDecoded({ data, width, height, fullWidth, fullHeight }, maxWidth) {
+  if (!maxWidth || fullWidth <= maxWidth) return { data, width, height };
+  const fitHeight = Math.round((fullHeight * maxWidth) / fullWidth);
+  if (width === maxWidth && height === fitHeight) return { data, width, height };
+  return resizePixels({ data, width, height }, maxWidth, fitHeight);
+}
 
 /**
  * React Native compatible image processor for ASDF Pixel Sort
@@ -7,431 +49,500 @@ import * as FileSystem from 'expo-file-system';
 export class ImageProcessor {
   constructor() {
     this.pixelSorter = new PixelSorter();
+    this.thumbnails = new Map();
+    this.stack = null;
   }
 
   /**
    * Process image with pixel sorting
    * @param {string} imageUri - URI of the image to process
-   * @param {number} mode - Sorting mode (0-3)
-   * @param {Object} thresholds - Threshold values
+   * @param {Object} sortOptions - PixelSorter.sortImage options (mode, thresholds, order, ...);
+   *   `resolution` is one of the RESOLUTIONS keys (default '800');
+   *   `mask` may be given as { strokes, imageUri }, `thresholdMap` as { gradient } or
+   *   { imageUri } and `keyImage` as { imageUri }; all are resampled to the processing size;
+   *   `blend` ({ mode, opacity, channels }, see utils/blend.js) composites the sorted
+   *   pixels over the original; aborting `signal` rejects with an AbortError (see utils/scheduler.js)
    * @param {Function} progressCallback - Progress callback
    * @returns {string} URI of processed image
    */
-  async processImage(imageUri, mode = 0, thresholds = {}, progressCallback = null) {
+  async processImage(imageUri, sortOptions = {}, progressCallback = null) {
+    const { resolution = '800', signal = null, ...options } = sortOptions;
     try {
+      if (!(resolution in RESOLUTIONS)) throw new Error(`Unknown resolution: ${resolution}`);
+
       if (progressCallback) progressCallback(10, 'Loading image...');
       
-      // First, get image info and resize if needed
-      const imageInfo = await ImageManipulator.manipulateAsync(
-        imageUri,
-        [{ resize: { width: 800 } }], // Resize to max width 800px for performance
-        { compress: 1, format: ImageManipulator.SaveFormat.PNG, base64: true }
+      const decoded = await this.decodeImage(imageUri, (progress, text) => {
+        if (progressCallback) progressCallback(10 + progress * 0.2, text);
+      }, RESOLUTIONS[resolution]);
+      const source = { width: decoded.fullWidth, height: decoded.fullHeight };
+      const pixelData = fitDecoded(decoded, RESOLUTIONS[resolution]);
+      
+      throwIfAborted(signal);
+
+      const { mask, thresholdMap, keyImage } = await this.buildSortInputs(
+        options,
+        pixelData.width,
+        pixelData.height
       );
+      throwIfAborted(signal);
 
-      if (progressCallback) progressCallback(20, 'Converting to pixel data...');
-      
-      // Convert base64 to pixel data
-      const pixelData = await this.base64ToPixelData(imageInfo.base64, imageInfo.width, imageInfo.height);
-      
       if (progressCallback) progressCallback(30, 'Starting pixel sort...');
       
-      // Apply pixel sorting
-      const sortedPixelData = await this.pixelSorter.sortImage(
-        pixelData,
-        mode,
-        thresholds,
-        (progress, text) => {
+      // Sort the decoded pixels in place: at full resolution a second
+      // full-size copy may not fit in memory. Blending needs the original
+      // too, so then the sort goes to a copy.
+      const blending = isBlending(options.blend);
+      const sortedPixelData = await this.pixelSorter.sortImage(pixelData, {
+        ...options,
+        mask,
+        thresholdMap,
+        keyImage,
+        signal,
+        inPlace: !blending,
+        progressCallback: (progress, text) => {
           if (progressCallback) progressCallback(30 + (progress * 0.6), text);
         }
-      );
+      });
+
+      if (blending) {
+        if (progressCallback) progressCallback(90, 'Blending...');
+        await blendPixels(pixelData, sortedPixelData, options.blend, signal);
+      }
       
       if (progressCallback) progressCallback(90, 'Creating final image...');
       
-      // Convert back to base64
-      const processedBase64 = await this.pixelDataToBase64(
-        sortedPixelData,
-        imageInfo.width,
-        imageInfo.height
-      );
-      
-      // Save to temporary file
-      const filename = `processed_${Date.now()}.png`;
-      const fileUri = FileSystem.documentDirectory + filename;
-      
-      await FileSystem.writeAsStringAsync(fileUri, processedBase64, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-      
+      throwIfAborted(signal);
+
+      // Save with the recipe for restoring these settings
+      const fileUri = await this.saveProcessed(sortedPixelData, createRecipe({
+        options,
+        resolution,
+        resizeWidth: RESOLUTIONS[resolution],
+        source,
+        output: { width: sortedPixelData.width, height: sortedPixelData.height }
+      }));
+
       if (progressCallback) progressCallback(100, 'Complete!');
-      
+
       return fileUri;
-      
+
     } catch (error) {
-      console.error('Image processing error:', error);
+      if (!isAbortError(error)) console.error('Image processing error:', error);
       throw error;
     }
   }
 
   /**
-   * Convert base64 image to pixel data array
+   * Process an image with a stack of sorts, each run on the previous one's
+   * output. The decoded image and each step's output are cached (within
+   * STACK_CACHE_BYTES), so after changing step N only steps N onwards run again.
+   * @param {string} imageUri - URI of the image to process
+   * @param {Array<Object>} steps - processImage options of each step, in order
+   *   (their resolution and signal are ignored)
+   * @param {Object} stackOptions - { resolution, signal }, as for processImage
+   * @param {Function} progressCallback - Progress callback
+   * @returns {string} URI of processed image
    */
-  async base64ToPixelData(base64, width, height) {
-    // This is a simplified conversion - in a real implementation,
-    // you would need to decode the PNG/JPEG data
-    // For now, we'll create a mock pixel array
-    const pixelCount = width * height;
-    const pixels = new Uint8ClampedArray(pixelCount * 4);
-    
-    // Generate some sample data based on base64 content
-    // This is a placeholder - real implementation would decode the image
-    for (let i = 0; i < pixelCount; i++) {
-      const baseValue = base64.charCodeAt(i % base64.length);
-      pixels[i * 4] = baseValue % 256;     // R
-      pixels[i * 4 + 1] = (baseValue * 2) % 256; // G  
-      pixels[i * 4 + 2] = (baseValue * 3) % 256; // B
-      pixels[i * 4 + 3] = 255;            // A
-    }
-    
-    return { data: pixels, width, height };
-  }
+  async processStack(imageUri, steps, stackOptions = {}, progressCallback = null) {
+    const { resolution = '800', signal = null } = stackOptions;
+    try {
+      if (!(resolution in RESOLUTIONS)) throw new Error(`Unknown resolution: ${resolution}`);
+      if (steps.length === 0) throw new Error('The stack has no steps');
 
-  /**
-   * Convert pixel data back to base64
-   */
-  async pixelDataToBase64(pixelData, width, height) {
-    // This is a simplified conversion - in a real implementation,
-    // you would encode to PNG format
-    // For now, return a placeholder
-    return 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
-  }
-}
+      const stackKey = `${resolution} ${imageUri}`;
+      if (this.stack?.key !== stackKey) this.stack = { key: stackKey, source: null, levels: [] };
+      // levels[0] is the decoded image and levels[i + 1] the output of step i
+      const { levels } = this.stack;
 
-/**
- * Simplified pixel sorter for React Native
- */
-class PixelSorter {
-  constructor() {
-    this.whiteValue = -12345678;
-    this.blackValue = -3456789;
-    this.brightValue = 127;
-    this.darkValue = 223;
-  }
+      // A step's output depends on its own options and on every step before it
+      const stepOptions = steps.map(({ resolution, signal, ...options }) => options);
+      const keys = [];
+      stepOptions.forEach((options, i) => {
+        keys.push(`${i > 0 ? keys[i - 1] : ''}\n${JSON.stringify(options)}`);
+      });
 
-  async sortImage(pixelData, mode = 0, thresholds = {}, progressCallback = null) {
-    const { data, width, height } = pixelData;
-    const sortedData = new Uint8ClampedArray(data);
-    
-    // Update thresholds
-    this.whiteValue = thresholds.white || this.whiteValue;
-    this.blackValue = thresholds.black || this.blackValue;
-    this.brightValue = thresholds.bright || this.brightValue;
-    this.darkValue = thresholds.dark || this.darkValue;
-    
-    // Convert to RGB values for processing
-    const rgbPixels = this.convertToRGB(sortedData, width, height);
-    
-    // Sort columns
-    if (progressCallback) progressCallback(0, 'Sorting columns...');
-    for (let column = 0; column < width - 1; column++) {
-      this.sortColumn(rgbPixels, width, height, column, mode);
-      if (progressCallback && column % 10 === 0) {
-        progressCallback((column / width) * 50, 'Sorting columns...');
+      // Resume from the last level that is unchanged and still in memory
+      let start = 0;
+      while (start < steps.length && levels[start + 1]?.key === keys[start]) start++;
+      while (start >= 0 && !levels[start]?.pixelData) start--;
+
+      if (start < 0) {
+        if (progressCallback) progressCallback(10, 'Loading image...');
+        const decoded = await this.decodeImage(imageUri, (progress, text) => {
+          if (progressCallback) progressCallback(10 + progress * 0.2, text);
+        }, RESOLUTIONS[resolution]);
+        this.stack.source = { width: decoded.fullWidth, height: decoded.fullHeight };
+        levels.length = 0;
+        levels.push({ key: '', pixelData: fitDecoded(decoded, RESOLUTIONS[resolution]) });
+        start = 0;
       }
-    }
-    
-    // Sort rows
-    if (progressCallback) progressCallback(50, 'Sorting rows...');
-    for (let row = 0; row < height - 1; row++) {
-      this.sortRow(rgbPixels, width, height, row, mode);
-      if (progressCallback && row % 10 === 0) {
-        progressCallback(50 + (row / height) * 50, 'Sorting rows...');
+      levels.length = start + 1;
+      let pixelData = levels[start].pixelData;
+      this.trimStack();
+
+      for (let i = start; i < steps.length; i++) {
+        throwIfAborted(signal);
+        const options = stepOptions[i];
+        const inputs = await this.buildSortInputs(options, pixelData.width, pixelData.height);
+        throwIfAborted(signal);
+
+        const label = `Step ${i + 1} of ${steps.length}`;
+        const first = 30 + (60 * (i - start)) / (steps.length - start);
+        const share = 60 / (steps.length - start);
+        if (progressCallback) progressCallback(first, `${label}: starting pixel sort...`);
+
+        // Sorted as a copy, so the input stays cached for the next edit
+        const sorted = await this.pixelSorter.sortImage(pixelData, {
+          ...options,
+          ...inputs,
+          signal,
+          progressCallback: (progress, text) => {
+            if (progressCallback) progressCallback(first + (progress * share) / 100, `${label}: ${text}`);
+          }
+        });
+        // Each step blends over its own input
+        if (isBlending(options.blend)) await blendPixels(pixelData, sorted, options.blend, signal);
+        pixelData = sorted;
+        levels.push({ key: keys[i], pixelData });
+        this.trimStack();
       }
-    }
-    
-    // Convert back to RGBA
-    const finalData = this.convertToRGBA(rgbPixels, sortedData);
-    
-    return { data: finalData, width, height };
-  }
 
-  convertToRGB(pixels, width, height) {
-    const rgbPixels = new Int32Array(width * height);
-    
-    for (let i = 0; i < width * height; i++) {
-      const r = pixels[i * 4];
-      const g = pixels[i * 4 + 1];
-      const b = pixels[i * 4 + 2];
-      rgbPixels[i] = (r << 16) | (g << 8) | b | 0xFF000000;
+      if (progressCallback) progressCallback(90, 'Creating final image...');
+      throwIfAborted(signal);
+
+      const fileUri = await this.saveProcessed(pixelData, createRecipe({
+        options: stepOptions[steps.length - 1],
+        steps: stepOptions,
+        resolution,
+        resizeWidth: RESOLUTIONS[resolution],
+        source: this.stack.source,
+        output: { width: pixelData.width, height: pixelData.height }
+      }));
+
+      if (progressCallback) progressCallback(100, 'Complete!');
+
+      return fileUri;
+
+    } catch (error) {
+      if (!isAbortError(error)) console.error('Image processing error:', error);
+      throw error;
     }
-    
-    return rgbPixels;
   }
 
-  convertToRGBA(rgbPixels, originalPixels) {
-    const rgbaPixels = new Uint8ClampedArray(originalPixels.length);
-    
-    for (let i = 0; i < rgbPixels.length; i++) {
-      const color = rgbPixels[i];
-      rgbaPixels[i * 4] = (color >> 16) & 0xFF;
-      rgbaPixels[i * 4 + 1] = (color >> 8) & 0xFF;
-      rgbaPixels[i * 4 + 2] = color & 0xFF;
-      rgbaPixels[i * 4 + 3] = originalPixels[i * 4 + 3];
+  /**
+   * Drop cached stack levels beyond STACK_CACHE_BYTES, keeping the latest first
+   */
+  trimStack() {
+    let bytes = 0;
+    for (const level of [...this.stack.levels].reverse()) {
+      if (!level.pixelData) continue;
+      bytes += level.pixelData.data.length;
+      if (bytes > STACK_CACHE_BYTES) level.pixelData = null;
     }
-    
-    return rgbaPixels;
   }
 
-  sortRow(pixels, width, height, row, mode) {
-    let x = 0;
-    let xEnd = 0;
-    
-    while (xEnd < width - 1) {
-      switch (mode) {
-        case 0:
-          x = this.getFirstNoneWhiteX(pixels, width, x, row);
-          xEnd = this.getNextWhiteX(pixels, width, x, row);
-          break;
-        case 1:
-          x = this.getFirstNoneBlackX(pixels, width, x, row);
-          xEnd = this.getNextBlackX(pixels, width, x, row);
-          break;
-        case 2:
-          x = this.getFirstNoneBrightX(pixels, width, x, row);
-          xEnd = this.getNextBrightX(pixels, width, x, row);
-          break;
-        case 3:
-          x = this.getFirstNoneDarkX(pixels, width, x, row);
-          xEnd = this.getNextDarkX(pixels, width, x, row);
-          break;
-      }
-      
-      if (x < 0) break;
-      
-      const sortingLength = xEnd - x;
-      if (sortingLength > 1) {
-        const unsorted = [];
-        
-        for (let i = 0; i < sortingLength; i++) {
-          unsorted[i] = pixels[x + i + row * width];
-        }
-        
-        const sorted = unsorted.sort((a, b) => a - b);
-        
-        for (let i = 0; i < sortingLength; i++) {
-          pixels[x + i + row * width] = sorted[i];
-        }
-      }
-      
-      x = xEnd + 1;
-    }
+  /**
+   * Free the buffers processStack keeps, e.g. when another image is chosen
+   */
+  releaseStack() {
+    this.stack = null;
   }
 
-  sortColumn(pixels, width, height, column, mode) {
-    let y = 0;
-    let yEnd = 0;
-    
-    while (yEnd < height - 1) {
-      switch (mode) {
-        case 0:
-          y = this.getFirstNoneWhiteY(pixels, width, height, column, y);
-          yEnd = this.getNextWhiteY(pixels, width, height, column, y);
-          break;
-        case 1:
-          y = this.getFirstNoneBlackY(pixels, width, height, column, y);
-          yEnd = this.getNextBlackY(pixels, width, height, column, y);
-          break;
-        case 2:
-          y = this.getFirstNoneBrightY(pixels, width, height, column, y);
-          yEnd = this.getNextBrightY(pixels, width, height, column, y);
-          break;
-        case 3:
-          y = this.getFirstNoneDarkY(pixels, width, height, column, y);
-          yEnd = this.getNextDarkY(pixels, width, height, column, y);
-          break;
-      }
-      
-      if (y < 0) break;
-      
-      const sortingLength = yEnd - y;
-      if (sortingLength > 1) {
-        const unsorted = [];
-        
-        for (let i = 0; i < sortingLength; i++) {
-          unsorted[i] = pixels[column + (y + i) * width];
-        }
-        
-        const sorted = unsorted.sort((a, b) => a - b);
-        
-        for (let i = 0; i < sortingLength; i++) {
-          pixels[column + (y + i) * width] = sorted[i];
-        }
-      }
-      
-      y = yEnd + 1;
+  /**
+   * Highlight the pixels the given settings would sort, on the thumbnail of
+   * the image (see PixelSorter.findIntervals)
+   * @param {string} imageUri - URI of the image
+   * @param {Object} sortOptions - processImage options (the resolution is ignored),
+   *   plus `direction`: 'rows' or 'columns'
+   * @returns {string} Data URI of a thumbnail-sized PNG, tinted where pixels get sorted
+   */
+  async previewIntervals(imageUri, sortOptions = {}) {
+    const { resolution, signal = null, ...options } = sortOptions;
+    const { pixelData, inputs } = await this.loadPreviewInputs(imageUri, options, signal);
+    const { width, height } = pixelData;
+
+    // A sorter of its own: previews may run while a full-size sort is under way
+    const marks = await new PixelSorter().findIntervals(pixelData, { ...options, ...inputs, signal });
+
+    const overlay = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < marks.data.length; i++) {
+      if (!marks.data[i]) continue;
+      overlay[i * 4] = 255;
+      overlay[i * 4 + 2] = 255;
+      overlay[i * 4 + 3] = 128;
     }
+    const png = encodePNG({ data: overlay, width, height }, { level: 1 });
+    return `data:image/png;base64,${encodeBase64(png)}`;
   }
 
-  getBrightness(color) {
-    const r = (color >> 16) & 0xFF;
-    const g = (color >> 8) & 0xFF;
-    const b = color & 0xFF;
-    return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-  }
+  /**
+   * Sort the thumbnail of an image, for a quick look at the given settings.
+   * Thumbnails are decoded once and sorted as copies, so changing a setting
+   * only costs a sort of THUMBNAIL_WIDTH pixel rows.
+   * @param {string} imageUri - URI of the image
+   * @param {Object} sortOptions - processImage options (the resolution is ignored)
+   * @returns {string} Data URI of the sorted thumbnail as a PNG
+   */
+  async previewSort(imageUri, sortOptions = {}) {
+    const { resolution, signal = null, ...options } = sortOptions;
+    const { pixelData, inputs } = await this.loadPreviewInputs(imageUri, options, signal);
 
-  // White threshold functions
-  getFirstNoneWhiteX(pixels, width, x, y) {
-    while (pixels[x + y * width] < this.whiteValue) {
-      x++;
-      if (x >= width) return -1;
-    }
-    return x;
+    // A sorter of its own: previews may run while a full-size sort is under way
+    const sorted = await new PixelSorter().sortImage(pixelData, { ...options, ...inputs, signal });
+    if (isBlending(options.blend)) await blendPixels(pixelData, sorted, options.blend, signal);
+    throwIfAborted(signal);
+
+    const png = encodePNG(sorted, { level: 1 });
+    return `data:image/png;base64,${encodeBase64(png)}`;
   }
 
-  getNextWhiteX(pixels, width, x, y) {
-    x++;
-    while (pixels[x + y * width] > this.whiteValue) {
-      x++;
-      if (x >= width) return width - 1;
-    }
-    return x - 1;
+  /**
+   * Thumbnail pixels of an image with its mask, threshold map and key image
+   * built at the same size, for previews
+   */
+  async loadPreviewInputs(imageUri, options, signal) {
+    const pixelData = await this.loadThumbnail(imageUri);
+    const inputs = await this.buildSortInputs(
+      options,
+      pixelData.width,
+      pixelData.height,
+      (uri) => this.loadThumbnail(uri)
+    );
+    throwIfAborted(signal);
+    return { pixelData, inputs };
   }
 
-  // Black threshold functions
-  getFirstNoneBlackX(pixels, width, x, y) {
-    while (pixels[x + y * width] > this.blackValue) {
-      x++;
-      if (x >= width) return -1;
-    }
-    return x;
+  /**
+   * Luminance and RGB histograms of an image, from its decoded pixels
+   * (ANALYSIS_WIDTH wide)
+   * @returns {Object} See computeHistogram in utils/histogram.js
+   */
+  async getHistogram(imageUri) {
+    return computeHistogram(await this.loadThumbnail(imageUri, ANALYSIS_WIDTH));
   }
 
-  getNextBlackX(pixels, width, x, y) {
-    x++;
-    while (pixels[x + y * width] < this.blackValue) {
-      x++;
-      if (x >= width) return width - 1;
-    }
-    return x - 1;
+  /**
+   * Pixels for the eyedropper: decoded at the original size and point-sampled
+   * to at most SAMPLE_WIDTH wide, never averaged, so every picked color is one
+   * of the image's own
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+   */
+  async loadSamplePixels(imageUri) {
+    return pointSample(await this.decodeImage(imageUri), SAMPLE_WIDTH);
   }
 
-  // Brightness threshold functions
-  getFirstNoneBrightX(pixels, width, x, y) {
-    while (this.getBrightness(pixels[x + y * width]) < this.brightValue) {
-      x++;
-      if (x >= width) return -1;
-    }
-    return x;
+  /**
+   * Suggest bright and dark thresholds for an image
+   * @param {Object} options - { method, fraction }, see suggestThresholds in utils/histogram.js
+   * @returns {{bright: number, dark: number}} Thresholds
+   */
+  async suggestThresholds(imageUri, options = {}) {
+    return suggestThresholds(await this.getHistogram(imageUri), options);
   }
 
-  getNextBrightX(pixels, width, x, y) {
-    x++;
-    while (this.getBrightness(pixels[x + y * width]) > this.brightValue) {
-      x++;
-      if (x >= width) return width - 1;
+  /**
+   * Decode an image `width` wide, once: the last few decodes are cached by
+   * URI and width, so previews never decode the same file twice
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+   *   (shared; do not modify)
+   */
+  async loadThumbnail(imageUri, width = THUMBNAIL_WIDTH) {
+    const key = `${width} ${imageUri}`;
+    let thumbnail = this.thumbnails.get(key);
+    if (thumbnail) {
+      // Most recently used last
+      this.thumbnails.delete(key);
+    } else {
+      thumbnail = this.loadPixelData(imageUri, width);
+      if (this.thumbnails.size >= THUMBNAIL_CACHE_SIZE) {
+        this.thumbnails.delete(this.thumbnails.keys().next().value);
+      }
     }
-    return x - 1;
-  }
+    this.thumbnails.set(key, thumbnail);
 
-  // Dark threshold functions
-  getFirstNoneDarkX(pixels, width, x, y) {
-    while (this.getBrightness(pixels[x + y * width]) > this.darkValue) {
-      x++;
-      if (x >= width) return -1;
+    try {
+      return await thumbnail;
+    } catch (error) {
+      if (this.thumbnails.get(key) === thumbnail) this.thumbnails.delete(key);
+      throw error;
     }
-    return x;
   }
 
-  getNextDarkX(pixels, width, x, y) {
-    x++;
-    while (this.getBrightness(pixels[x + y * width]) < this.darkValue) {
-      x++;
-      if (x >= width) return width - 1;
-    }
-    return x - 1;
+  /**
+   * Load an image as RGBA pixel data, at most `maxWidth` wide (null for the
+   * original size)
+   * @param {string} imageUri - URI of the image
+   * @param {number} maxWidth - Maximum width of the returned pixels
+   * @param {Function} progressCallback - Progress callback (0-100)
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+   */
+  async loadPixelData(imageUri, maxWidth, progressCallback = null) {
+    const decoded = await this.decodeImage(imageUri, progressCallback, maxWidth);
+    if (progressCallback) progressCallback(80, 'Resizing...');
+    return fitDecoded(decoded, maxWidth);
   }
 
-  // Y-axis functions (similar pattern for vertical sorting)
-  getFirstNoneWhiteY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (pixels[x + y * width] < this.whiteValue) {
-        y++;
-        if (y >= height) return -1;
+  /**
+   * Decode an image upright, at its original size or, given `maxWidth`, at a
+   * reduced size that is still at least that wide (see fitDecoded for the rest).
+   * JPEG and PNG files are decoded directly, JPEGs reduced straight from the
+   * DCT coefficients; other formats (HEIC, WebP) and JPEG variants the decoder
+   * doesn't support are resized and converted to PNG by ImageManipulator.
+   * Damaged JPEG and PNG files are errors.
+   * @param {string} imageUri - URI of the image
+   * @param {Function} progressCallback - Progress callback (0-80)
+   * @param {number} maxWidth - Optional width the image may be reduced to
+   * @returns {{data: Uint8ClampedArray, width: number, height: number,
+   *   fullWidth: number, fullHeight: number}} Pixel data, and the upright size of the
+   *   original image
+   */
+  async decodeImage(imageUri, progressCallback = null, maxWidth = null) {
+    if (progressCallback) progressCallback(0, 'Reading image...');
+
+    const bytes = decodeBase64(await FileSystem.readAsStringAsync(imageUri, {
+      encoding: FileSystem.EncodingType.Base64,
+    }));
+
+    if (progressCallback) progressCallback(30, 'Decoding image...');
+
+    if (isPNG(bytes)) {
+      const png = decodePNG(bytes);
+      return { ...png, fullWidth: png.width, fullHeight: png.height };
+    }
+    if (isJPEG(bytes)) {
+      try {
+        const { orientation, ...jpeg } = decodeJPEG(bytes, { orient: true, maxWidth });
+        return jpeg;
+      } catch (error) {
+        if (!isUnsupportedJPEGError(error)) throw error;
       }
     }
-    return y;
+
+    if (progressCallback) progressCallback(30, 'Converting image...');
+
+    // Render first for the full size, then let the native side do the resize
+    const context = ImageManipulator.ImageManipulator.manipulate(imageUri);
+    let image = await context.renderAsync();
+    const { width: fullWidth, height: fullHeight } = image;
+    if (maxWidth && fullWidth > maxWidth) image = await context.resize({ width: maxWidth }).renderAsync();
+    const { base64 } = await image.saveAsync({
+      compress: 1,
+      format: ImageManipulator.SaveFormat.PNG,
+      base64: true
+    });
+
+    if (progressCallback) progressCallback(60, 'Converting to pixel data...');
+    return { ...(await this.base64ToPixelData(base64)), fullWidth, fullHeight };
   }
 
-  getNextWhiteY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (pixels[x + y * width] > this.whiteValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
-    }
-    return y - 1;
+  /**
+   * Build the mask, threshold map and key image described by processImage
+   * options at the given size; missing ones are null
+   * @param {Function} loadImage - Optional (imageUri, maxWidth) => pixel data used to
+   *   decode mask, map and key images; loadPixelData by default
+   * @returns {{mask: Object, thresholdMap: Object, keyImage: Object}} sortImage inputs
+   */
+  async buildSortInputs(options, width, height, loadImage = null) {
+    loadImage = loadImage ?? ((uri, maxWidth) => this.loadPixelData(uri, maxWidth));
+    return {
+      mask: options.mask ? await this.buildMask(options.mask, width, height, loadImage) : null,
+      thresholdMap: options.thresholdMap
+        ? await this.buildThresholdMap(options.thresholdMap, width, height, loadImage)
+        : null,
+      keyImage: options.keyImage ? await this.loadKeyImage(options.keyImage, width, height, loadImage) : null
+    };
   }
 
-  getFirstNoneBlackY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (pixels[x + y * width] > this.blackValue) {
-        y++;
-        if (y >= height) return -1;
-      }
-    }
-    return y;
+  /**
+   * Rasterize a mask description at the given size
+   * @param {Object} maskOptions - { imageUri, strokes }: an optional grayscale mask
+   *   image (light = sorted) with brush strokes painted on top (see utils/mask.js)
+   * @returns {{data: Uint8Array, width: number, height: number}} Mask
+   */
+  async buildMask({ imageUri = null, strokes = [] }, width, height, loadImage) {
+    const mask = imageUri
+      ? maskFromPixels(await loadImage(imageUri, width), width, height)
+      : createMask(width, height);
+    return paintStrokes(mask, strokes);
   }
 
-  getNextBlackY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (pixels[x + y * width] < this.blackValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
+  /**
+   * Rasterize a threshold map description at the given size
+   * @param {Object} mapOptions - { gradient } (see createGradientMap in
+   *   utils/thresholdMap.js), or { imageUri } for a grayscale map image where
+   *   light areas use the end thresholds
+   * @returns {{data: Uint8Array, width: number, height: number}} Threshold map
+   */
+  async buildThresholdMap({ gradient = null, imageUri = null }, width, height, loadImage) {
+    if (imageUri) {
+      // Same grayscale conversion as mask images
+      return maskFromPixels(await loadImage(imageUri, width), width, height);
     }
-    return y - 1;
+    return createGradientMap(width, height, gradient);
   }
 
-  getFirstNoneBrightY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) < this.brightValue) {
-        y++;
-        if (y >= height) return -1;
-      }
-    }
-    return y;
+  /**
+   * Load a key image stretched to the given size, so its pixels line up with
+   * the image being sorted
+   * @param {Object} keyOptions - { imageUri }
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+   */
+  async loadKeyImage({ imageUri }, width, height, loadImage) {
+    return resizePixels(await loadImage(imageUri, width), width, height);
   }
 
-  getNextBrightY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) > this.brightValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
-    }
-    return y - 1;
+  /**
+   * Decode a base64 PNG (as produced by ImageManipulator) to RGBA pixel data
+   * @param {string} base64 - Base64 encoded PNG
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Pixel data
+   */
+  async base64ToPixelData(base64) {
+    return decodePNG(decodeBase64(base64));
   }
 
-  getFirstNoneDarkY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) > this.darkValue) {
-        y++;
-        if (y >= height) return -1;
-      }
-    }
-    return y;
+  /**
+   * Encode RGBA pixel data as a base64 PNG
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} pixelData - Pixel data
+   * @param {Object} text - Optional { keyword: text } metadata chunks
+   * @returns {string} Base64 encoded PNG
+   */
+  async pixelDataToBase64(pixelData, text = {}) {
+    return encodeBase64(encodePNG(pixelData, { text }));
   }
 
-  getNextDarkY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) < this.darkValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
-    }
-    return y - 1;
+  /**
+   * Write processed pixels to a new PNG in the document directory
+   * @param {Object} recipe - Recipe embedded in the PNG (see utils/recipe.js)
+   * @returns {string} URI of the file
+   */
+  async saveProcessed(pixelData, recipe) {
+    const processedBase64 = await this.pixelDataToBase64(pixelData, {
+      [RECIPE_KEYWORD]: JSON.stringify(recipe)
+    });
+
+    const filename = `processed_${Date.now()}.png`;
+    const fileUri = FileSystem.documentDirectory + filename;
+
+    await FileSystem.writeAsStringAsync(fileUri, processedBase64, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    return fileUri;
   }
-}
\ No newline at end of file
+
+  /**
+   * Read the recipe processImage embedded in an exported PNG
+   * @param {string} imageUri - URI of the image
+   * @returns {Object|null} Recipe (see utils/recipe.js), or null if the image has none
+   */
+  async readRecipe(imageUri) {
+    const base64 = await FileSystem.readAsStringAsync(imageUri, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    const bytes = decodeBase64(base64);
+    if (!isPNG(bytes)) return null;
+
+    const text = readPNGText(bytes)[RECIPE_KEYWORD];
+    return text === undefined ? null : parseRecipe(text);
+  }
+}
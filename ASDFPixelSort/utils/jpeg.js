@@ -0,0 +1,895 @@
+/**
+ * JPEG decoder in plain JavaScript
+ * Baseline and progressive Huffman-coded JPEGs with any chroma subsampling,
+ * restart intervals, grayscale/YCbCr/RGB/CMYK/YCCK and EXIF orientation
+ */
+
+import { getOrientationTransform } from './resample';
+
+// Zig-zag order -> natural (row-major) coefficient index
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Fixed-point IDCT constants (scaled by 4096)
+const fix = (x) => Math.round(x * 4096);
+const C0_541 = fix(0.5411961);
+const C1_847 = fix(-1.847759065);
+const C0_765 = fix(0.765366865);
+const C1_175 = fix(1.175875602);
+const C0_298 = fix(0.298631336);
+const C2_053 = fix(2.053119869);
+const C3_072 = fix(3.072711026);
+const C1_501 = fix(1.50132111);
+const C0_899 = fix(-0.899976223);
+const C2_562 = fix(-2.562915447);
+const C1_961 = fix(-1.96157056);
+const C0_390 = fix(-0.390180644);
+
+// Reduced sizes a block can be decoded at (1/8, 1/4 or 1/2 scale), smallest first
+const SCALED_BLOCK_SIZES = [1, 2, 4];
+
+// IDCT basis for blocks decoded at `size` samples across: the size-point IDCT
+// of the first `size` coefficients gives each sample about the mean of the
+// 8 / size samples it replaces. Indexed [x * size + u].
+const SCALED_IDCT_TABLES = Object.fromEntries([...SCALED_BLOCK_SIZES, 8].map((size) => {
+  const table = new Float64Array(size * size);
+  for (let x = 0; x < size; x++) {
+    for (let u = 0; u < size; u++) {
+      table[x * size + u] = ((u === 0 ? Math.SQRT1_2 : 1) / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+    }
+  }
+  return [size, table];
+}));
+
+function clamp8(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+// Valid JPEGs of a kind this decoder doesn't handle, as opposed to damaged
+// files; callers can hand those to the platform decoder instead
+function createUnsupportedError(message) {
+  const error = new Error(message);
+  error.name = 'UnsupportedJPEGError';
+  return error;
+}
+
+export function isUnsupportedJPEGError(error) {
+  return error?.name === 'UnsupportedJPEGError';
+}
+
+/**
+ * Check for the JPEG start-of-image marker
+ */
+export function isJPEG(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+}
+
+function readUint16(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+/**
+ * Build a 16-bit lookup table for a Huffman table definition.
+ * Entries are (codeLength << 8) | value; 0 marks an invalid code.
+ */
+function buildHuffmanTable(codeLengths, values) {
+  const table = new Uint16Array(65536);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < codeLengths[length - 1]; i++) {
+      const entry = (length << 8) | values[k++];
+      const shift = 16 - length;
+      const start = code << shift;
+      table.fill(entry, start, start + (1 << shift));
+      code++;
+    }
+    code <<= 1;
+  }
+
+  return table;
+}
+
+/**
+ * Entropy-coded segment reader with byte-stuffing and marker detection
+ */
+class BitReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.pos = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.marker = 0;
+  }
+
+  fill() {
+    while (this.bitCount <= 24) {
+      let byte = 0;
+      if (!this.marker && this.pos < this.data.length) {
+        byte = this.data[this.pos];
+        if (byte === 0xFF) {
+          const next = this.data[this.pos + 1];
+          if (next === 0x00) {
+            this.pos += 2;
+          } else {
+            // Hit a marker: stop consuming and feed zeros
+            this.marker = next;
+            byte = 0;
+          }
+        } else {
+          this.pos++;
+        }
+      }
+      this.bitBuffer = (this.bitBuffer | (byte << (24 - this.bitCount))) >>> 0;
+      this.bitCount += 8;
+    }
+  }
+
+  readBit() {
+    if (this.bitCount < 1) this.fill();
+    const bit = this.bitBuffer >>> 31;
+    this.bitBuffer = (this.bitBuffer << 1) >>> 0;
+    this.bitCount--;
+    return bit;
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    if (this.bitCount < count) this.fill();
+    const value = this.bitBuffer >>> (32 - count);
+    this.bitBuffer = (this.bitBuffer << count) >>> 0;
+    this.bitCount -= count;
+    return value;
+  }
+
+  decodeHuffman(table) {
+    if (this.bitCount < 16) this.fill();
+    const entry = table[this.bitBuffer >>> 16];
+    if (entry === 0) throw new Error('Invalid JPEG Huffman code');
+    const length = entry >> 8;
+    this.bitBuffer = (this.bitBuffer << length) >>> 0;
+    this.bitCount -= length;
+    return entry & 0xFF;
+  }
+
+  // Read `count` bits and sign-extend them per JPEG's magnitude coding
+  receiveExtend(count) {
+    if (count === 0) return 0;
+    const value = this.readBits(count);
+    return value < 1 << (count - 1) ? value - (1 << count) + 1 : value;
+  }
+
+  /**
+   * Consume an expected RSTn marker and reset the bit state
+   */
+  restart() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    if (!this.marker) {
+      // Skip any fill bytes before the marker
+      while (this.pos < this.data.length && !(this.data[this.pos] === 0xFF && this.data[this.pos + 1] !== 0x00 && this.data[this.pos + 1] !== 0xFF)) {
+        this.pos++;
+      }
+      this.marker = this.data[this.pos + 1];
+    }
+
+    if (this.marker < 0xD0 || this.marker > 0xD7) throw new Error('Missing JPEG restart marker');
+    this.pos += 2;
+    this.marker = 0;
+  }
+
+  /**
+   * Position of the next marker after the scan data
+   */
+  endOfScan() {
+    let pos = this.pos;
+    while (pos < this.data.length - 1) {
+      if (this.data[pos] === 0xFF) {
+        const next = this.data[pos + 1];
+        if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7) && next !== 0xFF) return pos;
+      }
+      pos++;
+    }
+    return this.data.length;
+  }
+}
+
+/**
+ * Decode one scan's entropy-coded data into the components' coefficient buffers
+ */
+function decodeScan(data, offset, frame, scanComponents, restartInterval, spectralStart, spectralEnd, approxHigh, approxLow) {
+  const reader = new BitReader(data, offset);
+  const progressive = frame.progressive;
+  let eobRun = 0;
+
+  const decodeBaseline = (component, blockOffset) => {
+    const coefficients = component.coefficients;
+    const t = reader.decodeHuffman(component.dcTable);
+    component.pred += reader.receiveExtend(t);
+    coefficients[blockOffset] = component.pred;
+
+    let k = 1;
+    while (k < 64) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new Error('Corrupt JPEG coefficient data');
+      coefficients[blockOffset + ZIGZAG[k]] = reader.receiveExtend(s);
+      k++;
+    }
+  };
+
+  const decodeDCFirst = (component, blockOffset) => {
+    const t = reader.decodeHuffman(component.dcTable);
+    component.pred += reader.receiveExtend(t);
+    component.coefficients[blockOffset] = component.pred << approxLow;
+  };
+
+  const decodeDCSuccessive = (component, blockOffset) => {
+    if (reader.readBit()) component.coefficients[blockOffset] |= 1 << approxLow;
+  };
+
+  const decodeACFirst = (component, blockOffset) => {
+    if (eobRun > 0) {
+      eobRun--;
+      return;
+    }
+    const coefficients = component.coefficients;
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobRun = (1 << r) - 1;
+          if (r) eobRun += reader.readBits(r);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new Error('Corrupt JPEG coefficient data');
+      coefficients[blockOffset + ZIGZAG[k]] = reader.receiveExtend(s) * (1 << approxLow);
+      k++;
+    }
+  };
+
+  const decodeACSuccessive = (component, blockOffset) => {
+    const coefficients = component.coefficients;
+    const positive = 1 << approxLow;
+    const negative = -1 << approxLow;
+    let k = spectralStart;
+
+    // Refine already-nonzero coefficients by one bit each
+    const refine = (index) => {
+      if (reader.readBit() && (coefficients[index] & positive) === 0) {
+        coefficients[index] += coefficients[index] >= 0 ? positive : negative;
+      }
+    };
+
+    if (eobRun <= 0) {
+      while (k <= spectralEnd) {
+        const rs = reader.decodeHuffman(component.acTable);
+        const s = rs & 15;
+        let r = rs >> 4;
+        let value = 0;
+
+        if (s === 0) {
+          if (r < 15) {
+            eobRun = 1 << r;
+            if (r) eobRun += reader.readBits(r);
+            break;
+          }
+        } else {
+          value = reader.readBit() ? positive : negative;
+        }
+
+        while (k <= spectralEnd) {
+          const index = blockOffset + ZIGZAG[k];
+          if (coefficients[index] !== 0) {
+            refine(index);
+          } else {
+            if (r === 0) {
+              if (value !== 0) coefficients[index] = value;
+              k++;
+              break;
+            }
+            r--;
+          }
+          k++;
+        }
+      }
+    }
+
+    if (eobRun > 0) {
+      for (; k <= spectralEnd; k++) {
+        const index = blockOffset + ZIGZAG[k];
+        if (coefficients[index] !== 0) refine(index);
+      }
+      eobRun--;
+    }
+  };
+
+  let decodeBlock;
+  if (!progressive) decodeBlock = decodeBaseline;
+  else if (spectralStart === 0) decodeBlock = approxHigh === 0 ? decodeDCFirst : decodeDCSuccessive;
+  else decodeBlock = approxHigh === 0 ? decodeACFirst : decodeACSuccessive;
+
+  const blockOffsetOf = (component, row, col) => (row * component.blocksPerLineForMcu + col) * 64;
+
+  // A single-component scan covers only that component's real blocks,
+  // in raster order; interleaved scans go MCU by MCU
+  const single = scanComponents.length === 1;
+  const first = scanComponents[0];
+  const totalUnits = single
+    ? first.blocksPerLine * first.blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const interval = restartInterval || totalUnits;
+
+  for (const component of scanComponents) component.pred = 0;
+
+  let unit = 0;
+  while (unit < totalUnits) {
+    const end = Math.min(unit + interval, totalUnits);
+
+    for (; unit < end; unit++) {
+      if (single) {
+        const row = Math.floor(unit / first.blocksPerLine);
+        const col = unit % first.blocksPerLine;
+        decodeBlock(first, blockOffsetOf(first, row, col));
+      } else {
+        const mcuRow = Math.floor(unit / frame.mcusPerLine);
+        const mcuCol = unit % frame.mcusPerLine;
+        for (const component of scanComponents) {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const row = mcuRow * component.v + v;
+              const col = mcuCol * component.h + h;
+              decodeBlock(component, blockOffsetOf(component, row, col));
+            }
+          }
+        }
+      }
+    }
+
+    if (unit < totalUnits) {
+      reader.restart();
+      eobRun = 0;
+      for (const component of scanComponents) component.pred = 0;
+    }
+  }
+
+  return reader.endOfScan();
+}
+
+/**
+ * Dequantize and inverse-DCT one 8x8 block into an 8-bit sample plane
+ */
+function idctBlock(coefficients, blockOffset, quant, output, outOffset, outStride, workspace) {
+  for (let i = 0; i < 64; i++) {
+    workspace[i] = coefficients[blockOffset + i] * quant[i];
+  }
+
+  // Columns
+  for (let c = 0; c < 8; c++) {
+    const s0 = workspace[c];
+    const s1 = workspace[c + 8];
+    const s2 = workspace[c + 16];
+    const s3 = workspace[c + 24];
+    const s4 = workspace[c + 32];
+    const s5 = workspace[c + 40];
+    const s6 = workspace[c + 48];
+    const s7 = workspace[c + 56];
+
+    if (s1 === 0 && s2 === 0 && s3 === 0 && s4 === 0 && s5 === 0 && s6 === 0 && s7 === 0) {
+      const dc = s0 * 4;
+      for (let r = 0; r < 8; r++) workspace[c + r * 8] = dc;
+      continue;
+    }
+
+    let p1 = (s2 + s6) * C0_541;
+    const t2e = p1 + s6 * C1_847;
+    const t3e = p1 + s2 * C0_765;
+    const t0e = (s0 + s4) * 4096;
+    const t1e = (s0 - s4) * 4096;
+    const x0 = t0e + t3e + 512;
+    const x3 = t0e - t3e + 512;
+    const x1 = t1e + t2e + 512;
+    const x2 = t1e - t2e + 512;
+
+    let p3 = s7 + s3;
+    let p4 = s5 + s1;
+    p1 = s7 + s1;
+    let p2 = s5 + s3;
+    const p5 = (p3 + p4) * C1_175;
+    let t0 = s7 * C0_298;
+    let t1 = s5 * C2_053;
+    let t2 = s3 * C3_072;
+    let t3 = s1 * C1_501;
+    p1 = p5 + p1 * C0_899;
+    p2 = p5 + p2 * C2_562;
+    p3 *= C1_961;
+    p4 *= C0_390;
+    t3 += p1 + p4;
+    t2 += p2 + p3;
+    t1 += p2 + p4;
+    t0 += p1 + p3;
+
+    workspace[c] = (x0 + t3) >> 10;
+    workspace[c + 56] = (x0 - t3) >> 10;
+    workspace[c + 8] = (x1 + t2) >> 10;
+    workspace[c + 48] = (x1 - t2) >> 10;
+    workspace[c + 16] = (x2 + t1) >> 10;
+    workspace[c + 40] = (x2 - t1) >> 10;
+    workspace[c + 24] = (x3 + t0) >> 10;
+    workspace[c + 32] = (x3 - t0) >> 10;
+  }
+
+  // Rows; the extra 1 << 17 scale is removed with rounding and +128 level shift
+  const bias = 65536 + (128 << 17);
+  for (let r = 0; r < 8; r++) {
+    const w = r * 8;
+    const s0 = workspace[w];
+    const s1 = workspace[w + 1];
+    const s2 = workspace[w + 2];
+    const s3 = workspace[w + 3];
+    const s4 = workspace[w + 4];
+    const s5 = workspace[w + 5];
+    const s6 = workspace[w + 6];
+    const s7 = workspace[w + 7];
+
+    let p1 = (s2 + s6) * C0_541;
+    const t2e = p1 + s6 * C1_847;
+    const t3e = p1 + s2 * C0_765;
+    const t0e = (s0 + s4) * 4096;
+    const t1e = (s0 - s4) * 4096;
+    const x0 = t0e + t3e + bias;
+    const x3 = t0e - t3e + bias;
+    const x1 = t1e + t2e + bias;
+    const x2 = t1e - t2e + bias;
+
+    let p3 = s7 + s3;
+    let p4 = s5 + s1;
+    p1 = s7 + s1;
+    let p2 = s5 + s3;
+    const p5 = (p3 + p4) * C1_175;
+    let t0 = s7 * C0_298;
+    let t1 = s5 * C2_053;
+    let t2 = s3 * C3_072;
+    let t3 = s1 * C1_501;
+    p1 = p5 + p1 * C0_899;
+    p2 = p5 + p2 * C2_562;
+    p3 *= C1_961;
+    p4 *= C0_390;
+    t3 += p1 + p4;
+    t2 += p2 + p3;
+    t1 += p2 + p4;
+    t0 += p1 + p3;
+
+    const o = outOffset + r * outStride;
+    // Uint8ClampedArray output clamps to 0..255 for us
+    output[o] = (x0 + t3) >> 17;
+    output[o + 7] = (x0 - t3) >> 17;
+    output[o + 1] = (x1 + t2) >> 17;
+    output[o + 6] = (x1 - t2) >> 17;
+    output[o + 2] = (x2 + t1) >> 17;
+    output[o + 5] = (x2 - t1) >> 17;
+    output[o + 3] = (x3 + t0) >> 17;
+    output[o + 4] = (x3 - t0) >> 17;
+  }
+}
+
+/**
+ * Dequantize and inverse-DCT one 8x8 block into sizeX x sizeY samples (each
+ * 1, 2, 4 or 8), using only the low-frequency coefficients
+ */
+function idctBlockScaled(coefficients, blockOffset, quant, output, outOffset, outStride, sizeX, sizeY, workspace) {
+  if (sizeX === 1 && sizeY === 1) {
+    output[outOffset] = (coefficients[blockOffset] * quant[0]) / 8 + 128;
+    return;
+  }
+
+  const tableX = SCALED_IDCT_TABLES[sizeX];
+  const tableY = SCALED_IDCT_TABLES[sizeY];
+  // Columns: workspace[y * sizeX + u] from coefficients (v, u)
+  for (let u = 0; u < sizeX; u++) {
+    for (let y = 0; y < sizeY; y++) {
+      let sum = 0;
+      for (let v = 0; v < sizeY; v++) {
+        sum += tableY[y * sizeY + v] * coefficients[blockOffset + v * 8 + u] * quant[v * 8 + u];
+      }
+      workspace[y * sizeX + u] = sum;
+    }
+  }
+  // Rows; Uint8ClampedArray output rounds and clamps
+  for (let y = 0; y < sizeY; y++) {
+    const o = outOffset + y * outStride;
+    for (let x = 0; x < sizeX; x++) {
+      let sum = 128;
+      for (let u = 0; u < sizeX; u++) sum += tableX[x * sizeX + u] * workspace[y * sizeX + u];
+      output[o + x] = sum;
+    }
+  }
+}
+
+/**
+ * Read the EXIF orientation tag (1-8) from an APP1 segment, if present
+ */
+function readExifOrientation(data, start, end) {
+  if (end - start < 14) return 1;
+  // "Exif\0\0"
+  if (data[start] !== 0x45 || data[start + 1] !== 0x78 || data[start + 2] !== 0x69 || data[start + 3] !== 0x66) return 1;
+
+  const tiff = start + 6;
+  const littleEndian = data[tiff] === 0x49;
+  const u16 = (o) => (littleEndian ? data[o] | (data[o + 1] << 8) : (data[o] << 8) | data[o + 1]);
+  const u32 = (o) => (littleEndian
+    ? (data[o] | (data[o + 1] << 8) | (data[o + 2] << 16) | (data[o + 3] << 24)) >>> 0
+    : ((data[o] << 24) | (data[o + 1] << 16) | (data[o + 2] << 8) | data[o + 3]) >>> 0);
+
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    if (u16(entry) === 0x0112) {
+      const orientation = u16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Parse the marker segments and decode every scan
+ */
+function parseJPEG(data) {
+  if (!isJPEG(data)) throw new Error('Not a JPEG file');
+
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = -1;
+  let jfif = false;
+  let orientation = 1;
+
+  let offset = 2;
+  while (offset < data.length) {
+    if (data[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = data[offset + 1];
+    offset += 2;
+
+    if (marker === 0xFF || marker === 0x00 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      if (marker === 0xFF) offset--;
+      continue;
+    }
+    if (marker === 0xD9) break; // EOI
+
+    const length = readUint16(data, offset);
+    const segmentStart = offset + 2;
+    const segmentEnd = offset + length;
+    if (segmentEnd > data.length) throw new Error('Truncated JPEG segment');
+
+    switch (marker) {
+      case 0xE0: // APP0
+        if (data[segmentStart] === 0x4A && data[segmentStart + 1] === 0x46 && data[segmentStart + 2] === 0x49) jfif = true;
+        break;
+
+      case 0xE1: // APP1
+        orientation = readExifOrientation(data, segmentStart, segmentEnd);
+        break;
+
+      case 0xEE: // APP14
+        if (data[segmentStart] === 0x41 && data[segmentStart + 1] === 0x64 && data[segmentStart + 2] === 0x6F) {
+          adobeTransform = data[segmentStart + 11];
+        }
+        break;
+
+      case 0xDB: { // DQT
+        let p = segmentStart;
+        while (p < segmentEnd) {
+          const precision = data[p] >> 4;
+          const id = data[p] & 15;
+          p++;
+          const table = new Int32Array(64);
+          for (let i = 0; i < 64; i++) {
+            table[ZIGZAG[i]] = precision ? readUint16(data, p + i * 2) : data[p + i];
+          }
+          p += precision ? 128 : 64;
+          quantTables[id] = table;
+        }
+        break;
+      }
+
+      case 0xC4: { // DHT
+        let p = segmentStart;
+        while (p < segmentEnd) {
+          const tableClass = data[p] >> 4;
+          const id = data[p] & 15;
+          const codeLengths = data.subarray(p + 1, p + 17);
+          let total = 0;
+          for (let i = 0; i < 16; i++) total += codeLengths[i];
+          const values = data.subarray(p + 17, p + 17 + total);
+          (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(codeLengths, values);
+          p += 17 + total;
+        }
+        break;
+      }
+
+      case 0xDD: // DRI
+        restartInterval = readUint16(data, segmentStart);
+        break;
+
+      case 0xC0: // SOF0 baseline
+      case 0xC1: // SOF1 extended sequential
+      case 0xC2: { // SOF2 progressive
+        if (frame) throw new Error('Multiple frames in JPEG');
+        if (data[segmentStart] !== 8) throw createUnsupportedError('Only 8-bit JPEG precision is supported');
+
+        frame = {
+          progressive: marker === 0xC2,
+          height: readUint16(data, segmentStart + 1),
+          width: readUint16(data, segmentStart + 3),
+          components: []
+        };
+        if (frame.width === 0 || frame.height === 0) throw new Error('Invalid JPEG dimensions');
+
+        const count = data[segmentStart + 5];
+        for (let i = 0; i < count; i++) {
+          const p = segmentStart + 6 + i * 3;
+          frame.components.push({
+            id: data[p],
+            h: data[p + 1] >> 4,
+            v: data[p + 1] & 15,
+            quantId: data[p + 2]
+          });
+        }
+        prepareComponents(frame);
+        break;
+      }
+
+      case 0xC3: case 0xC5: case 0xC6: case 0xC7:
+      case 0xC9: case 0xCA: case 0xCB: case 0xCD: case 0xCE: case 0xCF:
+        throw createUnsupportedError('Lossless, hierarchical and arithmetic-coded JPEGs are not supported');
+
+      case 0xDA: { // SOS
+        if (!frame) throw new Error('JPEG scan before frame header');
+        const count = data[segmentStart];
+        const scanComponents = [];
+        for (let i = 0; i < count; i++) {
+          const p = segmentStart + 1 + i * 2;
+          const component = frame.components.find((c) => c.id === data[p]);
+          if (!component) throw new Error('JPEG scan references unknown component');
+          component.dcTable = dcTables[data[p + 1] >> 4];
+          component.acTable = acTables[data[p + 1] & 15];
+          scanComponents.push(component);
+        }
+        const p = segmentStart + 1 + count * 2;
+        const spectralStart = data[p];
+        const spectralEnd = data[p + 1];
+        const approxHigh = data[p + 2] >> 4;
+        const approxLow = data[p + 2] & 15;
+
+        offset = decodeScan(
+          data, segmentEnd, frame, scanComponents, restartInterval,
+          spectralStart, spectralEnd, approxHigh, approxLow
+        );
+        continue;
+      }
+
+      default:
+        break;
+    }
+
+    offset = segmentEnd;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header');
+  for (const component of frame.components) {
+    component.quant = quantTables[component.quantId];
+    if (!component.quant) throw new Error('JPEG references a missing quantization table');
+  }
+
+  return { frame, adobeTransform, jfif, orientation };
+}
+
+function prepareComponents(frame) {
+  let maxH = 1;
+  let maxV = 1;
+  for (const component of frame.components) {
+    if (component.h < 1 || component.h > 4 || component.v < 1 || component.v > 4) {
+      throw new Error('Invalid JPEG sampling factors');
+    }
+    maxH = Math.max(maxH, component.h);
+    maxV = Math.max(maxV, component.v);
+  }
+
+  frame.maxH = maxH;
+  frame.maxV = maxV;
+  frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+  frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+
+  for (const component of frame.components) {
+    component.blocksPerLine = Math.ceil(Math.ceil((frame.width * component.h) / maxH) / 8);
+    component.blocksPerColumn = Math.ceil(Math.ceil((frame.height * component.v) / maxV) / 8);
+    component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+    component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+    component.coefficients = new Int16Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+    component.pred = 0;
+  }
+}
+
+/**
+ * Inverse-DCT a component into a plane of 8-bit samples, with each 8x8 block
+ * decoded to sizeX x sizeY samples (8 x 8 for the full size)
+ */
+function buildPlane(component, sizeX = 8, sizeY = 8) {
+  const lineWidth = component.blocksPerLineForMcu * sizeX;
+  const plane = new Uint8ClampedArray(lineWidth * component.blocksPerColumnForMcu * sizeY);
+  const full = sizeX === 8 && sizeY === 8;
+  const workspace = full ? new Int32Array(64) : new Float64Array(sizeX * sizeY);
+
+  for (let row = 0; row < component.blocksPerColumnForMcu; row++) {
+    for (let col = 0; col < component.blocksPerLineForMcu; col++) {
+      const blockOffset = (row * component.blocksPerLineForMcu + col) * 64;
+      const outOffset = row * sizeY * lineWidth + col * sizeX;
+      if (full) {
+        idctBlock(component.coefficients, blockOffset, component.quant, plane, outOffset, lineWidth, workspace);
+      } else {
+        idctBlockScaled(
+          component.coefficients, blockOffset, component.quant,
+          plane, outOffset, lineWidth, sizeX, sizeY, workspace
+        );
+      }
+    }
+  }
+
+  // Coefficients are no longer needed once the plane exists
+  component.coefficients = null;
+  return { plane, lineWidth };
+}
+
+/**
+ * Block size for a component that needs `ideal` samples per block, or
+ * `fallback` when that is not a size blocks can be decoded at
+ */
+function scaledBlockSize(ideal, fallback) {
+  const size = Math.min(8, ideal);
+  return size === 8 || SCALED_BLOCK_SIZES.includes(size) ? size : fallback;
+}
+
+/**
+ * Decode a JPEG file to RGBA pixels
+ * @param {Uint8Array} bytes - JPEG file contents
+ * @param {Object} options - `orient: true` writes the pixels upright according to
+ *   the EXIF orientation, without a second full-size buffer for the rotation;
+ *   `maxWidth` decodes at 1/2, 1/4 or 1/8 of the size straight from the DCT
+ *   coefficients, the smallest that is still at least `maxWidth` wide (upright)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, orientation: number,
+ *   fullWidth: number, fullHeight: number}} Decoded image; orientation is the EXIF
+ *   orientation still to be applied (1 = upright) and fullWidth/fullHeight the size
+ *   the image has when decoded without `maxWidth`
+ */
+export function decodeJPEG(bytes, { orient = false, maxWidth = null } = {}) {
+  const { frame, adobeTransform, jfif, orientation } = parseJPEG(bytes);
+  const { maxH, maxV, components } = frame;
+  const applied = orient ? orientation : 1;
+
+  const uprightWidth = applied >= 5 ? frame.height : frame.width;
+  const blockSize = maxWidth && uprightWidth > maxWidth
+    ? SCALED_BLOCK_SIZES.find((size) => Math.ceil((uprightWidth * size) / 8) >= maxWidth) ?? 8
+    : 8;
+  const width = Math.ceil((frame.width * blockSize) / 8);
+  const height = Math.ceil((frame.height * blockSize) / 8);
+  const transform = getOrientationTransform(width, height, applied);
+  const outStep = transform.step * 4;
+
+  const planes = components.map((component) => {
+    // Subsampled components are decoded at a larger block size where possible,
+    // so downscaling does not cost them more detail than the other components
+    const sizeX = scaledBlockSize((blockSize * maxH) / component.h, blockSize);
+    const sizeY = scaledBlockSize((blockSize * maxV) / component.v, blockSize);
+    const { plane, lineWidth } = buildPlane(component, sizeX, sizeY);
+    // Map output x/y to the (possibly subsampled) plane
+    const xMap = new Int32Array(width);
+    for (let x = 0; x < width; x++) xMap[x] = Math.floor((x * component.h * sizeX) / (maxH * blockSize));
+    return { plane, lineWidth, xMap, v: component.v * sizeY, scaleV: maxV * blockSize };
+  });
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const count = components.length;
+  const ids = components.map((c) => c.id);
+  // Three-component images are YCbCr unless an Adobe marker or 'R','G','B' ids say otherwise
+  const isRGB = count === 3 && (adobeTransform === 0 || (!jfif && adobeTransform < 0 && ids[0] === 0x52 && ids[1] === 0x47 && ids[2] === 0x42));
+  const isYCCK = count === 4 && adobeTransform === 2;
+  // Adobe (APP14) writes CMYK with inverted values: 255 means no ink
+  const invertedCMYK = count === 4 && adobeTransform >= 0;
+
+  const rows = planes.map(() => 0);
+  for (let y = 0; y < height; y++) {
+    for (let c = 0; c < count; c++) {
+      rows[c] = Math.floor((y * planes[c].v) / planes[c].scaleV) * planes[c].lineWidth;
+    }
+
+    let out = transform.rowStart(y) * 4;
+    for (let x = 0; x < width; x++, out += outStep) {
+      const s0 = planes[0].plane[rows[0] + planes[0].xMap[x]];
+
+      if (count === 1) {
+        data[out] = s0;
+        data[out + 1] = s0;
+        data[out + 2] = s0;
+      } else if (count === 3) {
+        const s1 = planes[1].plane[rows[1] + planes[1].xMap[x]];
+        const s2 = planes[2].plane[rows[2] + planes[2].xMap[x]];
+        if (isRGB) {
+          data[out] = s0;
+          data[out + 1] = s1;
+          data[out + 2] = s2;
+        } else {
+          data[out] = s0 + 1.402 * (s2 - 128);
+          data[out + 1] = s0 - 0.344136 * (s1 - 128) - 0.714136 * (s2 - 128);
+          data[out + 2] = s0 + 1.772 * (s1 - 128);
+        }
+      } else if (count === 4) {
+        let c = s0;
+        let m = planes[1].plane[rows[1] + planes[1].xMap[x]];
+        let ye = planes[2].plane[rows[2] + planes[2].xMap[x]];
+        let k = planes[3].plane[rows[3] + planes[3].xMap[x]];
+        if (isYCCK) {
+          const cb = m;
+          const cr = ye;
+          c = 255 - clamp8(s0 + 1.402 * (cr - 128));
+          m = 255 - clamp8(s0 - 0.344136 * (cb - 128) - 0.714136 * (cr - 128));
+          ye = 255 - clamp8(s0 + 1.772 * (cb - 128));
+        }
+        if (!invertedCMYK) {
+          c = 255 - c;
+          m = 255 - m;
+          ye = 255 - ye;
+          k = 255 - k;
+        }
+        data[out] = (c * k) / 255;
+        data[out + 1] = (m * k) / 255;
+        data[out + 2] = (ye * k) / 255;
+      } else {
+        throw createUnsupportedError(`Unsupported JPEG component count ${count}`);
+      }
+      data[out + 3] = 255;
+    }
+  }
+
+  const swapped = applied >= 5;
+  return {
+    data,
+    width: transform.width,
+    height: transform.height,
+    orientation: orient ? 1 : orientation,
+    fullWidth: swapped ? frame.height : frame.width,
+    fullHeight: swapped ? frame.width : frame.height
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Sort masks: one byte per pixel, where values below MASK_THRESHOLD mark
+ * pixels that are left untouched and act as hard interval boundaries
+ */
+
+import { resizePixels } from './resample';
+
+export const MASK_THRESHOLD = 128;
+
+/**
+ * Create a mask that lets every pixel be sorted
+ * @returns {{data: Uint8Array, width: number, height: number}} Mask
+ */
+export function createMask(width, height) {
+  return { data: new Uint8Array(width * height).fill(255), width, height };
+}
+
+/**
+ * Build a mask from a grayscale (or any) image, stretched to width x height.
+ * Light pixels are sorted, dark or transparent ones are kept.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixelData - Mask image
+ */
+export function maskFromPixels(pixelData, width, height) {
+  const { data } = resizePixels(pixelData, width, height);
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0; i < mask.length; i++) {
+    const gray = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    mask[i] = Math.round((gray * data[i * 4 + 3]) / 255);
+  }
+
+  return { data: mask, width, height };
+}
+
+/**
+ * Paint brush strokes onto a mask in place. Stroke points are fractions of the
+ * image size (0-1) so strokes drawn on screen work at any processing size.
+ * @param {{data: Uint8Array, width: number, height: number}} mask - Mask to paint on
+ * @param {Array<{points: Array<{x: number, y: number}>, size: number, erase: boolean}>} strokes -
+ *   `size` is the brush diameter as a fraction of the image width; brush strokes
+ *   protect pixels, eraser strokes make them sortable again
+ * @returns {{data: Uint8Array, width: number, height: number}} The same mask
+ */
+export function paintStrokes(mask, strokes) {
+  const { data, width, height } = mask;
+
+  for (const stroke of strokes) {
+    const value = stroke.erase ? 255 : 0;
+    const radius = Math.max(0.5, (stroke.size * width) / 2);
+    const points = stroke.points.map((point) => ({
+      x: point.x * width - 0.5,
+      y: point.y * height - 0.5
+    }));
+
+    for (let p = 0; p < points.length; p++) {
+      const a = points[p];
+      const b = points[Math.min(p + 1, points.length - 1)];
+      const left = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius));
+      const right = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x) + radius));
+      const top = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius));
+      const bottom = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y) + radius));
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+
+      for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+          // Distance from the pixel centre to the segment a-b
+          const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared))
+            : 0;
+          const distance = Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+          if (distance <= radius) data[y * width + x] = value;
+        }
+      }
+    }
+  }
+
+  return mask;
+}
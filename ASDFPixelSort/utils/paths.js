@@ -0,0 +1,286 @@
+/**
+ * Sort paths: ways of cutting an image into ordered lines of pixel indices.
+ *
+ * A path is `{ count, getLine(n) }`; `getLine` returns the n-th line as an
+ * Int32Array of indices into a width * height pixel buffer, in the order the
+ * interval detection and sort walk it. Straight lines are built on demand;
+ * curved paths precompute a single index list covering the whole image, in
+ * async builders that await `yieldToUI` (see utils/scheduler.js) between
+ * slices of work.
+ */
+
+import { createNoise2D } from './random';
+
+const TWO_PI = Math.PI * 2;
+
+// Lines up to this length are sorted in one go; longer ones (spiral arms can
+// hold a large part of the image) are sorted in runs of this length and merged
+const SORT_RUN = 4096;
+
+const noYield = async () => {};
+
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+/**
+ * Straight lines at `angle` degrees, measured clockwise from left-to-right
+ * (0 = rows left-to-right, 90 = columns top-to-bottom, 180 = rows right-to-left).
+ *
+ * Lines wrap around the image edges. A mostly horizontal line visits exactly one
+ * pixel per column and a mostly vertical one exactly one pixel per row, so the
+ * lines of a path cover every pixel exactly once.
+ */
+export function createAnglePath(width, height, angle) {
+  const radians = (mod(angle, 360) * Math.PI) / 180;
+  const dx = Math.cos(radians);
+  const dy = Math.sin(radians);
+  const horizontal = Math.abs(dx) >= Math.abs(dy);
+
+  // Offset of each step from the line's start, wrapped into [0, size)
+  const steps = horizontal ? width : height;
+  const size = horizontal ? height : width;
+  const slope = horizontal ? dy / dx : dx / dy;
+  const backwards = horizontal ? dx < 0 : dy < 0;
+  const offsets = new Int32Array(steps);
+  for (let step = 0; step < steps; step++) offsets[step] = mod(Math.round(step * slope), size);
+
+  return {
+    count: size,
+    getLine(n) {
+      const line = new Int32Array(steps);
+      for (let step = 0; step < steps; step++) {
+        let position = n + offsets[step];
+        if (position >= size) position -= size;
+        line[backwards ? steps - 1 - step : step] = horizontal
+          ? position * width + step
+          : step * width + position;
+      }
+      return line;
+    }
+  };
+}
+
+/**
+ * Path over precomputed lines: line n is order[offsets[n]] .. order[offsets[n + 1] - 1]
+ */
+function createListPath(order, offsets) {
+  return {
+    count: offsets.length - 1,
+    getLine: (n) => order.subarray(offsets[n], offsets[n + 1])
+  };
+}
+
+/**
+ * Stable sort of pixel indices by keys[index]. Long lists are sorted in runs
+ * that are then merged, awaiting yieldToUI every SORT_RUN indices.
+ */
+async function sortByKey(indices, keys, yieldToUI) {
+  const compare = (a, b) => keys[a] - keys[b];
+  const length = indices.length;
+  if (length <= SORT_RUN) {
+    indices.sort(compare);
+    return;
+  }
+
+  for (let start = 0; start < length; start += SORT_RUN) {
+    indices.subarray(start, start + SORT_RUN).sort(compare);
+    await yieldToUI();
+  }
+
+  let from = indices;
+  let to = new Int32Array(length);
+  for (let run = SORT_RUN; run < length; run *= 2) {
+    for (let left = 0; left < length; left += 2 * run) {
+      const middle = Math.min(left + run, length);
+      const right = Math.min(left + 2 * run, length);
+      let i = left;
+      let j = middle;
+      for (let k = left; k < right; k++) {
+        // Ties take the left run first, which keeps the sort stable
+        to[k] = j < right && (i >= middle || keys[from[j]] < keys[from[i]]) ? from[j++] : from[i++];
+        if (k % SORT_RUN === 0) await yieldToUI();
+      }
+    }
+    [from, to] = [to, from];
+  }
+  if (from !== indices) indices.set(from);
+}
+
+/**
+ * Split the pixels into `groupCount` lines by groupOf(x, y) and order each
+ * line by keyOf(x, y, group)
+ */
+async function createGroupedPath(width, height, groupCount, groupOf, keyOf, yieldToUI) {
+  const size = width * height;
+  const groups = new Int32Array(size);
+  const keys = new Float64Array(size);
+  const offsets = new Int32Array(groupCount + 1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0, i = y * width; x < width; x++, i++) {
+      const group = groupOf(x, y);
+      groups[i] = group;
+      keys[i] = keyOf(x, y, group);
+      offsets[group + 1]++;
+    }
+    await yieldToUI();
+  }
+  for (let g = 0; g < groupCount; g++) offsets[g + 1] += offsets[g];
+
+  const order = new Int32Array(size);
+  const next = offsets.slice(0, groupCount);
+  for (let i = 0; i < size; i++) order[next[groups[i]]++] = i;
+  for (let g = 0; g < groupCount; g++) {
+    await sortByKey(order.subarray(offsets[g], offsets[g + 1]), keys, yieldToUI);
+    await yieldToUI();
+  }
+
+  return createListPath(order, offsets);
+}
+
+/**
+ * Polar coordinates around a centre given as fractions of the image size.
+ * Angles run clockwise from 3 o'clock in [0, 2π).
+ */
+function createPolar(width, height, center) {
+  const cx = (center?.x ?? 0.5) * (width - 1);
+  const cy = (center?.y ?? 0.5) * (height - 1);
+  const maxRadius = Math.ceil(Math.max(
+    Math.hypot(cx, cy),
+    Math.hypot(width - 1 - cx, cy),
+    Math.hypot(cx, height - 1 - cy),
+    Math.hypot(width - 1 - cx, height - 1 - cy)
+  ));
+
+  return {
+    maxRadius,
+    radius: (x, y) => Math.hypot(x - cx, y - cy),
+    angle: (x, y) => {
+      const angle = Math.atan2(y - cy, x - cx);
+      return angle < 0 ? angle + TWO_PI : angle;
+    }
+  };
+}
+
+/**
+ * Concentric rings around `center`, each walked clockwise
+ */
+export function createCirclePath(width, height, { center } = {}, yieldToUI = noYield) {
+  const polar = createPolar(width, height, center);
+  return createGroupedPath(
+    width, height, polar.maxRadius + 1,
+    (x, y) => Math.round(polar.radius(x, y)),
+    (x, y) => polar.angle(x, y),
+    yieldToUI
+  );
+}
+
+/**
+ * Spokes radiating out of `center`, each walked outwards. There are about as
+ * many spokes as pixels on the outermost ring, so every spoke stays thin.
+ */
+export function createSpokePath(width, height, { center } = {}, yieldToUI = noYield) {
+  const polar = createPolar(width, height, center);
+  const count = Math.max(8, Math.round(TWO_PI * polar.maxRadius));
+  return createGroupedPath(
+    width, height, count,
+    (x, y) => Math.floor((polar.angle(x, y) / TWO_PI) * count) % count,
+    (x, y) => polar.radius(x, y),
+    yieldToUI
+  );
+}
+
+/**
+ * Archimedean spiral winding clockwise out of `center` with `spacing` pixels
+ * between windings. The spiral has `spacing` interleaved arms, one pixel
+ * apart, so together they cover the image; each arm is walked outwards.
+ */
+export function createSpiralPath(width, height, { center, spacing = 4 } = {}, yieldToUI = noYield) {
+  const polar = createPolar(width, height, center);
+  const arms = Math.max(1, Math.round(spacing));
+  const turn = (x, y) => polar.angle(x, y) / TWO_PI;
+  const offset = (x, y) => polar.radius(x, y) - arms * turn(x, y);
+
+  return createGroupedPath(
+    width, height, arms,
+    (x, y) => mod(Math.round(offset(x, y)), arms),
+    (x, y, arm) => Math.round((offset(x, y) - arm) / arms) + turn(x, y),
+    yieldToUI
+  );
+}
+
+/**
+ * Streamlines through a seeded noise flow field. `scale` is roughly how many
+ * swirls fit across the longer image side, so the field looks the same at any
+ * resolution. Every pixel ends up on exactly one streamline; a streamline stops
+ * at the image edge or at a pixel that already belongs to another one.
+ */
+export async function createFlowFieldPath(width, height, { scale = 4, seed = 1 } = {}, yieldToUI = noYield) {
+  const size = width * height;
+  const noise = createNoise2D(seed);
+  const frequency = scale / Math.max(width, height);
+  const directions = new Float32Array(size);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0, i = y * width; x < width; x++, i++) {
+      directions[i] = noise(x * frequency, y * frequency) * TWO_PI * 2;
+    }
+    await yieldToUI();
+  }
+
+  const visited = new Uint8Array(size);
+  const order = new Int32Array(size);
+  const offsets = [0];
+  const maxSteps = 4 * (width + height);
+  let filled = 0;
+
+  // Follow the field from `start` (backwards when sign is -1), claiming pixels
+  const trace = (start, sign) => {
+    const pixels = [];
+    let x = start % width;
+    let y = (start - x) / width;
+    let last = start;
+
+    for (let step = 0; step < maxSteps; step++) {
+      x += sign * Math.cos(directions[last]);
+      y += sign * Math.sin(directions[last]);
+      const px = Math.round(x);
+      const py = Math.round(y);
+      if (px < 0 || py < 0 || px >= width || py >= height) break;
+
+      const i = py * width + px;
+      if (i === last) continue;
+      if (visited[i]) break;
+      visited[i] = 1;
+      pixels.push(i);
+      last = i;
+    }
+    return pixels;
+  };
+
+  for (let start = 0; start < size; start++) {
+    // Each pixel is traced at most once, so a row of starts is a bounded amount of work
+    if (start % width === 0) await yieldToUI();
+    if (visited[start]) continue;
+    visited[start] = 1;
+
+    const backward = trace(start, -1);
+    const forward = trace(start, 1);
+    for (let i = backward.length - 1; i >= 0; i--) order[filled++] = backward[i];
+    order[filled++] = start;
+    for (let i = 0; i < forward.length; i++) order[filled++] = forward[i];
+    offsets.push(filled);
+  }
+
+  return createListPath(order, Int32Array.from(offsets));
+}
+
+/**
+ * Same lines as `path`, each walked in the opposite direction
+ */
+export function reversePath(path) {
+  return {
+    count: path.count,
+    getLine: (n) => path.getLine(n).slice().reverse()
+  };
+}
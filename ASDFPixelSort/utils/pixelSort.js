@@ -7,364 +7,1046 @@
  * 1 = black
  * 2 = bright
  * 3 = dark
+ * 4 = edges (contours of the image, see utils/edges.js)
+ * 5 = random-length intervals
+ * 6 = fixed-length intervals
  */
 
+import {
+  getRed,
+  getGreen,
+  getBlue,
+  getHue,
+  getSaturation,
+  getValue,
+  getLabLightness,
+  getOklchLightness
+} from './color';
+import {
+  createAnglePath,
+  createCirclePath,
+  createSpokePath,
+  createSpiralPath,
+  createFlowFieldPath,
+  reversePath
+} from './paths';
+import { MASK_THRESHOLD } from './mask';
+import { computeEdgeMap } from './edges';
+import { createTimeSlicer } from './scheduler';
+import { createRandom } from './random';
+
+// Bump when the same options start producing different pixels, so recipes
+// embedded in exported images (see utils/recipe.js) can tell
+export const ALGORITHM_VERSION = 1;
+
+// Threshold values to determine sorting start and end pixels
+export const DEFAULT_THRESHOLDS = {
+  white: -12345678,
+  black: -3456789,
+  bright: 127,
+  dark: 223,
+  edge: 48
+};
+
+// Interval lengths in pixels for the random (5) and fixed-length (6) modes;
+// `skip` is the probability of leaving an interval unsorted
+export const DEFAULT_INTERVALS = {
+  min: 10,
+  max: 100,
+  mean: 40,
+  length: 50,
+  skip: 0
+};
+
+// Which passes run and in what order; the original sketch sorts columns first
+export const SORT_ORDERS = ['columns-rows', 'rows-columns', 'columns', 'rows'];
+
+// Direction of each pass relative to the sort angle
+const PASS_ANGLES = { rows: 0, columns: 90 };
+
+// Shapes of the lines pixels are sorted along. 'lines' runs the straight row and
+// column passes; the curved paths replace them with a single pass.
+export const PATH_TYPES = ['lines', 'circles', 'spokes', 'spiral', 'flow'];
+
+const CURVED_PATHS = {
+  circles: createCirclePath,
+  spokes: createSpokePath,
+  spiral: createSpiralPath,
+  flow: createFlowFieldPath
+};
+
+// What pixels are ordered by inside an interval. 'color' is the original
+// sketch's comparison of the raw color int (effectively red, then green, then blue).
+export const SORT_KEYS = [
+  'color',
+  'luminance',
+  'hue',
+  'saturation',
+  'value',
+  'red',
+  'green',
+  'blue',
+  'lab',
+  'oklch'
+];
+
+// Sort keys are stored as integers: `bits` wide, quantized from [0, max], with
+// 24 bits for continuous keys so they order like the exact values. Luminance
+// is left out because it reuses the brightness buffer of the bright/dark
+// detectors, and 'color' sorts by the color itself.
+const KEY_DEFINITIONS = {
+  hue: { getKey: getHue, max: 360, bits: 24 },
+  saturation: { getKey: getSaturation, max: 1, bits: 24 },
+  value: { getKey: getValue, max: 255, bits: 8 },
+  red: { getKey: getRed, max: 255, bits: 8 },
+  green: { getKey: getGreen, max: 255, bits: 8 },
+  blue: { getKey: getBlue, max: 255, bits: 8 },
+  lab: { getKey: getLabLightness, max: 100, bits: 24 },
+  oklch: { getKey: getOklchLightness, max: 1, bits: 24 }
+};
+
+// Intervals up to this length are insertion sorted instead of radix sorted
+const INSERTION_SORT_LENGTH = 24;
+
+// Lines longer than this (spiral arms, big rings) are sorted one interval at a
+// time between yields instead of in one go
+const LONG_LINE_LENGTH = 16384;
+
 export class PixelSorter {
-  constructor() {
-    // Threshold values to determine sorting start and end pixels
-    this.whiteValue = -12345678;
-    this.blackValue = -3456789;
-    this.brightValue = 127;
-    this.darkValue = 223;
+  constructor(thresholds = {}) {
+    this.setThresholds(
+      thresholds.white ?? DEFAULT_THRESHOLDS.white,
+      thresholds.black ?? DEFAULT_THRESHOLDS.black,
+      thresholds.bright ?? DEFAULT_THRESHOLDS.bright,
+      thresholds.dark ?? DEFAULT_THRESHOLDS.dark,
+      thresholds.edge ?? DEFAULT_THRESHOLDS.edge
+    );
+    this.sortKey = 'color';
+    this.descending = false;
+    this.mask = null;
+    this.thresholdMap = null;
+    this.keyPixels = null;
+    this.keyImageIntervals = false;
+    this.setIntervals(DEFAULT_INTERVALS);
+    this.random = createRandom(1);
+    this.releaseBuffers();
+    this.scratchLength = 0;
   }
 
   /**
    * Main function to sort an image
-   * @param {ImageData} imageData - Canvas ImageData object
-   * @param {number} mode - Sorting mode (0-3)
-   * @param {Function} progressCallback - Optional progress callback
-   * @returns {ImageData} Sorted image data
-   */
-  async sortImage(imageData, mode = 0, progressCallback = null) {
-    const { width, height, data } = imageData;
-    const pixels = new Uint8ClampedArray(data);
-    
-    // Convert RGBA to RGB values for processing
-    const rgbPixels = this.convertToRGB(pixels, width, height);
-    
-    // Sort columns
-    if (progressCallback) progressCallback(0, 'Sorting columns...');
-    for (let column = 0; column < width - 1; column++) {
-      this.sortColumn(rgbPixels, width, height, column, mode);
-      if (progressCallback && column % 10 === 0) {
-        progressCallback((column / width) * 50, 'Sorting columns...');
-      }
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixel data
+   *   (anything with this shape works, including a canvas ImageData)
+   * @param {Object} options - Sort options
+   * @param {number} options.mode - Sorting mode (0-6)
+   * @param {Object} options.thresholds - { white, black, bright, dark, edge }; missing
+   *   values come from DEFAULT_THRESHOLDS
+   * @param {{data: Uint8Array, width: number, height: number}} options.thresholdMap - Optional
+   *   per-pixel blend (see utils/thresholdMap.js) from `thresholds` at 0 to `endThresholds` at 255
+   * @param {Object} options.endThresholds - { white, black, bright, dark, edge } used
+   *   where the threshold map is 255; missing values match `thresholds`
+   * @param {string} options.edgeOperator - Edge mode gradient, one of EDGE_OPERATORS (utils/edges.js)
+   * @param {Object} options.intervals - Random/fixed-length mode settings, see
+   *   DEFAULT_INTERVALS, which also fills in missing values
+   * @param {string} options.order - One of SORT_ORDERS
+   * @param {string} options.sortKey - One of SORT_KEYS
+   * @param {boolean} options.descending - Sort intervals from high to low keys
+   * @param {boolean} options.reverse - Walk rows right-to-left and columns bottom-to-top
+   * @param {number} options.angle - Degrees clockwise to rotate the sort lines; rows
+   *   follow the angle and columns run perpendicular to it
+   * @param {string} options.path - One of PATH_TYPES
+   * @param {{x: number, y: number}} options.center - Centre of circles, spokes and
+   *   spiral as fractions of the image size
+   * @param {number} options.spacing - Pixels between spiral windings
+   * @param {number} options.scale - Flow field swirls across the image (smaller is smoother)
+   * @param {number} options.seed - Seed for the flow field and random intervals; the
+   *   same seed and options always give the same output
+   * @param {number} options.iterations - How many times to repeat the passes
+   * @param {{data: Uint8Array, width: number, height: number}} options.mask - Optional
+   *   mask (see utils/mask.js); masked-out pixels are never sorted and end intervals
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} options.keyImage - Optional
+   *   RGBA image the size of `pixels`; pixels are ordered by the sort key of the key
+   *   image at their position instead of by their own colors
+   * @param {boolean} options.keyImageIntervals - Detect intervals in the key image too
+   * @param {number} options.alphaCutoff - Pixels with alpha below this (0-255) are
+   *   treated like masked-out pixels; 0 sorts transparent pixels like any other
+   * @param {Function} options.progressCallback - Optional (percent, text) callback
+   * @param {AbortSignal} options.signal - Optional; aborting rejects with an AbortError
+   * @param {boolean} options.inPlace - Sort `pixels.data` itself instead of a copy, so
+   *   no second full-size buffer is needed (the data is garbage if sorting is cancelled);
+   *   a key image is converted in place as well
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} Sorted pixel data
+   */
+  async sortImage(pixels, options = {}) {
+    const {
+      mode = 0,
+      order = 'columns-rows',
+      path = 'lines',
+      iterations = 1,
+      keyImage = null,
+      keyImageIntervals = false,
+      edgeOperator = 'sobel',
+      progressCallback = null,
+      signal = null,
+      inPlace = false
+    } = options;
+    const { width, height, data } = pixels;
+    this.applyOptions(pixels, options);
+    if (!SORT_ORDERS.includes(order)) throw new Error(`Unknown sort order: ${order}`);
+    if (!PATH_TYPES.includes(path)) throw new Error(`Unknown path type: ${path}`);
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error(`Iterations must be a positive integer: ${iterations}`);
     }
-    
-    // Sort rows
-    if (progressCallback) progressCallback(50, 'Sorting rows...');
-    for (let row = 0; row < height - 1; row++) {
-      this.sortRow(rgbPixels, width, height, row, mode);
-      if (progressCallback && row % 10 === 0) {
-        progressCallback(50 + (row / height) * 50, 'Sorting rows...');
+
+    // Sorting runs on the JS thread, so hand control back to the UI regularly
+    const yieldToUI = createTimeSlicer(signal);
+
+    // Colors are sorted through an Int32 view of the RGBA buffer; the view
+    // needs 4-byte alignment, which a subarray might not have
+    let sortedData = inPlace ? data : new Uint8ClampedArray(data);
+    if (sortedData.byteOffset % 4 !== 0) sortedData = new Uint8ClampedArray(sortedData);
+    const rgbPixels = await this.packPixels(sortedData, width, height, yieldToUI);
+
+    this.keyPixels = null;
+    this.keyImageIntervals = keyImageIntervals;
+    if (keyImage) {
+      let keyData = inPlace ? keyImage.data : new Uint8ClampedArray(keyImage.data);
+      if (keyData.byteOffset % 4 !== 0) keyData = new Uint8ClampedArray(keyData);
+      this.keyPixels = await this.packPixels(keyData, width, height, yieldToUI);
+    }
+
+    const passes = await this.getPasses(width, height, options, yieldToUI);
+    const totalPasses = passes.length * iterations;
+    await yieldToUI();
+    if (mode === 4) {
+      this.prepareEdges(rgbPixels, width, height, edgeOperator);
+      await yieldToUI();
+    }
+    this.prepareBuffers(rgbPixels, mode);
+    await yieldToUI();
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      for (let index = 0; index < passes.length; index++) {
+        const pass = passes[index];
+        const done = iteration * passes.length + index;
+        await this.sortPath(rgbPixels, pass.path, mode, pass.text, (progress, text) => {
+          if (progressCallback) progressCallback(((done + progress) / totalPasses) * 100, text);
+        }, yieldToUI);
       }
     }
-    
-    // Convert back to RGBA
-    const sortedData = this.convertToRGBA(rgbPixels, pixels);
-    
+
+    this.releaseBuffers();
+    this.keyPixels = null;
+
+    await this.unpackPixels(rgbPixels, sortedData, width, height, yieldToUI);
+
     if (progressCallback) progressCallback(100, 'Complete!');
-    
-    return new ImageData(sortedData, width, height);
+
+    return { data: sortedData, width, height };
+  }
+
+  /**
+   * Mark the pixels one pass of sortImage would sort, without sorting them.
+   * Intervals are found by the same detectors, so for the first pass this is
+   * exactly the set of pixels that will move (or stay put inside a sorted run).
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixel data
+   * @param {Object} options - sortImage options (mode, thresholds, mask, angle,
+   *   reverse, ...), plus `direction`: 'rows' or 'columns'
+   * @returns {{data: Uint8Array, width: number, height: number}} 255 where pixels
+   *   fall inside an interval, 0 elsewhere
+   */
+  async findIntervals(pixels, options = {}) {
+    const {
+      mode = 0,
+      direction = 'rows',
+      angle = 0,
+      reverse = false,
+      keyImage = null,
+      keyImageIntervals = false,
+      edgeOperator = 'sobel',
+      signal = null
+    } = options;
+    const { width, height, data } = pixels;
+    this.applyOptions(pixels, options);
+    if (!(direction in PASS_ANGLES)) throw new Error(`Unknown interval direction: ${direction}`);
+
+    const yieldToUI = createTimeSlicer(signal);
+    const colors = await this.packPixels(new Uint8ClampedArray(data), width, height, yieldToUI);
+    this.keyPixels = keyImage
+      ? await this.packPixels(new Uint8ClampedArray(keyImage.data), width, height, yieldToUI)
+      : null;
+    this.keyImageIntervals = keyImageIntervals;
+    if (mode === 4) this.prepareEdges(colors, width, height, edgeOperator);
+
+    const marks = new Uint8Array(width * height);
+    const path = createAnglePath(width, height, angle + (reverse ? 180 : 0) + PASS_ANGLES[direction]);
+    try {
+      for (let n = 0; n < path.count; n++) {
+        this.forEachInterval(colors, path.getLine(n), mode, (run, start, length) => {
+          for (let i = start; i < start + length; i++) marks[run[i]] = 255;
+        });
+        await yieldToUI();
+      }
+    } finally {
+      this.releaseBuffers();
+      this.keyPixels = null;
+    }
+
+    return { data: marks, width, height };
   }
 
   /**
-   * Convert RGBA pixel data to RGB values
+   * Validate the options shared by sortImage and findIntervals against the
+   * image and apply them to the sorter
    */
-  convertToRGB(pixels, width, height) {
-    const rgbPixels = new Int32Array(width * height);
-    
-    for (let i = 0; i < width * height; i++) {
-      const r = pixels[i * 4];
-      const g = pixels[i * 4 + 1];
-      const b = pixels[i * 4 + 2];
-      // Convert to signed 32-bit integer (Processing color format)
-      rgbPixels[i] = (r << 16) | (g << 8) | b | 0xFF000000;
+  applyOptions(pixels, options) {
+    const {
+      mode = 0,
+      thresholds = {},
+      sortKey = 'color',
+      descending = false,
+      mask = null,
+      thresholdMap = null,
+      endThresholds = {},
+      keyImage = null,
+      alphaCutoff = 0,
+      intervals = {},
+      seed = 1
+    } = options;
+    const { width, height, data } = pixels;
+
+    if (data.length !== width * height * 4) {
+      throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data.length}`);
     }
-    
-    return rgbPixels;
+
+    if (![0, 1, 2, 3, 4, 5, 6].includes(mode)) throw new Error(`Unknown sort mode: ${mode}`);
+    if (mask && (mask.width !== width || mask.height !== height)) {
+      throw new Error(`Mask is ${mask.width}x${mask.height} but the image is ${width}x${height}`);
+    }
+    if (keyImage && (keyImage.width !== width || keyImage.height !== height)) {
+      throw new Error(`Key image is ${keyImage.width}x${keyImage.height} but the image is ${width}x${height}`);
+    }
+    if (thresholdMap && (thresholdMap.width !== width || thresholdMap.height !== height)) {
+      throw new Error(
+        `Threshold map is ${thresholdMap.width}x${thresholdMap.height} but the image is ${width}x${height}`
+      );
+    }
+    this.setSortKey(sortKey);
+    this.descending = descending;
+    this.mask = mask ? mask.data : null;
+    this.alphaCutoff = alphaCutoff;
+    this.setIntervals({ ...DEFAULT_INTERVALS, ...intervals });
+    this.random = createRandom(seed);
+
+    this.setThresholds(
+      thresholds.white ?? DEFAULT_THRESHOLDS.white,
+      thresholds.black ?? DEFAULT_THRESHOLDS.black,
+      thresholds.bright ?? DEFAULT_THRESHOLDS.bright,
+      thresholds.dark ?? DEFAULT_THRESHOLDS.dark,
+      thresholds.edge ?? DEFAULT_THRESHOLDS.edge
+    );
+    this.setThresholdMap(thresholdMap, endThresholds);
   }
 
   /**
-   * Convert RGB values back to RGBA pixel data
+   * Build the sort passes for the given sortImage options as { path, text }.
+   * Curved paths are built up front, awaiting `yieldToUI` as they go.
    */
-  convertToRGBA(rgbPixels, originalPixels) {
-    const rgbaPixels = new Uint8ClampedArray(originalPixels.length);
-    
-    for (let i = 0; i < rgbPixels.length; i++) {
-      const color = rgbPixels[i];
-      rgbaPixels[i * 4] = (color >> 16) & 0xFF;     // R
-      rgbaPixels[i * 4 + 1] = (color >> 8) & 0xFF; // G
-      rgbaPixels[i * 4 + 2] = color & 0xFF;        // B
-      rgbaPixels[i * 4 + 3] = originalPixels[i * 4 + 3]; // Keep original alpha
+  async getPasses(width, height, options, yieldToUI) {
+    const { order = 'columns-rows', reverse = false, angle = 0, path = 'lines' } = options;
+
+    if (path !== 'lines') {
+      const curved = await CURVED_PATHS[path](width, height, options, yieldToUI);
+      return [{ path: reverse ? reversePath(curved) : curved, text: `Sorting ${path}...` }];
     }
-    
-    return rgbaPixels;
+
+    const baseAngle = angle + (reverse ? 180 : 0);
+    return order.split('-').map((pass) => ({
+      path: createAnglePath(width, height, baseAngle + PASS_ANGLES[pass]),
+      text: `Sorting ${pass}...`
+    }));
   }
 
   /**
-   * Sort a single row of pixels
+   * Sort every line of a path; progress is reported as a 0-1 fraction.
+   * `yieldToUI` (see utils/scheduler.js) is awaited between lines.
    */
-  sortRow(pixels, width, height, row, mode) {
-    let x = 0;
-    let xEnd = 0;
-    
-    while (xEnd < width - 1) {
-      switch (mode) {
-        case 0: // white
-          x = this.getFirstNoneWhiteX(pixels, width, x, row);
-          xEnd = this.getNextWhiteX(pixels, width, x, row);
-          break;
-        case 1: // black
-          x = this.getFirstNoneBlackX(pixels, width, x, row);
-          xEnd = this.getNextBlackX(pixels, width, x, row);
-          break;
-        case 2: // bright
-          x = this.getFirstNoneBrightX(pixels, width, x, row);
-          xEnd = this.getNextBrightX(pixels, width, x, row);
-          break;
-        case 3: // dark
-          x = this.getFirstNoneDarkX(pixels, width, x, row);
-          xEnd = this.getNextDarkX(pixels, width, x, row);
-          break;
+  async sortPath(pixels, path, mode, text, progress, yieldToUI = null) {
+    progress(0, text);
+    for (let n = 0; n < path.count; n++) {
+      const line = path.getLine(n);
+      if (yieldToUI && line.length > LONG_LINE_LENGTH) {
+        await this.sortLongLine(pixels, line, mode, yieldToUI);
+        progress((n + 1) / path.count, text);
+      } else {
+        this.sortLine(pixels, line, mode);
+        if (n % 10 === 0) progress(n / path.count, text);
       }
-      
-      if (x < 0) break;
-      
-      const sortingLength = xEnd - x;
-      if (sortingLength > 1) {
-        const unsorted = [];
-        
-        for (let i = 0; i < sortingLength; i++) {
-          unsorted[i] = pixels[x + i + row * width];
-        }
-        
-        const sorted = unsorted.sort((a, b) => a - b);
-        
-        for (let i = 0; i < sortingLength; i++) {
-          pixels[x + i + row * width] = sorted[i];
-        }
+      if (yieldToUI) await yieldToUI();
+    }
+  }
+
+  /**
+   * Sort one line like sortLine, awaiting `yieldToUI` between intervals.
+   * Sorting an interval only moves pixels inside it, so all intervals can be
+   * found before any is sorted and come out the same as in sortLine.
+   */
+  async sortLongLine(pixels, line, mode, yieldToUI) {
+    const intervals = [];
+    this.forEachInterval(pixels, line, mode, (run, start, length) => {
+      // Runs are subarrays of the line
+      intervals.push((run.byteOffset - line.byteOffset) / Int32Array.BYTES_PER_ELEMENT + start, length);
+    });
+    await yieldToUI();
+
+    for (let k = 0; k < intervals.length; k += 2) {
+      this.sortInterval(pixels, line, intervals[k], intervals[k + 1]);
+      await yieldToUI();
+    }
+  }
+
+  /**
+   * Turn RGBA bytes into Processing (ARGB) colors in place, yielding after
+   * each row: each pixel's four bytes are overwritten by its Int32 color, so
+   * alpha travels with the color when pixels are sorted.
+   * @returns {Int32Array} Colors sharing `data`'s buffer
+   */
+  async packPixels(data, width, height, yieldToUI) {
+    const pixels = new Int32Array(data.buffer, data.byteOffset, width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let i = y * width, end = i + width; i < end; i++) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        const b = data[i * 4 + 2];
+        const a = data[i * 4 + 3];
+        // Signed 32-bit integer (Processing color format)
+        pixels[i] = (a << 24) | (r << 16) | (g << 8) | b;
       }
-      
-      x = xEnd + 1;
+      await yieldToUI();
     }
+
+    return pixels;
   }
 
   /**
-   * Sort a single column of pixels
+   * Write Processing colors back as RGBA bytes in place (the reverse of packPixels)
    */
-  sortColumn(pixels, width, height, column, mode) {
-    let y = 0;
-    let yEnd = 0;
-    
-    while (yEnd < height - 1) {
+  async unpackPixels(pixels, data, width, height, yieldToUI) {
+    for (let y = 0; y < height; y++) {
+      for (let i = y * width, end = i + width; i < end; i++) {
+        const color = pixels[i];
+        data[i * 4] = (color >> 16) & 0xFF;
+        data[i * 4 + 1] = (color >> 8) & 0xFF;
+        data[i * 4 + 2] = color & 0xFF;
+        data[i * 4 + 3] = color >>> 24;
+      }
+      await yieldToUI();
+    }
+  }
+
+  /**
+   * Sort one line, given as pixel indices in walking order
+   */
+  sortLine(pixels, line, mode) {
+    this.forEachInterval(pixels, line, mode, (run, start, length) => {
+      this.sortInterval(pixels, run, start, length);
+    });
+  }
+
+  /**
+   * Call `onInterval(run, start, length)` for every interval of one line,
+   * where the interval is run[start] .. run[start + length - 1]. Masked-out
+   * pixels and pixels below the alpha cutoff split the line into separate
+   * runs so intervals never cross them.
+   */
+  forEachInterval(pixels, line, mode, onInterval) {
+    if (this.preparedPixels !== pixels || this.preparedMode !== mode) {
+      this.prepareBuffers(pixels, mode);
+    }
+    if (mode === 4 && this.edgePixels !== pixels) {
+      throw new Error('Edge mode needs an edge map; call prepareEdges first');
+    }
+
+    const { mask, alphaCutoff } = this;
+    if (!mask && !alphaCutoff) {
+      this.findThresholdIntervals(pixels, line, mode, onInterval);
+      return;
+    }
+
+    let start = 0;
+    for (let i = 0; i <= line.length; i++) {
+      if (
+        i === line.length ||
+        (mask && mask[line[i]] < MASK_THRESHOLD) ||
+        pixels[line[i]] >>> 24 < alphaCutoff
+      ) {
+        if (i - start > 1) this.findThresholdIntervals(pixels, line.subarray(start, i), mode, onInterval);
+        start = i + 1;
+      }
+    }
+  }
+
+  /**
+   * Find the threshold intervals of one run
+   */
+  findThresholdIntervals(pixels, line, mode, onInterval) {
+    if (mode === 5 || mode === 6) {
+      this.findSegments(line, mode, onInterval);
+      return;
+    }
+
+    // Intervals taken from a key image are found in its pixels at the same positions
+    const source = this.keyImageIntervals && this.keyPixels ? this.keyPixels : pixels;
+    const length = line.length;
+    let start = 0;
+    let end = 0;
+
+    while (end < length - 1) {
       switch (mode) {
         case 0: // white
-          y = this.getFirstNoneWhiteY(pixels, width, height, column, y);
-          yEnd = this.getNextWhiteY(pixels, width, height, column, y);
+          start = this.getFirstNoneWhite(source, line, start);
+          end = this.getNextWhite(source, line, start);
           break;
         case 1: // black
-          y = this.getFirstNoneBlackY(pixels, width, height, column, y);
-          yEnd = this.getNextBlackY(pixels, width, height, column, y);
+          start = this.getFirstNoneBlack(source, line, start);
+          end = this.getNextBlack(source, line, start);
           break;
         case 2: // bright
-          y = this.getFirstNoneBrightY(pixels, width, height, column, y);
-          yEnd = this.getNextBrightY(pixels, width, height, column, y);
+          start = this.getFirstNoneBright(source, line, start);
+          end = this.getNextBright(source, line, start);
           break;
         case 3: // dark
-          y = this.getFirstNoneDarkY(pixels, width, height, column, y);
-          yEnd = this.getNextDarkY(pixels, width, height, column, y);
+          start = this.getFirstNoneDark(source, line, start);
+          end = this.getNextDark(source, line, start);
+          break;
+        case 4: // edges
+          start = this.getFirstNoneEdge(source, line, start);
+          end = this.getNextEdge(source, line, start);
           break;
       }
-      
-      if (y < 0) break;
-      
-      const sortingLength = yEnd - y;
-      if (sortingLength > 1) {
-        const unsorted = [];
-        
-        for (let i = 0; i < sortingLength; i++) {
-          unsorted[i] = pixels[column + (y + i) * width];
-        }
-        
-        const sorted = unsorted.sort((a, b) => a - b);
-        
-        for (let i = 0; i < sortingLength; i++) {
-          pixels[column + (y + i) * width] = sorted[i];
-        }
+
+      if (start < 0) break;
+
+      const sortingLength = end - start;
+      if (sortingLength > 1) onInterval(line, start, sortingLength);
+
+      start = end + 1;
+    }
+  }
+
+  /**
+   * Cut a run into consecutive random-length (mode 5) or fixed-length
+   * (mode 6) intervals. Each interval is skipped with the configured
+   * probability.
+   */
+  findSegments(line, mode, onInterval) {
+    const { length: fixedLength, skip } = this.intervals;
+
+    for (let start = 0; start < line.length;) {
+      const end = Math.min(line.length, start + (mode === 5 ? this.getRandomLength() : fixedLength));
+      const skipped = skip > 0 && this.random() < skip;
+      if (!skipped && end - start > 1) onInterval(line, start, end - start);
+      start = end;
+    }
+  }
+
+  /**
+   * Draw an interval length between min and max. u^k for uniform u averages
+   * 1 / (k + 1), so k is chosen to make the lengths average `mean`.
+   */
+  getRandomLength() {
+    const { min, max } = this.intervals;
+    return Math.round(min + (max - min) * this.random() ** this.lengthExponent);
+  }
+
+  /**
+   * Sort a single row of pixels
+   */
+  sortRow(pixels, width, height, row, mode) {
+    if (mode === 4 && this.edgePixels !== pixels) this.prepareEdges(pixels, width, height);
+    this.sortLine(pixels, createAnglePath(width, height, 0).getLine(row), mode);
+  }
+
+  /**
+   * Sort a single column of pixels
+   */
+  sortColumn(pixels, width, height, column, mode) {
+    if (mode === 4 && this.edgePixels !== pixels) this.prepareEdges(pixels, width, height);
+    this.sortLine(pixels, createAnglePath(width, height, 90).getLine(column), mode);
+  }
+
+  /**
+   * Select the key pixels are ordered by inside an interval
+   */
+  setSortKey(sortKey) {
+    if (!SORT_KEYS.includes(sortKey)) throw new Error(`Unknown sort key: ${sortKey}`);
+    if (sortKey !== this.sortKey) this.releaseBuffers();
+    this.sortKey = sortKey;
+  }
+
+  /**
+   * Precompute per-pixel buffers for a pixel array: brightness for the
+   * bright/dark detectors and integer keys for the current sort key. They are
+   * permuted together with the pixels, so each value is computed only once.
+   * Keys taken from a key image are computed at each pixel's starting position
+   * and then travel with the pixel.
+   */
+  prepareBuffers(pixels, mode) {
+    const { keyPixels } = this;
+    // With a key image, keys (and optionally intervals) come from its pixels
+    const keySource = keyPixels ?? pixels;
+    const keyIntervals = keyPixels !== null && this.keyImageIntervals;
+    const detectsBrightness = mode === 2 || mode === 3;
+
+    const needsBrightness = (detectsBrightness && !keyIntervals) || (this.sortKey === 'luminance' && !keyPixels);
+    this.brightnessBuffer = needsBrightness ? this.computeBrightness(pixels) : null;
+    // Key image brightness is not permuted: intervals follow the key image's layout
+    this.detectionBrightness = detectsBrightness && keyIntervals
+      ? this.computeBrightness(keyPixels)
+      : this.brightnessBuffer;
+
+    if (this.sortKey === 'color' && !keyPixels && !this.hasTranslucency(pixels)) {
+      this.keyBuffer = null;
+      this.keyBits = 0;
+    } else if (this.sortKey === 'color') {
+      // Raw color sorts pack the color with its brightness, leaving no room
+      // for alpha; translucent images and key images sort by a 24-bit RGB key instead
+      this.keyBuffer = new Uint32Array(pixels.length);
+      this.keyBits = 24;
+      for (let i = 0; i < pixels.length; i++) this.keyBuffer[i] = keySource[i] & 0xFFFFFF;
+    } else if (this.sortKey === 'luminance') {
+      this.keyBuffer = keyPixels ? this.computeBrightness(keyPixels) : this.brightnessBuffer;
+      this.keyBits = 8;
+    } else {
+      const { getKey, max, bits } = KEY_DEFINITIONS[this.sortKey];
+      const maxKey = 2 ** bits - 1;
+      const scale = maxKey / max;
+      this.keyBuffer = bits === 8 ? new Uint8Array(pixels.length) : new Uint32Array(pixels.length);
+      this.keyBits = bits;
+      for (let i = 0; i < pixels.length; i++) {
+        this.keyBuffer[i] = Math.min(maxKey, Math.max(0, Math.round(getKey(keySource[i]) * scale)));
       }
-      
-      y = yEnd + 1;
     }
+
+    this.preparedPixels = pixels;
+    this.preparedMode = mode;
   }
 
   /**
-   * Get brightness value from RGB color
+   * Compute the edge map for edge mode. It is taken from the image before
+   * sorting and stays put while pixels move, so contours keep stopping streaks
+   * in every pass.
    */
-  getBrightness(color) {
-    const r = (color >> 16) & 0xFF;
-    const g = (color >> 8) & 0xFF;
-    const b = color & 0xFF;
-    return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+  prepareEdges(pixels, width, height, operator = 'sobel') {
+    const source = this.keyPixels && this.keyImageIntervals ? this.keyPixels : pixels;
+    this.edgeMap = computeEdgeMap(source, width, height, operator);
+    this.edgePixels = pixels;
   }
 
-  // White threshold functions for X axis
-  getFirstNoneWhiteX(pixels, width, x, y) {
-    while (pixels[x + y * width] < this.whiteValue) {
-      x++;
-      if (x >= width) return -1;
+  /**
+   * Brightness of every pixel, as getBrightness computes it
+   */
+  computeBrightness(pixels) {
+    const brightness = new Uint8Array(pixels.length);
+    for (let i = 0; i < pixels.length; i++) brightness[i] = this.getBrightness(pixels[i]);
+    return brightness;
+  }
+
+  /**
+   * Whether any pixel has an alpha below 255
+   */
+  hasTranslucency(pixels) {
+    for (let i = 0; i < pixels.length; i++) {
+      if (pixels[i] >>> 24 !== 255) return true;
     }
-    return x;
+    return false;
+  }
+
+  /**
+   * Drop the precomputed buffers (they are rebuilt on the next sortLine)
+   */
+  releaseBuffers() {
+    this.brightnessBuffer = null;
+    this.detectionBrightness = null;
+    this.keyBuffer = null;
+    this.preparedPixels = null;
+    this.preparedMode = null;
+    this.edgeMap = null;
+    this.edgePixels = null;
+  }
+
+  /**
+   * Make sure the scratch buffers hold at least `length` pixels. They only
+   * grow, so sorting intervals does not allocate.
+   */
+  ensureScratch(length) {
+    if (length <= this.scratchLength) return;
+    let capacity = Math.max(1024, this.scratchLength);
+    while (capacity < length) capacity *= 2;
+
+    const createSet = () => ({
+      keys: new Uint32Array(capacity),
+      colors: new Int32Array(capacity),
+      brightness: new Uint8Array(capacity)
+    });
+    this.scratch = [createSet(), createSet()];
+    this.counts = new Uint32Array(256);
+    this.scratchLength = capacity;
   }
 
-  getNextWhiteX(pixels, width, x, y) {
-    x++;
-    while (pixels[x + y * width] > this.whiteValue) {
-      x++;
-      if (x >= width) return width - 1;
+  /**
+   * Sort the pixels at line[start] .. line[start + length - 1] by the current
+   * sort key and direction. Equal keys keep their order, as in a stable sort.
+   */
+  sortInterval(pixels, line, start, length) {
+    this.ensureScratch(length);
+    if (this.keyBuffer) {
+      this.sortKeyedInterval(pixels, line, start, length);
+    } else {
+      this.sortColorInterval(pixels, line, start, length);
     }
-    return x - 1;
   }
 
-  // Black threshold functions for X axis
-  getFirstNoneBlackX(pixels, width, x, y) {
-    while (pixels[x + y * width] > this.blackValue) {
-      x++;
-      if (x >= width) return -1;
+  /**
+   * Sort an interval by raw color. The 24-bit color is packed above the
+   * brightness byte, so one array of packed values is sorted and carries both;
+   * equal colors are identical, so stability does not matter here. Only used
+   * for fully opaque images.
+   */
+  sortColorInterval(pixels, line, start, length) {
+    const { brightnessBuffer } = this;
+    let packed = this.scratch[0].keys;
+
+    for (let i = 0; i < length; i++) {
+      const index = line[start + i];
+      const rgb = pixels[index] & 0xFFFFFF;
+      packed[i] = brightnessBuffer ? rgb * 256 + brightnessBuffer[index] : rgb * 256;
+    }
+
+    if (length <= INSERTION_SORT_LENGTH) {
+      for (let i = 1; i < length; i++) {
+        const value = packed[i];
+        let j = i - 1;
+        while (j >= 0 && packed[j] > value) {
+          packed[j + 1] = packed[j];
+          j--;
+        }
+        packed[j + 1] = value;
+      }
+    } else {
+      packed = this.radixSortPacked(length);
+    }
+
+    for (let i = 0; i < length; i++) {
+      const value = packed[this.descending ? length - 1 - i : i];
+      const index = line[start + i];
+      pixels[index] = (value >>> 8) | 0xFF000000;
+      if (brightnessBuffer) brightnessBuffer[index] = value & 0xFF;
     }
-    return x;
   }
 
-  getNextBlackX(pixels, width, x, y) {
-    x++;
-    while (pixels[x + y * width] < this.blackValue) {
-      x++;
-      if (x >= width) return width - 1;
+  /**
+   * LSD radix sort of the packed colors in scratch set 0 by their color bytes
+   * @returns {Uint32Array} The scratch array holding the sorted values
+   */
+  radixSortPacked(length) {
+    const counts = this.counts;
+    let from = this.scratch[0].keys;
+    let to = this.scratch[1].keys;
+
+    for (let shift = 8; shift < 32; shift += 8) {
+      counts.fill(0);
+      for (let i = 0; i < length; i++) counts[(from[i] >>> shift) & 0xFF]++;
+      if (counts[(from[0] >>> shift) & 0xFF] === length) continue;
+
+      let offset = 0;
+      for (let digit = 0; digit < 256; digit++) {
+        const count = counts[digit];
+        counts[digit] = offset;
+        offset += count;
+      }
+      for (let i = 0; i < length; i++) to[counts[(from[i] >>> shift) & 0xFF]++] = from[i];
+      [from, to] = [to, from];
     }
-    return x - 1;
+
+    return from;
   }
 
-  // Bright threshold functions for X axis
-  getFirstNoneBrightX(pixels, width, x, y) {
-    while (this.getBrightness(pixels[x + y * width]) < this.brightValue) {
-      x++;
-      if (x >= width) return -1;
+  /**
+   * Sort an interval by the precomputed key buffer, carrying colors (and
+   * brightness, when it is a separate buffer) along
+   */
+  sortKeyedInterval(pixels, line, start, length) {
+    const { keyBuffer, brightnessBuffer } = this;
+    const carryBrightness = brightnessBuffer !== null && brightnessBuffer !== keyBuffer;
+    // Descending order is an ascending sort on inverted keys, which keeps ties stable
+    const flip = this.descending ? 2 ** this.keyBits - 1 : 0;
+    let sorted = this.scratch[0];
+    const { keys, colors, brightness } = sorted;
+
+    for (let i = 0; i < length; i++) {
+      const index = line[start + i];
+      colors[i] = pixels[index];
+      keys[i] = flip ? flip - keyBuffer[index] : keyBuffer[index];
+    }
+    if (carryBrightness) {
+      for (let i = 0; i < length; i++) brightness[i] = brightnessBuffer[line[start + i]];
+    }
+
+    if (length <= INSERTION_SORT_LENGTH) {
+      this.insertionSort(sorted, length, carryBrightness);
+    } else {
+      sorted = this.radixSort(length, carryBrightness);
+    }
+
+    for (let i = 0; i < length; i++) {
+      const index = line[start + i];
+      pixels[index] = sorted.colors[i];
+      keyBuffer[index] = flip ? flip - sorted.keys[i] : sorted.keys[i];
+    }
+    if (carryBrightness) {
+      for (let i = 0; i < length; i++) brightnessBuffer[line[start + i]] = sorted.brightness[i];
     }
-    return x;
   }
 
-  getNextBrightX(pixels, width, x, y) {
-    x++;
-    while (this.getBrightness(pixels[x + y * width]) > this.brightValue) {
-      x++;
-      if (x >= width) return width - 1;
+  /**
+   * Stable insertion sort of a scratch set by key
+   */
+  insertionSort({ keys, colors, brightness }, length, carryBrightness) {
+    for (let i = 1; i < length; i++) {
+      const key = keys[i];
+      const color = colors[i];
+      const bright = brightness[i];
+      let j = i - 1;
+      while (j >= 0 && keys[j] > key) {
+        keys[j + 1] = keys[j];
+        colors[j + 1] = colors[j];
+        if (carryBrightness) brightness[j + 1] = brightness[j];
+        j--;
+      }
+      keys[j + 1] = key;
+      colors[j + 1] = color;
+      if (carryBrightness) brightness[j + 1] = bright;
     }
-    return x - 1;
   }
 
-  // Dark threshold functions for X axis
-  getFirstNoneDarkX(pixels, width, x, y) {
-    while (this.getBrightness(pixels[x + y * width]) > this.darkValue) {
-      x++;
-      if (x >= width) return -1;
+  /**
+   * Stable LSD radix sort of scratch set 0 by key, one byte per pass
+   * @returns {Object} The scratch set holding the sorted interval
+   */
+  radixSort(length, carryBrightness) {
+    const counts = this.counts;
+    let [from, to] = this.scratch;
+
+    for (let shift = 0; shift < this.keyBits; shift += 8) {
+      counts.fill(0);
+      for (let i = 0; i < length; i++) counts[(from.keys[i] >>> shift) & 0xFF]++;
+
+      // Every key shares this byte: the pass would not move anything
+      if (counts[(from.keys[0] >>> shift) & 0xFF] === length) continue;
+
+      let offset = 0;
+      for (let digit = 0; digit < 256; digit++) {
+        const count = counts[digit];
+        counts[digit] = offset;
+        offset += count;
+      }
+
+      for (let i = 0; i < length; i++) {
+        const position = counts[(from.keys[i] >>> shift) & 0xFF]++;
+        to.keys[position] = from.keys[i];
+        to.colors[position] = from.colors[i];
+        if (carryBrightness) to.brightness[position] = from.brightness[i];
+      }
+      [from, to] = [to, from];
     }
-    return x;
+
+    return from;
+  }
+
+  /**
+   * Get brightness value from RGB color
+   */
+  getBrightness(color) {
+    const r = (color >> 16) & 0xFF;
+    const g = (color >> 8) & 0xFF;
+    const b = color & 0xFF;
+    return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
   }
 
-  getNextDarkX(pixels, width, x, y) {
-    x++;
-    while (this.getBrightness(pixels[x + y * width]) < this.darkValue) {
-      x++;
-      if (x >= width) return width - 1;
+  // Threshold functions walk a line from position i and work like the
+  // sketch's X/Y helpers: getFirstNone* finds where an interval starts (-1 if
+  // none is left) and getNext* finds its last pixel. With a threshold map,
+  // each pixel's threshold is looked up by its map value.
+
+  // White threshold functions; white and black compare the opaque color, so
+  // alpha does not move interval boundaries
+  getFirstNoneWhite(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    while ((pixels[line[i]] | 0xFF000000) < (map ? levels.white[map[line[i]]] : this.whiteValue)) {
+      i++;
+      if (i >= line.length) return -1;
     }
-    return x - 1;
+    return i;
   }
 
-  // White threshold functions for Y axis
-  getFirstNoneWhiteY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (pixels[x + y * width] < this.whiteValue) {
-        y++;
-        if (y >= height) return -1;
+  getNextWhite(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    i++;
+    if (i < line.length) {
+      while ((pixels[line[i]] | 0xFF000000) > (map ? levels.white[map[line[i]]] : this.whiteValue)) {
+        i++;
+        if (i >= line.length) return line.length - 1;
       }
     }
-    return y;
+    return i - 1;
   }
 
-  getNextWhiteY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (pixels[x + y * width] > this.whiteValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
+  // Black threshold functions
+  getFirstNoneBlack(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    while ((pixels[line[i]] | 0xFF000000) > (map ? levels.black[map[line[i]]] : this.blackValue)) {
+      i++;
+      if (i >= line.length) return -1;
     }
-    return y - 1;
+    return i;
   }
 
-  // Black threshold functions for Y axis
-  getFirstNoneBlackY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (pixels[x + y * width] > this.blackValue) {
-        y++;
-        if (y >= height) return -1;
+  getNextBlack(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    i++;
+    if (i < line.length) {
+      while ((pixels[line[i]] | 0xFF000000) < (map ? levels.black[map[line[i]]] : this.blackValue)) {
+        i++;
+        if (i >= line.length) return line.length - 1;
       }
     }
-    return y;
+    return i - 1;
   }
 
-  getNextBlackY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (pixels[x + y * width] < this.blackValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
+  // Bright threshold functions
+  getFirstNoneBright(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    while (this.detectionBrightness[line[i]] < (map ? levels.bright[map[line[i]]] : this.brightValue)) {
+      i++;
+      if (i >= line.length) return -1;
     }
-    return y - 1;
+    return i;
   }
 
-  // Bright threshold functions for Y axis
-  getFirstNoneBrightY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) < this.brightValue) {
-        y++;
-        if (y >= height) return -1;
+  getNextBright(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    i++;
+    if (i < line.length) {
+      while (this.detectionBrightness[line[i]] > (map ? levels.bright[map[line[i]]] : this.brightValue)) {
+        i++;
+        if (i >= line.length) return line.length - 1;
       }
     }
-    return y;
+    return i - 1;
   }
 
-  getNextBrightY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) > this.brightValue) {
-        y++;
-        if (y >= height) return height - 1;
-      }
+  // Dark threshold functions
+  getFirstNoneDark(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    while (this.detectionBrightness[line[i]] > (map ? levels.dark[map[line[i]]] : this.darkValue)) {
+      i++;
+      if (i >= line.length) return -1;
     }
-    return y - 1;
+    return i;
   }
 
-  // Dark threshold functions for Y axis
-  getFirstNoneDarkY(pixels, width, height, x, y) {
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) > this.darkValue) {
-        y++;
-        if (y >= height) return -1;
+  getNextDark(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    i++;
+    if (i < line.length) {
+      while (this.detectionBrightness[line[i]] < (map ? levels.dark[map[line[i]]] : this.darkValue)) {
+        i++;
+        if (i >= line.length) return line.length - 1;
       }
     }
-    return y;
+    return i - 1;
+  }
+
+  // Edge threshold functions: intervals run between pixels whose edge
+  // strength reaches the threshold
+  getFirstNoneEdge(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    while (this.edgeMap[line[i]] >= (map ? levels.edge[map[line[i]]] : this.edgeValue)) {
+      i++;
+      if (i >= line.length) return -1;
+    }
+    return i;
   }
 
-  getNextDarkY(pixels, width, height, x, y) {
-    y++;
-    if (y < height) {
-      while (this.getBrightness(pixels[x + y * width]) < this.darkValue) {
-        y++;
-        if (y >= height) return height - 1;
+  getNextEdge(pixels, line, i) {
+    const { thresholdMap: map, thresholdLevels: levels } = this;
+    i++;
+    if (i < line.length) {
+      while (this.edgeMap[line[i]] < (map ? levels.edge[map[line[i]]] : this.edgeValue)) {
+        i++;
+        if (i >= line.length) return line.length - 1;
       }
     }
-    return y - 1;
+    return i - 1;
+  }
+
+  /**
+   * Update the random/fixed-length interval settings (see DEFAULT_INTERVALS)
+   */
+  setIntervals({ min, max, mean, length, skip }) {
+    if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 1 && min <= max)) {
+      throw new Error(`Interval lengths need whole numbers 1 <= min <= max: ${min}, ${max}`);
+    }
+    if (!(mean >= min && mean <= max)) {
+      throw new Error(`Mean interval length ${mean} is outside ${min}-${max}`);
+    }
+    if (!(Number.isInteger(length) && length >= 1)) {
+      throw new Error(`Fixed interval length must be a positive integer: ${length}`);
+    }
+    if (!(skip >= 0 && skip <= 1)) throw new Error(`Skip probability must be 0-1: ${skip}`);
+
+    this.intervals = { min, max, mean, length, skip };
+    this.lengthExponent = mean > min ? (max - mean) / (mean - min) : Infinity;
+  }
+
+  /**
+   * Let thresholds vary across the image. Map value 0 keeps the current
+   * thresholds, 255 uses `endThresholds` and values in between blend linearly;
+   * the blended thresholds are tabulated for all 256 map values.
+   * @param {{data: Uint8Array}} map - Threshold map, or null for uniform thresholds
+   * @param {Object} endThresholds - { white, black, bright, dark, edge }
+   */
+  setThresholdMap(map, endThresholds = {}) {
+    this.thresholdMap = map ? map.data : null;
+    this.thresholdLevels = null;
+    if (!map) return;
+
+    const tabulate = (start, end = start) => {
+      const levels = new Float64Array(256);
+      for (let level = 0; level < 256; level++) {
+        levels[level] = start + ((end - start) * level) / 255;
+      }
+      return levels;
+    };
+    this.thresholdLevels = {
+      white: tabulate(this.whiteValue, endThresholds.white),
+      black: tabulate(this.blackValue, endThresholds.black),
+      bright: tabulate(this.brightValue, endThresholds.bright),
+      dark: tabulate(this.darkValue, endThresholds.dark),
+      edge: tabulate(this.edgeValue, endThresholds.edge)
+    };
   }
 
   /**
    * Update threshold values
    */
-  setThresholds(whiteValue, blackValue, brightValue, darkValue) {
+  setThresholds(whiteValue, blackValue, brightValue, darkValue, edgeValue = this.edgeValue) {
     this.whiteValue = whiteValue;
     this.blackValue = blackValue;
     this.brightValue = brightValue;
     this.darkValue = darkValue;
+    this.edgeValue = edgeValue;
   }
 }
\ No newline at end of file
@@ -0,0 +1,613 @@
+import { inflate, Deflater, adler32, zlibHeader, zlibTrailer, concatBytes } from './zlib';
+
+/**
+ * PNG codec in plain JavaScript
+ * Decodes every standard color type and bit depth to 8-bit RGBA,
+ * and encodes 8-bit RGB/RGBA with adaptive row filtering.
+ * Text chunks (tEXt, zTXt, iTXt) can be written and read as metadata.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Color types
+const GRAYSCALE = 0;
+const RGB = 2;
+const PALETTE = 3;
+const GRAYSCALE_ALPHA = 4;
+const RGBA = 6;
+
+const CHANNELS = { [GRAYSCALE]: 1, [RGB]: 3, [PALETTE]: 1, [GRAYSCALE_ALPHA]: 2, [RGBA]: 4 };
+
+const VALID_BIT_DEPTHS = {
+  [GRAYSCALE]: [1, 2, 4, 8, 16],
+  [RGB]: [8, 16],
+  [PALETTE]: [1, 2, 4, 8],
+  [GRAYSCALE_ALPHA]: [8, 16],
+  [RGBA]: [8, 16]
+};
+
+// Adam7 passes: [startX, startY, stepX, stepY]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+export function crc32(bytes, start = 0, end = bytes.length, crc = 0) {
+  crc = ~crc;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function readUint32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function chunkType(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Check for the 8-byte PNG signature
+ */
+export function isPNG(bytes) {
+  if (bytes.length < PNG_SIGNATURE.length) return false;
+  return PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Split a PNG file into its chunks, verifying each CRC
+ */
+function readChunks(bytes) {
+  if (!isPNG(bytes)) throw new Error('Not a PNG file');
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= bytes.length) {
+    const length = readUint32(bytes, offset);
+    const type = chunkType(bytes, offset + 4);
+    const dataStart = offset + 8;
+    const dataEnd = dataStart + length;
+    if (dataEnd + 4 > bytes.length) throw new Error(`Truncated PNG chunk ${type}`);
+
+    if (crc32(bytes, offset + 4, dataEnd) !== readUint32(bytes, dataEnd)) {
+      throw new Error(`CRC mismatch in PNG chunk ${type}`);
+    }
+
+    chunks.push({ type, data: bytes.subarray(dataStart, dataEnd) });
+    offset = dataEnd + 4;
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+}
+
+function parseHeader(data) {
+  const header = {
+    width: readUint32(data, 0),
+    height: readUint32(data, 4),
+    bitDepth: data[8],
+    colorType: data[9],
+    compression: data[10],
+    filter: data[11],
+    interlace: data[12]
+  };
+
+  if (header.width === 0 || header.height === 0) throw new Error('Invalid PNG dimensions');
+  const depths = VALID_BIT_DEPTHS[header.colorType];
+  if (!depths) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+  if (!depths.includes(header.bitDepth)) {
+    throw new Error(`Invalid bit depth ${header.bitDepth} for color type ${header.colorType}`);
+  }
+  if (header.compression !== 0 || header.filter !== 0) throw new Error('Unsupported PNG compression or filter method');
+  if (header.interlace > 1) throw new Error('Unsupported PNG interlace method');
+
+  return header;
+}
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Undo the scanline filters of one (sub)image in place.
+ * `offset` points at the first filter-type byte; returns the offset after the image.
+ */
+function unfilter(raw, offset, stride, rows, bpp) {
+  let previous = -1;
+
+  for (let y = 0; y < rows; y++) {
+    const filterType = raw[offset];
+    const start = offset + 1;
+    const end = start + stride;
+    if (end > raw.length) throw new Error('Truncated PNG image data');
+
+    switch (filterType) {
+      case 0: // None
+        break;
+      case 1: // Sub
+        for (let i = start + bpp; i < end; i++) {
+          raw[i] = (raw[i] + raw[i - bpp]) & 0xFF;
+        }
+        break;
+      case 2: // Up
+        if (previous >= 0) {
+          for (let i = 0; i < stride; i++) {
+            raw[start + i] = (raw[start + i] + raw[previous + i]) & 0xFF;
+          }
+        }
+        break;
+      case 3: // Average
+        for (let i = 0; i < stride; i++) {
+          const left = i >= bpp ? raw[start + i - bpp] : 0;
+          const up = previous >= 0 ? raw[previous + i] : 0;
+          raw[start + i] = (raw[start + i] + ((left + up) >> 1)) & 0xFF;
+        }
+        break;
+      case 4: // Paeth
+        for (let i = 0; i < stride; i++) {
+          const left = i >= bpp ? raw[start + i - bpp] : 0;
+          const up = previous >= 0 ? raw[previous + i] : 0;
+          const upLeft = previous >= 0 && i >= bpp ? raw[previous + i - bpp] : 0;
+          raw[start + i] = (raw[start + i] + paethPredictor(left, up, upLeft)) & 0xFF;
+        }
+        break;
+      default:
+        throw new Error(`Invalid PNG filter type ${filterType}`);
+    }
+
+    previous = start;
+    offset = end;
+  }
+
+  return offset;
+}
+
+/**
+ * Build a function that converts one unfiltered scanline to RGBA
+ */
+function createRowReader(header, palette, transparency) {
+  const { colorType, bitDepth } = header;
+  const channels = CHANNELS[colorType];
+
+  // Read the raw sample at a given sample index within a row
+  const readSample = bitDepth === 8
+    ? (raw, start, index) => raw[start + index]
+    : bitDepth === 16
+      ? (raw, start, index) => (raw[start + index * 2] << 8) | raw[start + index * 2 + 1]
+      : (raw, start, index) => {
+        const bitOffset = index * bitDepth;
+        const byte = raw[start + (bitOffset >> 3)];
+        return (byte >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+      };
+
+  // Scale a raw sample to 8 bits
+  const maxSample = (1 << bitDepth) - 1;
+  const to8 = bitDepth === 16
+    ? (value) => ((value * 255 + 32767) / 65535) | 0
+    : bitDepth === 8
+      ? (value) => value
+      : (value) => Math.round((value * 255) / maxSample);
+
+  return (raw, start, x, output, outIndex) => {
+    const base = x * channels;
+
+    switch (colorType) {
+      case GRAYSCALE: {
+        const gray = readSample(raw, start, base);
+        const value = to8(gray);
+        output[outIndex] = value;
+        output[outIndex + 1] = value;
+        output[outIndex + 2] = value;
+        output[outIndex + 3] = transparency && gray === transparency[0] ? 0 : 255;
+        break;
+      }
+      case RGB: {
+        const r = readSample(raw, start, base);
+        const g = readSample(raw, start, base + 1);
+        const b = readSample(raw, start, base + 2);
+        output[outIndex] = to8(r);
+        output[outIndex + 1] = to8(g);
+        output[outIndex + 2] = to8(b);
+        output[outIndex + 3] = transparency && r === transparency[0] && g === transparency[1] && b === transparency[2]
+          ? 0
+          : 255;
+        break;
+      }
+      case PALETTE: {
+        const index = readSample(raw, start, base);
+        if (index * 4 >= palette.length) throw new Error('PNG palette index out of range');
+        output[outIndex] = palette[index * 4];
+        output[outIndex + 1] = palette[index * 4 + 1];
+        output[outIndex + 2] = palette[index * 4 + 2];
+        output[outIndex + 3] = palette[index * 4 + 3];
+        break;
+      }
+      case GRAYSCALE_ALPHA: {
+        const value = to8(readSample(raw, start, base));
+        output[outIndex] = value;
+        output[outIndex + 1] = value;
+        output[outIndex + 2] = value;
+        output[outIndex + 3] = to8(readSample(raw, start, base + 1));
+        break;
+      }
+      case RGBA:
+        output[outIndex] = to8(readSample(raw, start, base));
+        output[outIndex + 1] = to8(readSample(raw, start, base + 1));
+        output[outIndex + 2] = to8(readSample(raw, start, base + 2));
+        output[outIndex + 3] = to8(readSample(raw, start, base + 3));
+        break;
+    }
+  };
+}
+
+function readPalette(plte, trns) {
+  if (!plte || plte.length % 3 !== 0) throw new Error('Missing or invalid PNG palette');
+
+  const count = plte.length / 3;
+  const palette = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    palette[i * 4] = plte[i * 3];
+    palette[i * 4 + 1] = plte[i * 3 + 1];
+    palette[i * 4 + 2] = plte[i * 3 + 2];
+    palette[i * 4 + 3] = trns && i < trns.length ? trns[i] : 255;
+  }
+  return palette;
+}
+
+function readTransparency(colorType, trns) {
+  if (!trns) return null;
+  if (colorType === GRAYSCALE && trns.length >= 2) {
+    return [(trns[0] << 8) | trns[1]];
+  }
+  if (colorType === RGB && trns.length >= 6) {
+    return [(trns[0] << 8) | trns[1], (trns[2] << 8) | trns[3], (trns[4] << 8) | trns[5]];
+  }
+  return null;
+}
+
+function encodeUTF8(text) {
+  const bytes = [];
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    } else {
+      bytes.push(
+        0xF0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3F),
+        0x80 | ((code >> 6) & 0x3F),
+        0x80 | (code & 0x3F)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function decodeUTF8(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    const extra = byte >= 0xF0 ? 3 : byte >= 0xE0 ? 2 : byte >= 0xC0 ? 1 : 0;
+    let code = extra ? byte & (0x3F >> extra) : byte;
+    for (let k = 1; k <= extra; k++) code = (code << 6) | (bytes[i + k] & 0x3F);
+    text += String.fromCodePoint(code);
+    i += extra + 1;
+  }
+  return text;
+}
+
+function decodeLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+/**
+ * Read the text chunks of a PNG file: tEXt (Latin-1), zTXt (compressed
+ * Latin-1) and iTXt (UTF-8, optionally compressed)
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Object} Text by keyword; a later chunk wins over an earlier one
+ */
+export function readPNGText(bytes) {
+  const text = {};
+  for (const { type, data } of readChunks(bytes)) {
+    if (type !== 'tEXt' && type !== 'zTXt' && type !== 'iTXt') continue;
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd < 1) continue;
+    const keyword = decodeLatin1(data.subarray(0, keywordEnd));
+
+    if (type === 'tEXt') {
+      text[keyword] = decodeLatin1(data.subarray(keywordEnd + 1));
+    } else if (type === 'zTXt') {
+      // Compression method byte, then a zlib stream
+      text[keyword] = decodeLatin1(inflate(data.subarray(keywordEnd + 2)));
+    } else {
+      // Compression flag and method, then language tag and translated keyword
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      if (languageEnd < 0 || translatedEnd < 0) continue;
+      const value = data.subarray(translatedEnd + 1);
+      text[keyword] = decodeUTF8(compressed ? inflate(value) : value);
+    }
+  }
+  return text;
+}
+
+/**
+ * Decode a PNG file to RGBA pixels
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Decoded image
+ */
+export function decodePNG(bytes) {
+  const chunks = readChunks(bytes);
+  if (chunks.length === 0 || chunks[0].type !== 'IHDR') throw new Error('PNG is missing its IHDR chunk');
+
+  const header = parseHeader(chunks[0].data);
+  const { width, height, bitDepth, colorType, interlace } = header;
+
+  let plte = null;
+  let trns = null;
+  const idat = [];
+  let idatLength = 0;
+  for (const chunk of chunks) {
+    if (chunk.type === 'PLTE') plte = chunk.data;
+    else if (chunk.type === 'tRNS') trns = chunk.data;
+    else if (chunk.type === 'IDAT') {
+      idat.push(chunk.data);
+      idatLength += chunk.data.length;
+    }
+  }
+  if (idat.length === 0) throw new Error('PNG has no image data');
+
+  let compressed = idat[0];
+  if (idat.length > 1) {
+    compressed = new Uint8Array(idatLength);
+    let offset = 0;
+    for (const data of idat) {
+      compressed.set(data, offset);
+      offset += data.length;
+    }
+  }
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const strideFor = (passWidth) => Math.ceil((passWidth * bitsPerPixel) / 8);
+
+  const passes = interlace === 1
+    ? ADAM7_PASSES
+    : [[0, 0, 1, 1]];
+
+  let expectedSize = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth > 0 && passHeight > 0) expectedSize += passHeight * (strideFor(passWidth) + 1);
+  }
+
+  const raw = inflate(compressed, expectedSize);
+  if (raw.length < expectedSize) throw new Error('Truncated PNG image data');
+
+  const palette = colorType === PALETTE ? readPalette(plte, trns) : null;
+  const transparency = readTransparency(colorType, trns);
+  const readPixel = createRowReader(header, palette, transparency);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  let offset = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = strideFor(passWidth);
+    const passStart = offset;
+    offset = unfilter(raw, offset, stride, passHeight, bpp);
+
+    for (let row = 0; row < passHeight; row++) {
+      const rowStart = passStart + row * (stride + 1) + 1;
+      const y = startY + row * stepY;
+      for (let col = 0; col < passWidth; col++) {
+        const x = startX + col * stepX;
+        readPixel(raw, rowStart, col, data, (y * width + x) * 4);
+      }
+    }
+  }
+
+  return { data, width, height };
+}
+
+// Rows are filtered and handed to the compressor in batches of about this many bytes
+const ENCODE_BATCH_SIZE = 256 * 1024;
+const MAX_IDAT_SIZE = 256 * 1024;
+
+function writeUint32(bytes, offset, value) {
+  bytes[offset] = value >>> 24;
+  bytes[offset + 1] = (value >>> 16) & 0xFF;
+  bytes[offset + 2] = (value >>> 8) & 0xFF;
+  bytes[offset + 3] = value & 0xFF;
+}
+
+/**
+ * Serialize one chunk: length, type, data, CRC
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  writeUint32(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  writeUint32(chunk, data.length + 8, crc32(chunk, 4, data.length + 8));
+  return chunk;
+}
+
+/**
+ * Sum of absolute values of a filtered row, read as signed bytes.
+ * The usual heuristic for picking the filter that compresses best.
+ */
+function filterCost(row) {
+  let sum = 0;
+  for (let i = 0; i < row.length; i++) {
+    sum += row[i] < 128 ? row[i] : 256 - row[i];
+  }
+  return sum;
+}
+
+/**
+ * Filter one scanline with every filter type and write the cheapest
+ * (filter byte first) into `output` at `offset`
+ */
+function filterRow(row, previous, bpp, candidates, output, offset) {
+  const length = row.length;
+  const [sub, up, average, paeth] = candidates;
+
+  for (let i = 0; i < length; i++) {
+    const left = i >= bpp ? row[i - bpp] : 0;
+    const above = previous ? previous[i] : 0;
+    const upperLeft = previous && i >= bpp ? previous[i - bpp] : 0;
+    sub[i] = row[i] - left;
+    up[i] = row[i] - above;
+    average[i] = row[i] - ((left + above) >> 1);
+    paeth[i] = row[i] - paethPredictor(left, above, upperLeft);
+  }
+
+  let bestType = 0;
+  let best = row;
+  let bestCost = filterCost(row);
+  for (let type = 1; type <= 4; type++) {
+    const cost = filterCost(candidates[type - 1]);
+    if (cost < bestCost) {
+      bestType = type;
+      best = candidates[type - 1];
+      bestCost = cost;
+    }
+  }
+
+  output[offset] = bestType;
+  output.set(best, offset + 1);
+}
+
+/**
+ * Serialize an uncompressed iTXt chunk, which holds UTF-8 text
+ */
+function createTextChunk(keyword, text) {
+  if (!/^[\x20-\x7E]{1,79}$/.test(keyword)) throw new Error(`Invalid PNG text keyword: ${keyword}`);
+  const value = encodeUTF8(text);
+  // Keyword, then null separator, compression flag and method, and empty
+  // language tag and translated keyword, each null-terminated
+  const data = new Uint8Array(keyword.length + 5 + value.length);
+  for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i);
+  data.set(value, keyword.length + 5);
+  return createChunk('iTXt', data);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file.
+ * Fully opaque images are written as RGB, everything else as RGBA.
+ * @param {{data: Uint8Array|Uint8ClampedArray, width: number, height: number}} pixelData - Image to encode
+ * @param {Object} options - { level: zlib compression level 0-9, text: { keyword: text }
+ *   written as iTXt chunks (see readPNGText) }
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodePNG(pixelData, options = {}) {
+  const { data, width, height } = pixelData;
+  const { level = 6, text = {} } = options;
+  if (data.length < width * height * 4) throw new Error('Pixel data is smaller than width * height');
+
+  let hasAlpha = false;
+  for (let i = 3; i < width * height * 4; i += 4) {
+    if (data[i] !== 255) {
+      hasAlpha = true;
+      break;
+    }
+  }
+
+  const channels = hasAlpha ? 4 : 3;
+  const stride = width * channels;
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  header[8] = 8;
+  header[9] = hasAlpha ? RGBA : RGB;
+
+  const parts = [new Uint8Array(PNG_SIGNATURE), createChunk('IHDR', header)];
+  for (const [keyword, value] of Object.entries(text)) parts.push(createTextChunk(keyword, value));
+
+  const deflater = new Deflater(level);
+  deflater.chunks.push(zlibHeader(level));
+  let checksum = 1;
+  const drain = () => {
+    if (deflater.chunks.length === 0) return;
+    const compressed = concatBytes(deflater.chunks);
+    deflater.chunks.length = 0;
+    for (let offset = 0; offset < compressed.length; offset += MAX_IDAT_SIZE) {
+      parts.push(createChunk('IDAT', compressed.subarray(offset, offset + MAX_IDAT_SIZE)));
+    }
+  };
+
+  const rowsPerBatch = Math.max(1, Math.floor(ENCODE_BATCH_SIZE / (stride + 1)));
+  const batch = new Uint8Array(Math.min(rowsPerBatch, height) * (stride + 1));
+  const candidates = [0, 1, 2, 3].map(() => new Uint8Array(stride));
+  const rowBuffers = [new Uint8Array(stride), new Uint8Array(stride)];
+
+  for (let y = 0; y < height; y += rowsPerBatch) {
+    const rows = Math.min(rowsPerBatch, height - y);
+
+    for (let r = 0; r < rows; r++) {
+      const row = rowBuffers[(y + r) & 1];
+      const previous = y + r > 0 ? rowBuffers[(y + r - 1) & 1] : null;
+      const source = (y + r) * width * 4;
+      if (hasAlpha) {
+        row.set(data.subarray(source, source + stride));
+      } else {
+        for (let x = 0, i = 0; x < width; x++, i += 3) {
+          row[i] = data[source + x * 4];
+          row[i + 1] = data[source + x * 4 + 1];
+          row[i + 2] = data[source + x * 4 + 2];
+        }
+      }
+
+      filterRow(row, previous, channels, candidates, batch, r * (stride + 1));
+    }
+
+    const filtered = batch.subarray(0, rows * (stride + 1));
+    checksum = adler32(filtered, checksum);
+    deflater.push(filtered, y + rows >= height);
+    drain();
+  }
+
+  deflater.chunks.push(zlibTrailer(checksum));
+  drain();
+  parts.push(createChunk('IEND', new Uint8Array(0)));
+
+  return concatBytes(parts);
+}
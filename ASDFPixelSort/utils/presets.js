@@ -0,0 +1,270 @@
+/**
+ * Named presets of sort settings: built-in looks, presets saved on the device
+ * with AsyncStorage, and versioned JSON for sharing them between devices
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_THRESHOLDS, DEFAULT_INTERVALS, PATH_TYPES, SORT_KEYS, SORT_ORDERS } from './pixelSort';
+import { BLEND_CHANNELS, BLEND_MODES, DEFAULT_BLEND } from './blend';
+import { GRADIENT_TYPES } from './thresholdMap';
+import { EDGE_OPERATORS } from './edges';
+
+// Bump when the meaning of saved options changes; older files are still read
+export const PRESET_VERSION = 1;
+const PRESET_FORMAT = 'asdfpixelsort-presets';
+const STORAGE_KEY = '@asdfpixelsort/presets';
+
+// Settings a preset holds: PixelSorter.sortImage option names, plus
+// `thresholdGradient` ({ type, start, end } or null) for varying thresholds
+// and `blend` (see utils/blend.js).
+// Images (mask, key image, threshold map) stay on the device and are not saved.
+export const PRESET_KEYS = [
+  'mode',
+  'thresholds',
+  'endThresholds',
+  'thresholdGradient',
+  'sortKey',
+  'order',
+  'descending',
+  'reverse',
+  'angle',
+  'path',
+  'center',
+  'spacing',
+  'scale',
+  'seed',
+  'iterations',
+  'alphaCutoff',
+  'edgeOperator',
+  'intervals',
+  'keyImageIntervals',
+  'blend'
+];
+
+// What built-in presets start from, so applying one resets everything it doesn't set
+const BASE_OPTIONS = {
+  mode: 0,
+  thresholds: DEFAULT_THRESHOLDS,
+  thresholdGradient: null,
+  sortKey: 'color',
+  order: 'columns-rows',
+  descending: false,
+  reverse: false,
+  angle: 0,
+  path: 'lines',
+  iterations: 1,
+  alphaCutoff: 0,
+  intervals: DEFAULT_INTERVALS,
+  blend: DEFAULT_BLEND
+};
+
+// Looks from the original sketch: its default thresholds were white
+// -13000000, black -16000000 and brightness 60
+export const BUILT_IN_PRESETS = [
+  {
+    name: 'ASDF Classic',
+    options: { ...BASE_OPTIONS, thresholds: { ...DEFAULT_THRESHOLDS, white: -13000000 } }
+  },
+  {
+    name: 'Black Drips',
+    options: {
+      ...BASE_OPTIONS,
+      mode: 1,
+      order: 'columns',
+      thresholds: { ...DEFAULT_THRESHOLDS, black: -16000000 }
+    }
+  },
+  {
+    name: 'Bright Smear',
+    options: {
+      ...BASE_OPTIONS,
+      mode: 2,
+      order: 'rows',
+      thresholds: { ...DEFAULT_THRESHOLDS, bright: 60 }
+    }
+  },
+  {
+    name: 'Dark Melt',
+    options: {
+      ...BASE_OPTIONS,
+      mode: 3,
+      order: 'columns',
+      descending: true,
+      thresholds: { ...DEFAULT_THRESHOLDS, dark: 100 }
+    }
+  },
+  {
+    name: 'Glitch Blocks',
+    options: {
+      ...BASE_OPTIONS,
+      mode: 6,
+      order: 'rows',
+      intervals: { ...DEFAULT_INTERVALS, length: 32, skip: 0.5 }
+    }
+  }
+].map((preset) => ({ ...preset, builtIn: true }));
+
+// Checks for setting values: each returns the value to keep, or undefined to
+// drop it. Objects keep their valid fields, as the app merges them into the
+// current settings.
+const valid = (test) => (value) => (test(value) ? value : undefined);
+const numberIn = (min, max) => valid((value) => typeof value === 'number' && value >= min && value <= max);
+const integerIn = (min, max) => valid((value) => Number.isInteger(value) && value >= min && value <= max);
+const oneOf = (values) => valid((value) => values.includes(value));
+const boolean = valid((value) => typeof value === 'boolean');
+
+/**
+ * Check the fields of an object; `complete` also requires every field
+ */
+const fields = (checks, { complete = false, test = () => true } = {}) => (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const picked = {};
+  for (const [key, check] of Object.entries(checks)) {
+    const checked = value[key] === undefined ? undefined : check(value[key]);
+    if (checked !== undefined) picked[key] = checked;
+    else if (complete) return undefined;
+  }
+  return Object.keys(picked).length > 0 && test(picked) ? picked : undefined;
+};
+
+const thresholds = fields({
+  // Signed ARGB ints, as compared by the white and black modes
+  white: integerIn(-0x80000000, 0x7FFFFFFF),
+  black: integerIn(-0x80000000, 0x7FFFFFFF),
+  bright: numberIn(0, 255),
+  dark: numberIn(0, 255),
+  edge: numberIn(0, 255)
+});
+const point = fields({ x: numberIn(0, 1), y: numberIn(0, 1) }, { complete: true });
+const gradient = fields({ type: oneOf(GRADIENT_TYPES), start: point, end: point }, { complete: true });
+
+const PRESET_CHECKS = {
+  // Modes 0-6 of PixelSorter.sortImage
+  mode: integerIn(0, 6),
+  thresholds,
+  endThresholds: thresholds,
+  thresholdGradient: (value) => (value === null ? null : gradient(value)),
+  sortKey: oneOf(SORT_KEYS),
+  order: oneOf(SORT_ORDERS),
+  descending: boolean,
+  reverse: boolean,
+  // Whole degrees, as the angle dial sets them
+  angle: integerIn(0, 359),
+  path: oneOf(PATH_TYPES),
+  center: point,
+  spacing: integerIn(1, 32),
+  scale: numberIn(0.5, 16),
+  seed: integerIn(0, Number.MAX_SAFE_INTEGER),
+  iterations: integerIn(1, 10),
+  alphaCutoff: numberIn(0, 255),
+  edgeOperator: oneOf(Object.keys(EDGE_OPERATORS)),
+  intervals: fields({
+    min: integerIn(1, 500),
+    max: integerIn(1, 500),
+    mean: numberIn(1, 500),
+    length: integerIn(1, 500),
+    skip: numberIn(0, 1)
+  }, {
+    // Only what can be compared here; the sorter checks the merged result
+    test: ({ min = 1, max = 500, mean = min }) => min <= max && mean >= min && mean <= max
+  }),
+  keyImageIntervals: boolean,
+  blend: fields({
+    mode: oneOf(BLEND_MODES),
+    opacity: numberIn(0, 1),
+    channels: valid((value) => Array.isArray(value) && value.every((channel) => BLEND_CHANNELS.includes(channel)))
+  })
+};
+
+/**
+ * Keep only the known settings of an options object, and of those only valid
+ * values, so a hand-edited or damaged file can't put the app in a state it
+ * can't show
+ */
+export function pickPresetOptions(options) {
+  const picked = {};
+  for (const key of PRESET_KEYS) {
+    const value = options[key] === undefined ? undefined : PRESET_CHECKS[key](options[key]);
+    if (value !== undefined) picked[key] = value;
+  }
+  return picked;
+}
+
+/**
+ * Preset settings of processImage options, which describe gradients as
+ * `thresholdMap: { gradient }`
+ */
+export function toPresetOptions(options) {
+  return pickPresetOptions({
+    ...options,
+    thresholdGradient: options.thresholdMap?.gradient ?? null
+  });
+}
+
+/**
+ * Serialize presets as versioned JSON
+ * @param {Array<{name: string, options: Object}>} presets - Presets to share
+ * @returns {string} JSON text
+ */
+export function exportPresets(presets) {
+  return JSON.stringify({
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    presets: presets.map(({ name, options }) => ({ name, options: pickPresetOptions(options) }))
+  }, null, 2);
+}
+
+/**
+ * Read presets from JSON written by exportPresets
+ * @param {string} text - JSON text
+ * @returns {Array<{name: string, options: Object}>} Presets
+ */
+export function importPresets(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Presets are not valid JSON: ${error.message}`);
+  }
+
+  if (!file || file.format !== PRESET_FORMAT || !Array.isArray(file.presets)) {
+    throw new Error('Not an ASDF Pixel Sort presets file');
+  }
+  if (!Number.isInteger(file.version) || file.version > PRESET_VERSION) {
+    throw new Error(`Unsupported presets version: ${file.version}`);
+  }
+
+  return file.presets.map((preset) => {
+    const valid = typeof preset?.name === 'string' && preset.name.trim() &&
+      preset.options && typeof preset.options === 'object';
+    if (!valid) {
+      throw new Error('Every preset needs a name and options');
+    }
+    return { name: preset.name.trim(), options: pickPresetOptions(preset.options) };
+  });
+}
+
+/**
+ * Presets saved on this device, oldest first
+ * @returns {Array<{name: string, options: Object}>} Presets
+ */
+export async function loadPresets() {
+  const text = await AsyncStorage.getItem(STORAGE_KEY);
+  return text ? importPresets(text) : [];
+}
+
+/**
+ * Replace the presets saved on this device
+ */
+export async function storePresets(presets) {
+  await AsyncStorage.setItem(STORAGE_KEY, exportPresets(presets));
+}
+
+/**
+ * Add presets to a list, replacing any with the same name
+ * @returns {Array<{name: string, options: Object}>} New list
+ */
+export function mergePresets(presets, added) {
+  const names = new Set(added.map((preset) => preset.name));
+  return [...presets.filter((preset) => !names.has(preset.name)), ...added];
+}
@@ -0,0 +1,52 @@
+/**
+ * Seeded pseudo-random numbers so effects are reproducible from their settings
+ */
+
+/**
+ * Create a seeded generator (mulberry32) returning floats in [0, 1)
+ * @param {number} seed - Any integer; the same seed gives the same sequence
+ * @returns {Function} Generator
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create seeded 2D value noise returning smooth values in [0, 1)
+ * @param {number} seed - Noise seed
+ * @returns {Function} (x, y) => value; features are about one unit wide
+ */
+export function createNoise2D(seed) {
+  const random = createRandom(seed);
+  const values = new Float64Array(256);
+  const permutation = new Uint8Array(512);
+
+  for (let i = 0; i < 256; i++) {
+    values[i] = random();
+    permutation[i] = i;
+  }
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  for (let i = 0; i < 256; i++) permutation[i + 256] = permutation[i];
+
+  const lattice = (x, y) => values[permutation[permutation[x & 255] + (y & 255)]];
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  return (x, y) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const sx = smooth(x - x0);
+    const sy = smooth(y - y0);
+    const top = lattice(x0, y0) + (lattice(x0 + 1, y0) - lattice(x0, y0)) * sx;
+    const bottom = lattice(x0, y0 + 1) + (lattice(x0 + 1, y0 + 1) - lattice(x0, y0 + 1)) * sx;
+    return top + (bottom - top) * sy;
+  };
+}
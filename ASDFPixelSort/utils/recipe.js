@@ -0,0 +1,81 @@
+/**
+ * Processing recipes: how an exported image was made, stored as JSON in a
+ * PNG text chunk so the settings can be restored from the image later
+ */
+
+import { ALGORITHM_VERSION, DEFAULT_THRESHOLDS } from './pixelSort';
+import { DEFAULT_BLEND } from './blend';
+import { pickPresetOptions, toPresetOptions } from './presets';
+
+export const RECIPE_KEYWORD = 'asdfpixelsort-recipe';
+export const RECIPE_VERSION = 1;
+
+// Settings a restored step must have in full, with the fields of each: the
+// operation stack lists steps by them
+const STEP_SETTINGS = {
+  mode: [],
+  order: [],
+  path: [],
+  thresholds: Object.keys(DEFAULT_THRESHOLDS),
+  blend: Object.keys(DEFAULT_BLEND)
+};
+
+function isCompleteStep(step) {
+  return Object.entries(STEP_SETTINGS).every(([key, fields]) => (
+    step[key] !== undefined && fields.every((field) => step[key][field] !== undefined)
+  ));
+}
+
+/**
+ * Describe one processImage or processStack run
+ * @param {Object} run - { options: processImage options, resolution, resizeWidth
+ *   (null for the original size), source and output: { width, height } };
+ *   for stacks also `steps`, the options of every step, with the last one as `options`
+ * @returns {Object} Recipe; sort settings are kept under the preset keys of
+ *   utils/presets.js, so restoring one works like applying a preset
+ */
+export function createRecipe({ options, steps = null, resolution, resizeWidth, source, output }) {
+  const used = (test) => (steps ?? [options]).some(test);
+  const recipe = {
+    version: RECIPE_VERSION,
+    algorithmVersion: ALGORITHM_VERSION,
+    resolution,
+    resizeWidth,
+    source: { width: source.width, height: source.height },
+    output: { width: output.width, height: output.height },
+    options: toPresetOptions(options),
+    // Images are not embedded, only whether any step used them
+    inputs: {
+      mask: used((step) => Boolean(step.mask)),
+      keyImage: used((step) => Boolean(step.keyImage)),
+      thresholdMapImage: used((step) => Boolean(step.thresholdMap?.imageUri))
+    }
+  };
+  if (steps) recipe.steps = steps.map(toPresetOptions);
+  return recipe;
+}
+
+/**
+ * Read a recipe from the JSON written into an exported PNG. Settings are
+ * checked like imported presets; steps left incomplete by that are skipped.
+ * @param {string} text - JSON text
+ * @returns {Object} Recipe (see createRecipe)
+ */
+export function parseRecipe(text) {
+  let recipe;
+  try {
+    recipe = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Recipe is not valid JSON: ${error.message}`);
+  }
+
+  if (!recipe || !Number.isInteger(recipe.version) || typeof recipe.options !== 'object' || !recipe.options) {
+    throw new Error('Not an ASDF Pixel Sort recipe');
+  }
+  if (recipe.version > RECIPE_VERSION) throw new Error(`Unsupported recipe version: ${recipe.version}`);
+
+  const steps = Array.isArray(recipe.steps)
+    ? recipe.steps.filter((step) => step && typeof step === 'object').map(pickPresetOptions).filter(isCompleteStep)
+    : null;
+  return { ...recipe, options: pickPresetOptions(recipe.options), steps };
+}
@@ -0,0 +1,137 @@
+/**
+ * Geometry helpers for RGBA pixel data: resizing and EXIF orientation
+ */
+
+/**
+ * Resample one axis. Downscaling averages every source pixel the target
+ * pixel covers (with fractional edges); upscaling interpolates linearly.
+ * Colors are weighted by alpha, so transparent pixels don't tint their
+ * neighbours.
+ */
+function resampleAxis(source, sourceLength, targetLength, lines, readIndex, writeIndex, output) {
+  const scale = sourceLength / targetLength;
+  const sums = new Float64Array(4);
+
+  const add = (i, weight) => {
+    const alphaWeight = source[i + 3] * weight;
+    sums[0] += source[i] * alphaWeight;
+    sums[1] += source[i + 1] * alphaWeight;
+    sums[2] += source[i + 2] * alphaWeight;
+    sums[3] += alphaWeight;
+  };
+
+  for (let line = 0; line < lines; line++) {
+    for (let t = 0; t < targetLength; t++) {
+      sums.fill(0);
+      let totalWeight = 1;
+
+      if (scale > 1) {
+        const start = t * scale;
+        const end = start + scale;
+        for (let s = Math.floor(start); s < end && s < sourceLength; s++) {
+          add(readIndex(line, s), Math.min(end, s + 1) - Math.max(start, s));
+        }
+        totalWeight = scale;
+      } else {
+        const position = Math.max(0, (t + 0.5) * scale - 0.5);
+        const s0 = Math.min(Math.floor(position), sourceLength - 1);
+        const s1 = Math.min(s0 + 1, sourceLength - 1);
+        const weight = position - s0;
+        add(readIndex(line, s0), 1 - weight);
+        add(readIndex(line, s1), weight);
+      }
+
+      const o = writeIndex(line, t);
+      const alpha = sums[3];
+      output[o] = alpha > 0 ? sums[0] / alpha : 0;
+      output[o + 1] = alpha > 0 ? sums[1] / alpha : 0;
+      output[o + 2] = alpha > 0 ? sums[2] / alpha : 0;
+      output[o + 3] = alpha / totalWeight;
+    }
+  }
+}
+
+/**
+ * Resize RGBA pixel data
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixelData - Source image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized image
+ */
+export function resizePixels(pixelData, width, height) {
+  const { data, width: sourceWidth, height: sourceHeight } = pixelData;
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  if (width === sourceWidth && height === sourceHeight) return pixelData;
+
+  // Horizontal pass first so the intermediate buffer is as small as possible
+  const intermediate = new Uint8ClampedArray(width * sourceHeight * 4);
+  resampleAxis(
+    data, sourceWidth, width, sourceHeight,
+    (y, x) => (y * sourceWidth + x) * 4,
+    (y, x) => (y * width + x) * 4,
+    intermediate
+  );
+
+  const output = new Uint8ClampedArray(width * height * 4);
+  resampleAxis(
+    intermediate, sourceHeight, height, width,
+    (x, y) => (y * width + x) * 4,
+    (x, y) => (y * width + x) * 4,
+    output
+  );
+
+  return { data: output, width, height };
+}
+
+/**
+ * Shrink RGBA pixel data to at most `maxWidth` wide by taking the source pixel
+ * at each target pixel's centre, so every color is one of the source's
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Sampled
+ *   image, or `pixelData` itself if it is narrow enough
+ */
+export function pointSample(pixelData, maxWidth) {
+  const { data, width: sourceWidth, height: sourceHeight } = pixelData;
+  if (sourceWidth <= maxWidth) return pixelData;
+  const width = maxWidth;
+  const height = Math.max(1, Math.round((sourceHeight * width) / sourceWidth));
+
+  const output = new Uint32Array(width * height);
+  const source = new Uint32Array(data.buffer, data.byteOffset, sourceWidth * sourceHeight);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(((y + 0.5) * sourceHeight) / height) * sourceWidth;
+    for (let x = 0; x < width; x++) {
+      output[y * width + x] = source[row + Math.floor(((x + 0.5) * sourceWidth) / width)];
+    }
+  }
+  return { data: new Uint8ClampedArray(output.buffer), width, height };
+}
+
+/**
+ * Where each stored pixel lands once an EXIF orientation is applied. Along a
+ * stored row the target index changes by a constant step, so the stored pixel
+ * (x, y) goes to `rowStart(y) + x * step` in the upright image.
+ * @param {number} orientation - EXIF orientation 1-8
+ * @returns {{width: number, height: number, rowStart: Function, step: number}} Upright size and mapping
+ */
+export function getOrientationTransform(width, height, orientation) {
+  const swap = orientation >= 5 && orientation <= 8;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  let rowStart;
+  let step;
+
+  switch (orientation) {
+    case 2: rowStart = (y) => y * width + width - 1; step = -1; break;
+    case 3: rowStart = (y) => (height - 1 - y) * width + width - 1; step = -1; break;
+    case 4: rowStart = (y) => (height - 1 - y) * width; step = 1; break;
+    case 5: rowStart = (y) => y; step = height; break;
+    case 6: rowStart = (y) => height - 1 - y; step = height; break;
+    case 7: rowStart = (y) => (width - 1) * height + height - 1 - y; step = -height; break;
+    case 8: rowStart = (y) => (width - 1) * height + y; step = -height; break;
+    default: rowStart = (y) => y * width; step = 1;
+  }
+
+  return { width: outWidth, height: outHeight, rowStart, step };
+}
+
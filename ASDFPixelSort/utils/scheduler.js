@@ -0,0 +1,45 @@
+/**
+ * Cooperative scheduling for long-running work on the JS thread: yield to the
+ * UI every few milliseconds and stop when an AbortSignal fires
+ */
+
+// Milliseconds of work between yields; keeps the UI at a usable frame rate
+const SLICE_BUDGET = 12;
+
+/**
+ * Error thrown when work is cancelled through an AbortSignal
+ */
+export function createAbortError() {
+  const error = new Error('Processing cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+/**
+ * Create a function to await between units of work. It resolves immediately
+ * until the time slice is used up, then lets the event loop run (rendering,
+ * touches, a Cancel press) before continuing. Rejects with an AbortError once
+ * `signal` is aborted.
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Function} async () => void
+ */
+export function createTimeSlicer(signal = null, budget = SLICE_BUDGET) {
+  let sliceStart = Date.now();
+
+  return async () => {
+    throwIfAborted(signal);
+    if (Date.now() - sliceStart < budget) return;
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    throwIfAborted(signal);
+    sliceStart = Date.now();
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Threshold maps: one byte per pixel saying how far each pixel's thresholds
+ * have moved from the regular values (0) towards the end values (255)
+ */
+
+export const GRADIENT_TYPES = ['linear', 'radial'];
+
+/**
+ * Rasterize a gradient. Points are fractions of the image size (0-1), so a
+ * gradient placed on screen works at any processing size.
+ * @param {Object} gradient - { type, start, end }: a linear gradient runs from
+ *   `start` (0) to `end` (255) and is constant beyond them; a radial one is 0 at
+ *   `start` and reaches 255 at the distance of `end`
+ * @returns {{data: Uint8Array, width: number, height: number}} Threshold map
+ */
+export function createGradientMap(width, height, { type = 'linear', start, end }) {
+  if (!GRADIENT_TYPES.includes(type)) throw new Error(`Unknown gradient type: ${type}`);
+
+  const data = new Uint8Array(width * height);
+  // Work in pixels so the gradient is not stretched on non-square images
+  const sx = start.x * width;
+  const sy = start.y * height;
+  const dx = end.x * width - sx;
+  const dy = end.y * height - sy;
+  const lengthSquared = dx * dx + dy * dy;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const px = x + 0.5 - sx;
+      const py = y + 0.5 - sy;
+      let t;
+      if (lengthSquared === 0) {
+        t = 1;
+      } else if (type === 'linear') {
+        t = (px * dx + py * dy) / lengthSquared;
+      } else {
+        t = Math.sqrt((px * px + py * py) / lengthSquared);
+      }
+      data[y * width + x] = Math.round(Math.max(0, Math.min(1, t)) * 255);
+    }
+  }
+
+  return { data, width, height };
+}
@@ -0,0 +1,942 @@
+/**
+ * zlib (RFC 1950) and DEFLATE (RFC 1951) in plain JavaScript
+ * Runs under Hermes, where there is no native zlib binding
+ */
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedLiteralTable = null;
+let fixedDistanceTable = null;
+
+/**
+ * Compute the Adler-32 checksum used by the zlib trailer
+ */
+export function adler32(data, adler = 1) {
+  let a = adler & 0xFFFF;
+  let b = (adler >>> 16) & 0xFFFF;
+  let i = 0;
+
+  while (i < data.length) {
+    // 5552 is the largest block that cannot overflow before the modulo
+    const end = Math.min(i + 5552, data.length);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | (code & 1);
+    code >>= 1;
+  }
+  return reversed;
+}
+
+/**
+ * Build a single-level lookup table for a canonical Huffman code.
+ * Entries are (symbol << 4) | codeLength, indexed by the bit-reversed code.
+ */
+function buildDecodeTable(lengths, count) {
+  let maxBits = 0;
+  for (let i = 0; i < count; i++) {
+    if (lengths[i] > maxBits) maxBits = lengths[i];
+  }
+
+  const table = new Uint32Array(1 << Math.max(maxBits, 1));
+  if (maxBits === 0) return { table, bits: 1 };
+
+  const blCount = new Uint16Array(16);
+  for (let i = 0; i < count; i++) blCount[lengths[i]]++;
+  blCount[0] = 0;
+
+  const nextCode = new Uint16Array(16);
+  let code = 0;
+  for (let bits = 1; bits <= maxBits; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  for (let symbol = 0; symbol < count; symbol++) {
+    const length = lengths[symbol];
+    if (length === 0) continue;
+
+    const reversed = reverseBits(nextCode[length]++, length);
+    for (let i = reversed; i < table.length; i += 1 << length) {
+      table[i] = (symbol << 4) | length;
+    }
+  }
+
+  return { table, bits: maxBits };
+}
+
+function getFixedTables() {
+  if (!fixedLiteralTable) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedLiteralTable = buildDecodeTable(lengths, 288);
+    fixedDistanceTable = buildDecodeTable(new Uint8Array(30).fill(5), 30);
+  }
+  return [fixedLiteralTable, fixedDistanceTable];
+}
+
+/**
+ * Bit-level reader and output buffer for a raw DEFLATE stream
+ */
+class Inflater {
+  constructor(data, offset, expectedSize) {
+    this.data = data;
+    this.pos = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.output = new Uint8Array(Math.max(expectedSize || data.length * 4, 1024));
+    this.outputPos = 0;
+  }
+
+  needBits(count) {
+    while (this.bitCount < count) {
+      if (this.pos >= this.data.length + 4) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      // Past the end we feed zero bytes; the overrun check above catches truncation
+      const byte = this.pos < this.data.length ? this.data[this.pos] : 0;
+      this.pos++;
+      this.bitBuffer |= byte << this.bitCount;
+      this.bitCount += 8;
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    this.needBits(count);
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  decodeSymbol(huffman) {
+    this.needBits(huffman.bits);
+    const entry = huffman.table[this.bitBuffer & ((1 << huffman.bits) - 1)];
+    const length = entry & 15;
+    if (length === 0) throw new Error('Invalid Huffman code');
+    this.bitBuffer >>>= length;
+    this.bitCount -= length;
+    return entry >> 4;
+  }
+
+  ensureCapacity(extra) {
+    const required = this.outputPos + extra;
+    if (required <= this.output.length) return;
+
+    let size = this.output.length * 2;
+    while (size < required) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.output.subarray(0, this.outputPos));
+    this.output = grown;
+  }
+
+  inflateStored() {
+    // Stored blocks start on a byte boundary; drop the partial byte
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    const data = this.data;
+    if (this.pos + 4 > data.length) throw new Error('Unexpected end of compressed data');
+    const length = data[this.pos] | (data[this.pos + 1] << 8);
+    const inverse = data[this.pos + 2] | (data[this.pos + 3] << 8);
+    if ((length ^ 0xFFFF) !== inverse) throw new Error('Corrupt stored block length');
+    this.pos += 4;
+
+    if (this.pos + length > data.length) throw new Error('Unexpected end of compressed data');
+    this.ensureCapacity(length);
+    this.output.set(data.subarray(this.pos, this.pos + length), this.outputPos);
+    this.outputPos += length;
+    this.pos += length;
+  }
+
+  readDynamicTables() {
+    const literalCount = this.readBits(5) + 257;
+    const distanceCount = this.readBits(5) + 1;
+    const codeLengthCount = this.readBits(4) + 4;
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = this.readBits(3);
+    }
+    const codeLengthTable = buildDecodeTable(codeLengthLengths, 19);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let i = 0;
+    while (i < lengths.length) {
+      const symbol = this.decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (i === 0) throw new Error('Invalid code length repeat');
+        value = lengths[i - 1];
+        repeat = 3 + this.readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this.readBits(3);
+      } else {
+        repeat = 11 + this.readBits(7);
+      }
+
+      if (i + repeat > lengths.length) throw new Error('Invalid code length repeat');
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return [
+      buildDecodeTable(lengths.subarray(0, literalCount), literalCount),
+      buildDecodeTable(lengths.subarray(literalCount), distanceCount)
+    ];
+  }
+
+  inflateHuffman(literalTable, distanceTable) {
+    for (;;) {
+      const symbol = this.decodeSymbol(literalTable);
+
+      if (symbol < 256) {
+        if (this.outputPos >= this.output.length) this.ensureCapacity(1);
+        this.output[this.outputPos++] = symbol;
+        continue;
+      }
+      if (symbol === 256) return;
+
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= 29) throw new Error('Invalid length symbol');
+      const length = LENGTH_BASE[lengthIndex] + this.readBits(LENGTH_EXTRA[lengthIndex]);
+
+      const distanceSymbol = this.decodeSymbol(distanceTable);
+      if (distanceSymbol >= 30) throw new Error('Invalid distance symbol');
+      const distance = DIST_BASE[distanceSymbol] + this.readBits(DIST_EXTRA[distanceSymbol]);
+      if (distance > this.outputPos) throw new Error('Distance too far back');
+
+      this.ensureCapacity(length);
+      const output = this.output;
+      let from = this.outputPos - distance;
+      let to = this.outputPos;
+      const end = to + length;
+      if (distance >= length) {
+        output.copyWithin(to, from, from + length);
+      } else {
+        // Overlapping copy repeats the last `distance` bytes
+        while (to < end) output[to++] = output[from++];
+      }
+      this.outputPos = end;
+    }
+  }
+
+  run() {
+    let isFinal = 0;
+    while (!isFinal) {
+      isFinal = this.readBits(1);
+      const type = this.readBits(2);
+
+      if (type === 0) {
+        this.inflateStored();
+      } else if (type === 1) {
+        const [literalTable, distanceTable] = getFixedTables();
+        this.inflateHuffman(literalTable, distanceTable);
+      } else if (type === 2) {
+        const [literalTable, distanceTable] = this.readDynamicTables();
+        this.inflateHuffman(literalTable, distanceTable);
+      } else {
+        throw new Error('Invalid DEFLATE block type');
+      }
+    }
+
+    // Hand back whole bytes we pulled into the bit buffer but never used
+    this.pos -= this.bitCount >> 3;
+    return this.output.subarray(0, this.outputPos);
+  }
+}
+
+/**
+ * Decompress a raw DEFLATE stream
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} expectedSize - Optional output size hint
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export function inflateRaw(data, expectedSize = 0) {
+  return new Inflater(data, 0, expectedSize).run();
+}
+
+/**
+ * Decompress a zlib stream and verify its Adler-32 trailer
+ * @param {Uint8Array} data - zlib-wrapped bytes (e.g. concatenated PNG IDAT data)
+ * @param {number} expectedSize - Optional output size hint
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export function inflate(data, expectedSize = 0) {
+  if (data.length < 6) throw new Error('zlib stream too short');
+
+  const cmf = data[0];
+  const flg = data[1];
+  if ((cmf & 0x0F) !== 8) throw new Error('Unsupported zlib compression method');
+  if (((cmf << 8) | flg) % 31 !== 0) throw new Error('Corrupt zlib header');
+  if (flg & 0x20) throw new Error('zlib preset dictionaries are not supported');
+
+  const inflater = new Inflater(data, 2, expectedSize);
+  const output = inflater.run();
+
+  const p = inflater.pos;
+  if (p + 4 <= data.length) {
+    const expected = ((data[p] << 24) | (data[p + 1] << 16) | (data[p + 2] << 8) | data[p + 3]) >>> 0;
+    if (adler32(output) !== expected) throw new Error('zlib checksum mismatch');
+  }
+
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// Compression
+// ---------------------------------------------------------------------------
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_SIZE = 1 << 15;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_BLOCK_SYMBOLS = 16384;
+const MAX_STORED_LENGTH = 65535;
+const END_OF_BLOCK = 256;
+
+// Hash chain depth, "good enough" match length and lazy matching per level
+const LEVEL_SETTINGS = [
+  null,
+  { chain: 4, nice: 8, lazy: false },
+  { chain: 8, nice: 16, lazy: false },
+  { chain: 16, nice: 32, lazy: false },
+  { chain: 16, nice: 32, lazy: true },
+  { chain: 32, nice: 64, lazy: true },
+  { chain: 64, nice: 128, lazy: true },
+  { chain: 128, nice: 128, lazy: true },
+  { chain: 256, nice: 258, lazy: true },
+  { chain: 1024, nice: 258, lazy: true }
+];
+
+// Length (3..258) -> length symbol index
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let i = 0; i < 28; i++) {
+  for (let length = LENGTH_BASE[i]; length < LENGTH_BASE[i + 1]; length++) LENGTH_CODE[length] = i;
+}
+LENGTH_CODE[MAX_MATCH] = 28;
+
+// Distance -> distance symbol, split like zlib: direct for 1..256, by 128s above
+const DIST_CODE = new Uint8Array(512);
+for (let i = 0; i < 30; i++) {
+  const end = i === 29 ? 32769 : DIST_BASE[i + 1];
+  for (let distance = DIST_BASE[i]; distance < end; distance++) {
+    if (distance <= 256) DIST_CODE[distance - 1] = i;
+    else DIST_CODE[256 + ((distance - 1) >> 7)] = i;
+  }
+}
+
+function distanceCode(distance) {
+  return distance <= 256 ? DIST_CODE[distance - 1] : DIST_CODE[256 + ((distance - 1) >> 7)];
+}
+
+/**
+ * Compute length-limited Huffman code lengths for a frequency table.
+ * If the tree is too deep the frequencies are flattened and it is rebuilt.
+ */
+function buildCodeLengths(frequencies, maxBits) {
+  const lengths = new Uint8Array(frequencies.length);
+  let freqs = Array.from(frequencies);
+
+  for (;;) {
+    const symbols = [];
+    for (let i = 0; i < freqs.length; i++) {
+      if (freqs[i] > 0) symbols.push(i);
+    }
+
+    if (symbols.length === 0) return lengths;
+    if (symbols.length === 1) {
+      lengths[symbols[0]] = 1;
+      return lengths;
+    }
+
+    // Two-queue Huffman construction: sorted leaves, then merged nodes in order
+    const weight = symbols.map((symbol) => freqs[symbol]);
+    const parent = new Array(symbols.length * 2 - 1).fill(-1);
+    const leaves = symbols.map((_, i) => i).sort((a, b) => weight[a] - weight[b]);
+    const merged = [];
+    let leafPos = 0;
+    let mergedPos = 0;
+    const takeSmallest = () => {
+      if (leafPos < leaves.length && (mergedPos >= merged.length || weight[leaves[leafPos]] <= weight[merged[mergedPos]])) {
+        return leaves[leafPos++];
+      }
+      return merged[mergedPos++];
+    };
+
+    for (let node = symbols.length; node < parent.length; node++) {
+      const a = takeSmallest();
+      const b = takeSmallest();
+      weight[node] = weight[a] + weight[b];
+      parent[a] = node;
+      parent[b] = node;
+      merged.push(node);
+    }
+
+    const depth = new Array(parent.length).fill(0);
+    for (let node = parent.length - 2; node >= 0; node--) {
+      depth[node] = depth[parent[node]] + 1;
+    }
+
+    let maxDepth = 0;
+    for (let i = 0; i < symbols.length; i++) {
+      lengths[symbols[i]] = depth[i];
+      if (depth[i] > maxDepth) maxDepth = depth[i];
+    }
+    if (maxDepth <= maxBits) return lengths;
+
+    freqs = freqs.map((f) => (f > 0 ? (f >> 1) + 1 : 0));
+    lengths.fill(0);
+  }
+}
+
+/**
+ * Assign canonical codes, bit-reversed for LSB-first output
+ */
+function buildCodes(lengths) {
+  const blCount = new Uint16Array(16);
+  for (let i = 0; i < lengths.length; i++) blCount[lengths[i]]++;
+  blCount[0] = 0;
+
+  const nextCode = new Uint16Array(16);
+  let code = 0;
+  for (let bits = 1; bits < 16; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const codes = new Uint16Array(lengths.length);
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) codes[i] = reverseBits(nextCode[lengths[i]]++, lengths[i]);
+  }
+  return codes;
+}
+
+let fixedCodes = null;
+
+function getFixedCodes() {
+  if (!fixedCodes) {
+    const literalLengths = new Uint8Array(288);
+    literalLengths.fill(8, 0, 144);
+    literalLengths.fill(9, 144, 256);
+    literalLengths.fill(7, 256, 280);
+    literalLengths.fill(8, 280, 288);
+    const distanceLengths = new Uint8Array(30).fill(5);
+    fixedCodes = {
+      literalLengths,
+      literalCodes: buildCodes(literalLengths),
+      distanceLengths,
+      distanceCodes: buildCodes(distanceLengths)
+    };
+  }
+  return fixedCodes;
+}
+
+/**
+ * Run-length encode the combined code lengths with symbols 16-18.
+ * Returns [symbol, extraBitsValue] pairs.
+ */
+function encodeCodeLengths(lengths) {
+  const symbols = [];
+  let i = 0;
+
+  while (i < lengths.length) {
+    const value = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+    if (value === 0 && run >= 3) {
+      const take = Math.min(run, 138);
+      symbols.push(take >= 11 ? [18, take - 11] : [17, take - 3]);
+      i += take;
+    } else if (value !== 0 && run >= 4) {
+      const take = Math.min(run - 1, 6);
+      symbols.push([value, 0], [16, take - 3]);
+      i += take + 1;
+    } else {
+      symbols.push([value, 0]);
+      i++;
+    }
+  }
+
+  return symbols;
+}
+
+const CODE_LENGTH_EXTRA_BITS = { 16: 2, 17: 3, 18: 7 };
+
+/**
+ * Streaming DEFLATE compressor.
+ * Feed input with push(); finished output accumulates in `chunks`.
+ * Between pushes only the match window and the open block's input are kept.
+ */
+export class Deflater {
+  constructor(level = 6) {
+    this.level = Math.max(0, Math.min(9, level));
+    this.settings = LEVEL_SETTINGS[this.level];
+
+    this.head = new Int32Array(HASH_SIZE).fill(-1);
+    this.prev = new Int32Array(WINDOW_SIZE);
+
+    // Retained history followed by unprocessed input; bufferStart is the
+    // absolute stream position of buffer[0]
+    this.buffer = new Uint8Array(0);
+    this.bufferStart = 0;
+    this.processed = 0;
+
+    // Lazy matching state carried across pushes
+    this.pendingLength = 0;
+    this.pendingDistance = 0;
+    this.hasPending = false;
+
+    this.literals = new Uint16Array(MAX_BLOCK_SYMBOLS);
+    this.matchLengths = new Uint16Array(MAX_BLOCK_SYMBOLS);
+    this.matchDistances = new Uint16Array(MAX_BLOCK_SYMBOLS);
+    this.symbolCount = 0;
+    this.blockStart = 0;
+    this.blockLength = 0;
+
+    this.output = new Uint8Array(65536);
+    this.outputPos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.chunks = [];
+    this.finished = false;
+  }
+
+  /**
+   * Compress the next piece of input
+   * @param {Uint8Array} data - Input bytes
+   * @param {boolean} isFinal - True for the last piece of the stream
+   */
+  push(data, isFinal = false) {
+    if (this.finished) throw new Error('Deflater already finished');
+
+    // Keep one window of history for matches, and the current block's input
+    // so it can still fall back to a stored block
+    const keepFrom = Math.max(this.bufferStart, Math.min(this.processed - WINDOW_SIZE, this.blockStart));
+    const kept = this.buffer.subarray(keepFrom - this.bufferStart);
+    const buffer = new Uint8Array(kept.length + data.length);
+    buffer.set(kept);
+    buffer.set(data, kept.length);
+    this.bufferStart = keepFrom;
+    this.buffer = buffer;
+
+    // Keep a full match of lookahead back for the next push
+    const streamEnd = this.bufferStart + buffer.length;
+    const limit = isFinal ? streamEnd : streamEnd - MAX_MATCH;
+
+    if (this.level === 0) {
+      this.compressStored(limit, isFinal);
+    } else {
+      if (this.settings.lazy) this.compressLazy(limit, streamEnd, isFinal);
+      else this.compressGreedy(limit, streamEnd);
+      if (isFinal) this.flushBlock(true);
+    }
+
+    if (isFinal) {
+      this.alignToByte();
+      this.finished = true;
+    }
+    this.flushOutput();
+  }
+
+  compressStored(limit, isFinal) {
+    do {
+      const length = Math.min(MAX_STORED_LENGTH, limit - this.processed);
+      const last = isFinal && this.processed + length === limit;
+      if (!last && length < MAX_STORED_LENGTH) break;
+
+      this.blockStart = this.processed;
+      this.writeStoredBlock(length, last);
+      this.processed += length;
+      this.blockStart = this.processed;
+    } while (this.processed < limit);
+  }
+
+  insertHash(position) {
+    const i = position - this.bufferStart;
+    const buffer = this.buffer;
+    const hash = ((buffer[i] << 10) ^ (buffer[i + 1] << 5) ^ buffer[i + 2]) & (HASH_SIZE - 1);
+    this.prev[position & WINDOW_MASK] = this.head[hash];
+    this.head[hash] = position;
+  }
+
+  /**
+   * Longest match for `position` that beats `minLength`; sets this.matchDistance
+   */
+  findMatch(position, streamEnd, minLength) {
+    const buffer = this.buffer;
+    const base = this.bufferStart;
+    const maxLength = Math.min(MAX_MATCH, streamEnd - position);
+    this.matchDistance = 0;
+    if (maxLength <= minLength) return 0;
+
+    const { nice } = this.settings;
+    let chain = this.settings.chain;
+    const start = position - base;
+    let bestLength = minLength;
+    let candidate = this.prev[position & WINDOW_MASK];
+
+    while (candidate >= base && chain-- > 0) {
+      const distance = position - candidate;
+      if (distance > WINDOW_SIZE) break;
+
+      const c = candidate - base;
+      if (buffer[c + bestLength] === buffer[start + bestLength] && buffer[c] === buffer[start]) {
+        let length = 1;
+        while (length < maxLength && buffer[c + length] === buffer[start + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          this.matchDistance = distance;
+          if (length >= nice || length === maxLength) break;
+        }
+      }
+
+      const next = this.prev[candidate & WINDOW_MASK];
+      // Slots are reused every window; a non-decreasing link means the chain is stale
+      if (next >= candidate) break;
+      candidate = next;
+    }
+
+    return this.matchDistance ? bestLength : 0;
+  }
+
+  insertRange(from, to, streamEnd) {
+    const end = Math.min(to, streamEnd - MIN_MATCH + 1);
+    for (let p = from; p < end; p++) this.insertHash(p);
+  }
+
+  compressGreedy(limit, streamEnd) {
+    let position = this.processed;
+
+    while (position < limit) {
+      let length = 0;
+      if (position + MIN_MATCH <= streamEnd) {
+        this.insertHash(position);
+        length = this.findMatch(position, streamEnd, MIN_MATCH - 1);
+      }
+
+      if (length >= MIN_MATCH) {
+        this.emitMatch(length, this.matchDistance);
+        this.insertRange(position + 1, position + length, streamEnd);
+        position += length;
+      } else {
+        this.emitLiteral(this.buffer[position - this.bufferStart]);
+        position++;
+      }
+    }
+
+    this.processed = position;
+  }
+
+  /**
+   * Lazy matching: a match is only emitted once the next position has been
+   * checked for a longer one
+   */
+  compressLazy(limit, streamEnd, isFinal) {
+    const { nice } = this.settings;
+    let position = this.processed;
+
+    while (position < limit) {
+      let length = 0;
+      let distance = 0;
+      if (position + MIN_MATCH <= streamEnd) {
+        this.insertHash(position);
+        if (!this.hasPending || this.pendingLength < nice) {
+          const minLength = this.hasPending ? Math.max(this.pendingLength, MIN_MATCH - 1) : MIN_MATCH - 1;
+          length = this.findMatch(position, streamEnd, minLength);
+          distance = this.matchDistance;
+        }
+      }
+
+      if (this.hasPending && this.pendingLength >= MIN_MATCH && length <= this.pendingLength) {
+        // The match at position - 1 wins
+        const matchEnd = position - 1 + this.pendingLength;
+        this.emitMatch(this.pendingLength, this.pendingDistance);
+        this.insertRange(position + 1, matchEnd, streamEnd);
+        position = matchEnd;
+        this.hasPending = false;
+        this.pendingLength = 0;
+        continue;
+      }
+
+      if (this.hasPending) {
+        this.emitLiteral(this.buffer[position - 1 - this.bufferStart]);
+      }
+      this.hasPending = true;
+      this.pendingLength = length;
+      this.pendingDistance = distance;
+      position++;
+    }
+
+    if (isFinal && this.hasPending) {
+      this.emitLiteral(this.buffer[position - 1 - this.bufferStart]);
+      this.hasPending = false;
+    }
+    this.processed = position;
+  }
+
+  emitLiteral(value) {
+    this.literals[this.symbolCount] = value;
+    this.blockLength++;
+    if (++this.symbolCount === MAX_BLOCK_SYMBOLS) this.flushBlock(false);
+  }
+
+  emitMatch(length, distance) {
+    this.literals[this.symbolCount] = 257 + LENGTH_CODE[length];
+    this.matchLengths[this.symbolCount] = length;
+    this.matchDistances[this.symbolCount] = distance;
+    this.blockLength += length;
+    if (++this.symbolCount === MAX_BLOCK_SYMBOLS) this.flushBlock(false);
+  }
+
+  /**
+   * Write the buffered symbols as one block, picking the cheapest of
+   * stored, fixed-Huffman and dynamic-Huffman encoding
+   */
+  flushBlock(isFinal) {
+    const count = this.symbolCount;
+    const literals = this.literals;
+
+    const literalFreq = new Uint32Array(286);
+    const distanceFreq = new Uint32Array(30);
+    let extraBits = 0;
+    for (let i = 0; i < count; i++) {
+      const symbol = literals[i];
+      literalFreq[symbol]++;
+      if (symbol > END_OF_BLOCK) {
+        const d = distanceCode(this.matchDistances[i]);
+        distanceFreq[d]++;
+        extraBits += LENGTH_EXTRA[symbol - 257] + DIST_EXTRA[d];
+      }
+    }
+    literalFreq[END_OF_BLOCK] = 1;
+
+    const literalLengths = buildCodeLengths(literalFreq, 15);
+    const distanceLengths = buildCodeLengths(distanceFreq, 15);
+    let literalCount = 286;
+    while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+    let distanceCount = 30;
+    while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+    const combined = new Uint8Array(literalCount + distanceCount);
+    combined.set(literalLengths.subarray(0, literalCount));
+    combined.set(distanceLengths.subarray(0, distanceCount), literalCount);
+    const codeLengthSymbols = encodeCodeLengths(combined);
+    const codeLengthFreq = new Uint32Array(19);
+    for (const [symbol] of codeLengthSymbols) codeLengthFreq[symbol]++;
+    const codeLengthLengths = buildCodeLengths(codeLengthFreq, 7);
+    let codeLengthCount = 19;
+    while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+
+    const fixed = getFixedCodes();
+    let dynamicBits = 14 + codeLengthCount * 3 + extraBits;
+    let fixedBits = extraBits;
+    for (let i = 0; i < 286; i++) {
+      dynamicBits += literalFreq[i] * literalLengths[i];
+      fixedBits += literalFreq[i] * fixed.literalLengths[i];
+    }
+    for (let i = 0; i < 30; i++) {
+      dynamicBits += distanceFreq[i] * distanceLengths[i];
+      fixedBits += distanceFreq[i] * 5;
+    }
+    for (const [symbol] of codeLengthSymbols) {
+      dynamicBits += codeLengthLengths[symbol] + (CODE_LENGTH_EXTRA_BITS[symbol] || 0);
+    }
+    const storedBits = (this.blockLength + 5 * Math.max(1, Math.ceil(this.blockLength / MAX_STORED_LENGTH))) * 8;
+
+    if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+      this.writeStoredBlock(this.blockLength, isFinal);
+    } else if (fixedBits <= dynamicBits) {
+      this.writeBits(isFinal ? 1 : 0, 1);
+      this.writeBits(1, 2);
+      this.writeSymbols(fixed.literalCodes, fixed.literalLengths, fixed.distanceCodes, fixed.distanceLengths);
+    } else {
+      this.writeBits(isFinal ? 1 : 0, 1);
+      this.writeBits(2, 2);
+      this.writeBits(literalCount - 257, 5);
+      this.writeBits(distanceCount - 1, 5);
+      this.writeBits(codeLengthCount - 4, 4);
+      for (let i = 0; i < codeLengthCount; i++) {
+        this.writeBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+      }
+      const codeLengthCodes = buildCodes(codeLengthLengths);
+      for (const [symbol, extra] of codeLengthSymbols) {
+        this.writeBits(codeLengthCodes[symbol], codeLengthLengths[symbol]);
+        if (CODE_LENGTH_EXTRA_BITS[symbol]) this.writeBits(extra, CODE_LENGTH_EXTRA_BITS[symbol]);
+      }
+      this.writeSymbols(buildCodes(literalLengths), literalLengths, buildCodes(distanceLengths), distanceLengths);
+    }
+
+    this.blockStart += this.blockLength;
+    this.blockLength = 0;
+    this.symbolCount = 0;
+  }
+
+  writeStoredBlock(length, isFinal) {
+    let offset = this.blockStart - this.bufferStart;
+    let remaining = length;
+    do {
+      const size = Math.min(remaining, MAX_STORED_LENGTH);
+      remaining -= size;
+      this.writeBits(isFinal && remaining === 0 ? 1 : 0, 1);
+      this.writeBits(0, 2);
+      this.alignToByte();
+      this.writeByte(size & 0xFF);
+      this.writeByte(size >> 8);
+      this.writeByte(~size & 0xFF);
+      this.writeByte((~size >> 8) & 0xFF);
+      this.writeBytes(this.buffer.subarray(offset, offset + size));
+      offset += size;
+    } while (remaining > 0);
+  }
+
+  writeSymbols(literalCodes, literalLengths, distanceCodes, distanceLengths) {
+    for (let i = 0; i < this.symbolCount; i++) {
+      const symbol = this.literals[i];
+      this.writeBits(literalCodes[symbol], literalLengths[symbol]);
+      if (symbol <= END_OF_BLOCK) continue;
+
+      const lengthIndex = symbol - 257;
+      if (LENGTH_EXTRA[lengthIndex]) {
+        this.writeBits(this.matchLengths[i] - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+      }
+      const distance = this.matchDistances[i];
+      const d = distanceCode(distance);
+      this.writeBits(distanceCodes[d], distanceLengths[d]);
+      if (DIST_EXTRA[d]) this.writeBits(distance - DIST_BASE[d], DIST_EXTRA[d]);
+    }
+    this.writeBits(literalCodes[END_OF_BLOCK], literalLengths[END_OF_BLOCK]);
+  }
+
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.writeByte(this.bitBuffer & 0xFF);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) this.writeByte(this.bitBuffer & 0xFF);
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  writeByte(value) {
+    if (this.outputPos === this.output.length) this.flushOutput();
+    this.output[this.outputPos++] = value;
+  }
+
+  writeBytes(bytes) {
+    let offset = 0;
+    while (offset < bytes.length) {
+      if (this.outputPos === this.output.length) this.flushOutput();
+      const count = Math.min(bytes.length - offset, this.output.length - this.outputPos);
+      this.output.set(bytes.subarray(offset, offset + count), this.outputPos);
+      this.outputPos += count;
+      offset += count;
+    }
+  }
+
+  flushOutput() {
+    if (this.outputPos === 0) return;
+    this.chunks.push(this.output.slice(0, this.outputPos));
+    this.outputPos = 0;
+  }
+}
+
+/**
+ * Join byte chunks into one array
+ */
+export function concatBytes(chunks) {
+  let length = 0;
+  for (const chunk of chunks) length += chunk.length;
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Compress data as a raw DEFLATE stream
+ * @param {Uint8Array} data - Bytes to compress
+ * @param {number} level - Compression level 0-9
+ * @returns {Uint8Array} Compressed bytes
+ */
+export function deflateRaw(data, level = 6) {
+  const deflater = new Deflater(level);
+  deflater.push(data, true);
+  return concatBytes(deflater.chunks);
+}
+
+/**
+ * zlib stream header for the given level
+ */
+export function zlibHeader(level = 6) {
+  const flevel = level < 2 ? 0 : level < 6 ? 1 : level === 6 ? 2 : 3;
+  const cmf = 0x78;
+  let flg = flevel << 6;
+  flg += 31 - (((cmf << 8) | flg) % 31);
+  return new Uint8Array([cmf, flg]);
+}
+
+/**
+ * Big-endian Adler-32 trailer bytes
+ */
+export function zlibTrailer(checksum) {
+  return new Uint8Array([checksum >>> 24, (checksum >>> 16) & 0xFF, (checksum >>> 8) & 0xFF, checksum & 0xFF]);
+}
+
+/**
+ * Compress data as a zlib stream (header, DEFLATE data, Adler-32)
+ * @param {Uint8Array} data - Bytes to compress
+ * @param {number} level - Compression level 0-9
+ * @returns {Uint8Array} zlib-wrapped bytes
+ */
+export function deflate(data, level = 6) {
+  return concatBytes([zlibHeader(level), deflateRaw(data, level), zlibTrailer(adler32(data))]);
+}